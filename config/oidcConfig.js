@@ -0,0 +1,105 @@
+/**
+ * Social login provider configuration
+ *
+ * Providers are enabled with OIDC_PROVIDERS (comma-separated ids) and configured
+ * with OIDC_<ID>_* variables, e.g. for "google":
+ *   OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET
+ *   OIDC_GOOGLE_ISSUER            (OIDC discovery; preset for google/microsoft)
+ *   OIDC_GOOGLE_AUTHORIZATION_URL, OIDC_GOOGLE_TOKEN_URL, OIDC_GOOGLE_USERINFO_URL
+ *                                 (plain OAuth2 providers without discovery)
+ *   OIDC_GOOGLE_SCOPES, OIDC_GOOGLE_NAME, OIDC_GOOGLE_TRUST_EMAIL
+ */
+const PROVIDER_PRESETS = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile'
+  },
+  microsoft: {
+    name: 'Microsoft',
+    issuer: 'https://login.microsoftonline.com/common/v2.0',
+    scopes: 'openid email profile'
+  },
+  github: {
+    name: 'GitHub',
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scopes: 'read:user user:email'
+  }
+};
+
+class OidcConfig {
+  constructor() {
+    this.providers = this.loadProviders();
+    this.redirectBaseUrl = process.env.OIDC_REDIRECT_BASE_URL ||
+      process.env.API_URL ||
+      `http://localhost:${process.env.PORT || 8000}`;
+    this.frontendCallbackUrl = process.env.OIDC_FRONTEND_CALLBACK_URL ||
+      `${process.env.FRONTEND_URL || 'http://localhost:5173'}/auth/callback`;
+  }
+
+  loadProviders() {
+    const ids = (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean);
+
+    const providers = {};
+
+    for (const id of ids) {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      const env = (key) => process.env[`${prefix}${key}`];
+      const preset = PROVIDER_PRESETS[id] || {};
+
+      const provider = {
+        id,
+        name: env('NAME') || preset.name || id,
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        issuer: env('ISSUER') || preset.issuer,
+        authorizationUrl: env('AUTHORIZATION_URL') || preset.authorizationUrl,
+        tokenUrl: env('TOKEN_URL') || preset.tokenUrl,
+        userinfoUrl: env('USERINFO_URL') || preset.userinfoUrl,
+        emailsUrl: env('EMAILS_URL') || preset.emailsUrl,
+        scopes: env('SCOPES') || preset.scopes || 'openid email profile',
+        // Treat the provider's email as verified even without an email_verified claim
+        trustEmail: env('TRUST_EMAIL') === 'true'
+      };
+
+      if (!provider.clientId || !provider.clientSecret) {
+        console.warn(`Social login provider "${id}" is missing a client ID or secret and was skipped.`);
+        continue;
+      }
+
+      if (!provider.issuer && !(provider.authorizationUrl && provider.tokenUrl && provider.userinfoUrl)) {
+        console.warn(`Social login provider "${id}" needs an issuer or explicit endpoints and was skipped.`);
+        continue;
+      }
+
+      providers[id] = provider;
+    }
+
+    return providers;
+  }
+
+  getProvider(id) {
+    return this.providers[id] || null;
+  }
+
+  getPublicProviders() {
+    return Object.values(this.providers).map(provider => ({
+      id: provider.id,
+      name: provider.name
+    }));
+  }
+
+  getRedirectUri(id) {
+    return `${this.redirectBaseUrl}/api/auth/oauth/${id}/callback`;
+  }
+}
+
+const oidcConfig = new OidcConfig();
+
+module.exports = oidcConfig;
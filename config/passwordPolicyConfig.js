@@ -0,0 +1,74 @@
+/**
+ * Password policies per role
+ *
+ * - minLength / require*: composition rules checked on signup, reset and change
+ * - historySize: how many of the user's most recent passwords cannot be reused
+ * - maxAgeDays: days before the password expires and must be reset (null = never)
+ * - checkBreached: reject passwords found in the breached-password list
+ *
+ * Roles without a policy use the `user` policy. Policies can be tuned without
+ * a code change with PASSWORD_POLICIES, a JSON object merged over the
+ * defaults, e.g. {"user":{"minLength":10},"admin":{"maxAgeDays":60}}
+ *
+ * The breached-password list is a local directory (PASSWORD_BREACH_DIR) of
+ * Have I Been Pwned range files, one per 5-character SHA-1 prefix
+ * (<PREFIX>.txt with SUFFIX:COUNT lines, as written by the Pwned Passwords
+ * downloader). Each check reads one range file; PASSWORD_BREACH_MIN_COUNT
+ * ignores hashes seen fewer times than that.
+ */
+const DEFAULT_POLICIES = {
+  user: {
+    minLength: 8,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: true,
+    historySize: 5,
+    maxAgeDays: null,
+    checkBreached: true
+  },
+  admin: {
+    minLength: 12,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: true,
+    historySize: 10,
+    maxAgeDays: 90,
+    checkBreached: true
+  }
+};
+
+class PasswordPolicyConfig {
+  constructor() {
+    this.policies = this.loadPolicies();
+    this.breachDir = process.env.PASSWORD_BREACH_DIR || null;
+    this.breachMinCount = parseInt(process.env.PASSWORD_BREACH_MIN_COUNT) || 1;
+  }
+
+  loadPolicies() {
+    let overrides = {};
+
+    if (process.env.PASSWORD_POLICIES) {
+      try {
+        overrides = JSON.parse(process.env.PASSWORD_POLICIES);
+      } catch (error) {
+        console.warn(`⚠️ Ignoring invalid PASSWORD_POLICIES: ${error.message}`);
+      }
+    }
+
+    const policies = {};
+    for (const role of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])) {
+      policies[role] = { role, ...DEFAULT_POLICIES.user, ...DEFAULT_POLICIES[role], ...overrides[role] };
+    }
+
+    return policies;
+  }
+
+  getPolicy(role) {
+    return this.policies[role] || this.policies.user;
+  }
+}
+
+// Export singleton instance
+module.exports = new PasswordPolicyConfig();
@@ -0,0 +1,125 @@
+/**
+ * Rate limit policies
+ *
+ * Each policy limits requests per IP address (`ip`) and/or per account
+ * (`account`: the signed-in user, or the email in the request body for
+ * sign-in style routes) within a sliding window. Omit a dimension to skip it.
+ *
+ * Set RATE_LIMIT_ENABLED=false to turn limiting off. Policies can be tuned
+ * without a code change with RATE_LIMIT_POLICIES, a JSON object merged over
+ * the defaults, e.g. {"auth":{"ip":50},"api":{"windowMs":60000,"ip":120}}
+ */
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_POLICIES = {
+  auth: {
+    windowMs: 15 * MINUTE,
+    ip: 20,
+    account: 5,
+    message: 'Too many authentication attempts. Please try again later.'
+  },
+  passwordReset: {
+    windowMs: HOUR,
+    ip: 10,
+    account: 3,
+    message: 'Too many password reset attempts. Please try again later.'
+  },
+  registration: {
+    windowMs: HOUR,
+    ip: 5,
+    message: 'Too many registration attempts. Please try again later.'
+  },
+  emailVerification: {
+    windowMs: 15 * MINUTE,
+    ip: 10,
+    account: 5,
+    message: 'Too many email verification attempts. Please try again later.'
+  },
+  tokenRefresh: {
+    windowMs: 5 * MINUTE,
+    ip: 60,
+    message: 'Too many token refresh attempts. Please try again later.'
+  },
+  api: {
+    windowMs: 15 * MINUTE,
+    ip: 500,
+    message: 'Too many API requests. Please try again later.'
+  },
+  adminAction: {
+    windowMs: 5 * MINUTE,
+    account: 50,
+    message: 'Too many admin actions. Please try again later.'
+  },
+  profileUpdate: {
+    windowMs: HOUR,
+    account: 10,
+    message: 'Too many profile updates. Please try again later.'
+  },
+  contact: {
+    windowMs: HOUR,
+    ip: 5,
+    message: 'Too many messages sent. Please try again later.'
+  },
+  subdomainRequest: {
+    windowMs: 15 * MINUTE,
+    ip: 10,
+    account: 5,
+    message: 'Too many access requests submitted. Please wait before submitting another request.'
+  },
+  subdomainGeneral: {
+    windowMs: 15 * MINUTE,
+    ip: 100,
+    message: 'Too many requests. Please try again later.'
+  },
+  // verify-access is called by subdomain backends from a shared IP, so it is
+  // only limited per user
+  subdomainVerify: {
+    windowMs: 5 * MINUTE,
+    account: 300,
+    message: 'Too many access checks. Please try again later.'
+  },
+  // Proof-of-work escalation (utils/challengeService.js): not used as
+  // limiters; every `ip` challenges issued or failures adds difficulty
+  challengeIssue: {
+    windowMs: 15 * MINUTE,
+    ip: 10
+  },
+  challengeFailure: {
+    windowMs: HOUR,
+    ip: 1
+  }
+};
+
+class RateLimitConfig {
+  constructor() {
+    this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+    this.policies = this.loadPolicies();
+  }
+
+  loadPolicies() {
+    let overrides = {};
+
+    if (process.env.RATE_LIMIT_POLICIES) {
+      try {
+        overrides = JSON.parse(process.env.RATE_LIMIT_POLICIES);
+      } catch (error) {
+        console.warn(`⚠️ Ignoring invalid RATE_LIMIT_POLICIES: ${error.message}`);
+      }
+    }
+
+    const policies = {};
+    for (const name of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])) {
+      policies[name] = { name, ...DEFAULT_POLICIES[name], ...overrides[name] };
+    }
+
+    return policies;
+  }
+
+  getPolicy(name) {
+    return this.policies[name] || null;
+  }
+}
+
+// Export singleton instance
+module.exports = new RateLimitConfig();
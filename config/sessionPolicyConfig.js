@@ -0,0 +1,63 @@
+/**
+ * Session policies per role
+ *
+ * - idleTimeoutMinutes: a session ends when it has been unused this long
+ * - absoluteTimeoutHours: a session ends this long after sign-in, however
+ *   active it is; the user must sign in again
+ *
+ * Access tokens never outlive the idle timeout, so every session is checked
+ * at refresh (POST /api/auth/refresh) at least once per idle period.
+ *
+ * Roles without a policy use the `user` policy. Policies can be tuned without
+ * a code change with SESSION_POLICIES, a JSON object merged over the
+ * defaults, e.g. {"admin":{"idleTimeoutMinutes":15},"user":{"absoluteTimeoutHours":336}}
+ */
+const DEFAULT_POLICIES = {
+  user: {
+    idleTimeoutMinutes: 7 * 24 * 60, // 7 days, the refresh token lifetime
+    absoluteTimeoutHours: 30 * 24 // 30 days
+  },
+  admin: {
+    idleTimeoutMinutes: 60,
+    absoluteTimeoutHours: 12
+  }
+};
+
+class SessionPolicyConfig {
+  constructor() {
+    this.policies = this.loadPolicies();
+  }
+
+  loadPolicies() {
+    let overrides = {};
+
+    if (process.env.SESSION_POLICIES) {
+      try {
+        overrides = JSON.parse(process.env.SESSION_POLICIES);
+      } catch (error) {
+        console.warn(`⚠️ Ignoring invalid SESSION_POLICIES: ${error.message}`);
+      }
+    }
+
+    const policies = {};
+    for (const role of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])) {
+      const policy = { ...DEFAULT_POLICIES.user, ...DEFAULT_POLICIES[role], ...overrides[role] };
+
+      policies[role] = {
+        role,
+        ...policy,
+        idleTimeoutMs: policy.idleTimeoutMinutes * 60 * 1000,
+        absoluteTimeoutMs: policy.absoluteTimeoutHours * 60 * 60 * 1000
+      };
+    }
+
+    return policies;
+  }
+
+  getPolicy(role) {
+    return this.policies[role] || this.policies.user;
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionPolicyConfig();
@@ -0,0 +1,241 @@
+const ApiKey = require('../models/ApiKey');
+const authService = require('../utils/authService');
+const apiKeyService = require('../utils/apiKeyService');
+
+/**
+ * API Key Controller
+ * Personal access tokens for programmatic clients, and admin oversight
+ */
+const apiKeyController = {
+  /**
+   * List the current user's API keys
+   * GET /api/users/api-keys
+   */
+  async listMyKeys(req, res) {
+    try {
+      const keys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        apiKeys: keys.map(key => key.toSafeObject())
+      });
+
+    } catch (error) {
+      console.error('List API keys error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve API keys',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Create an API key. The key is only returned once.
+   * POST /api/users/api-keys
+   */
+  async createKey(req, res) {
+    try {
+      const { name, scopes = [], expiresInDays = apiKeyService.defaultExpiryDays } = req.body;
+
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'A name is required for the API key'
+        });
+      }
+
+      if (typeof expiresInDays !== 'number' || expiresInDays <= 0 || expiresInDays > apiKeyService.maxExpiryDays) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: `API keys must expire within ${apiKeyService.maxExpiryDays} days`
+        });
+      }
+
+      const scopeError = await apiKeyService.validateScopes(req.user, scopes);
+      if (scopeError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: scopeError
+        });
+      }
+
+      const activeKeys = await ApiKey.countActiveKeys(req.user._id);
+      if (activeKeys >= apiKeyService.maxKeysPerUser) {
+        return res.status(400).json({
+          success: false,
+          error: 'Limit Reached',
+          message: `You can have at most ${apiKeyService.maxKeysPerUser} active API keys`
+        });
+      }
+
+      const { key, keyHash, prefix } = apiKeyService.generateKey();
+
+      const apiKey = await ApiKey.create({
+        userId: req.user._id,
+        name: authService.sanitizeInput(name.trim()),
+        keyHash,
+        prefix,
+        scopes: [...new Set(scopes.map(scope => scope.trim()))],
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      });
+
+      console.log(`✅ API key created: ${apiKey.prefix} (${apiKey.name}) for ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created successfully. Store the key now; it will not be shown again.',
+        apiKey: apiKey.toSafeObject(),
+        key,
+        usage: `Authorization: ${apiKeyService.scheme} ${key}`
+      });
+
+    } catch (error) {
+      console.error('Create API key error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to create API key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Revoke one of the current user's API keys
+   * DELETE /api/users/api-keys/:keyId
+   */
+  async revokeMyKey(req, res) {
+    try {
+      const apiKey = await ApiKey.revoke(req.params.keyId, req.user._id, req.user._id);
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API Key Not Found',
+          message: 'API key not found or already revoked'
+        });
+      }
+
+      console.log(`✅ API key revoked: ${apiKey.prefix} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully',
+        apiKey: apiKey.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Revoke API key error:', error.message);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Invalid API key ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to revoke API key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * List API keys across all users, optionally filtered by user or status
+   * GET /api/users/admin/api-keys
+   */
+  async listAllKeys(req, res) {
+    try {
+      const { userId, status } = req.query;
+
+      const query = {};
+      if (userId) query.userId = userId;
+
+      const keys = await ApiKey.find(query)
+        .populate('userId', 'firstName lastName email role')
+        .sort({ createdAt: -1 });
+
+      const results = keys
+        .map(key => key.toSafeObject())
+        .filter(key => !status || key.status === status);
+
+      res.status(200).json({
+        success: true,
+        apiKeys: results
+      });
+
+    } catch (error) {
+      console.error('List all API keys error:', error.message);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Invalid user ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve API keys',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Revoke any user's API key
+   * DELETE /api/users/admin/api-keys/:keyId
+   */
+  async revokeKey(req, res) {
+    try {
+      const apiKey = await ApiKey.revoke(req.params.keyId, req.user._id);
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API Key Not Found',
+          message: 'API key not found or already revoked'
+        });
+      }
+
+      console.log(`✅ API key revoked: ${apiKey.prefix} (user ${apiKey.userId}) by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully',
+        apiKey: apiKey.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Admin revoke API key error:', error.message);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Invalid API key ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to revoke API key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = apiKeyController;
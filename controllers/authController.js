@@ -1,6 +1,21 @@
 const User = require('../models/User');
 const Token = require('../models/Token');
+const SecurityEvent = require('../models/SecurityEvent');
+const Invitation = require('../models/Invitation');
+const ApiKey = require('../models/ApiKey');
 const authService = require('../utils/authService');
+const passwordPolicyService = require('../utils/passwordPolicyService');
+const sessionService = require('../utils/sessionService');
+const signingKeys = require('../config/signingKeys');
+const oidcProviderService = require('../utils/oidcProviderService');
+const tokenIntrospectionService = require('../utils/tokenIntrospectionService');
+const tokenRevocationService = require('../utils/tokenRevocationService');
+const csrfService = require('../utils/csrfService');
+const invitationService = require('../utils/invitationService');
+const emailVerificationService = require('../utils/emailVerificationService');
+const impersonationService = require('../utils/impersonationService');
+const backchannelLogoutService = require('../utils/backchannelLogoutService');
+const totpService = require('../utils/totpService');
 const emailService = require('../utils/emailService');
 const emailTemplates = require('../utils/emailTemplates');
 
@@ -8,7 +23,25 @@ const authController = {
   // User registration
   async signup(req, res) {
     try {
-      const { firstName, lastName, email, password, username, referralCode } = req.body;
+      const { firstName, lastName, email, password, username, referralCode, invitationToken } = req.body;
+
+      // Registration may be closed or limited to invited users
+      const signupMode = await invitationService.getSignupMode();
+      if (signupMode === 'closed') {
+        return res.status(403).json({
+          success: false,
+          error: 'Registration Closed',
+          message: 'New account registration is currently closed'
+        });
+      }
+
+      if (signupMode === 'invite-only' && !invitationToken) {
+        return res.status(403).json({
+          success: false,
+          error: 'Invitation Required',
+          message: 'Registration is by invitation only'
+        });
+      }
 
       // Validate required fields
       if (!firstName || !lastName || !email || !password) {
@@ -28,13 +61,30 @@ const authController = {
         });
       }
 
-      // Validate password strength
-      const passwordValidation = authService.validatePassword(password);
+      // An invitation pre-assigns role, permissions and subdomain access
+      let invitation = null;
+      if (invitationToken) {
+        const result = await invitationService.findInvitationForSignup(invitationToken, email);
+        if (result.error) {
+          return res.status(403).json({
+            success: false,
+            error: 'Invalid Invitation',
+            message: result.error
+          });
+        }
+        invitation = result.invitation;
+      }
+
+      // Validate password against the policy for the role being created
+      const passwordValidation = await passwordPolicyService.validate(password, {
+        role: invitation ? invitation.role : 'user'
+      });
       if (!passwordValidation.isValid) {
         return res.status(400).json({
           success: false,
           error: 'Validation Error',
-          message: passwordValidation.message
+          message: passwordValidation.message,
+          violations: passwordValidation.violations
         });
       }
 
@@ -94,6 +144,8 @@ const authController = {
         lastName: authService.sanitizeInput(lastName),
         email: email.toLowerCase().trim(),
         password: hashedPassword,
+        passwordChangedAt: new Date(),
+        passwordHistory: [hashedPassword],
         registrationIP: ipAddress,
         referredBy
       };
@@ -102,46 +154,44 @@ const authController = {
         userData.username = authService.sanitizeInput(username);
       }
 
-      const user = new User(userData);
-      await user.save();
+      if (invitation) {
+        userData.role = invitation.role;
+        userData.permissions = invitation.permissions;
+        // An invitation emailed to this address proves ownership of it
+        userData.emailVerified = !!invitation.email;
 
-      // Generate email verification token
-      const verificationToken = authService.generateSecureToken();
-      await Token.createToken(
-        user._id,
-        verificationToken,
-        'email_verification',
-        Token.getExpirationTime('email_verification'),
-        ipAddress,
-        userAgent
-      );
+        // Take one use atomically so concurrent signups cannot exceed maxUses
+        if (!await Invitation.claimUse(invitation._id)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Invalid Invitation',
+            message: 'Invitation is invalid, expired or has already been used'
+          });
+        }
+      }
 
-      // Send verification email
+      const user = new User(userData);
       try {
-        const emailTemplate = emailTemplates.emailVerificationTemplate(user, verificationToken);
-        await emailService.sendEmail({
-          to: user.email,
-          subject: emailTemplate.subject,
-          html: emailTemplate.html
-        });
-      } catch (emailError) {
-        console.error('Email verification send failed:', emailError.message);
-        // Continue with registration even if email fails
+        await user.save();
+      } catch (saveError) {
+        if (invitation) await Invitation.releaseUse(invitation._id);
+        throw saveError;
       }
 
-      // Generate JWT token
-      const token = authService.generateToken(user._id);
-      const refreshToken = authService.generateRefreshToken(user._id);
+      if (invitation) {
+        await Invitation.recordUse(invitation._id, user._id);
+        await invitationService.applySubdomainGrants(user, invitation);
+        console.log(`✅ Invitation ${invitation._id} accepted by: ${user.email}`);
+      }
 
-      // Store refresh token
-      await Token.createToken(
-        user._id,
-        refreshToken,
-        'refresh',
-        Token.getExpirationTime('refresh'),
-        ipAddress,
-        userAgent
-      );
+      if (!user.emailVerified) {
+        try {
+          await emailVerificationService.sendVerificationEmail(user, ipAddress, userAgent);
+        } catch (emailError) {
+          console.error('Email verification send failed:', emailError.message);
+          // Continue with registration even if email fails
+        }
+      }
 
       // Send welcome email
       try {
@@ -156,30 +206,18 @@ const authController = {
         // Continue with registration even if email fails
       }
 
-      console.log(`✅ User registered successfully: ${user.email}`);
-
-      // Set secure HTTP-only cookies for subdomain access
-      const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
-        domain: process.env.NODE_ENV === 'production' ? '.equussystems.co' : undefined
-      };
+      // Generate JWT tokens and set secure HTTP-only cookies for subdomain access
+      const session = await sessionService.issueSession(req, res, user);
 
-      res.cookie('auth_token', token, cookieOptions);
-      res.cookie('refresh_token', refreshToken, {
-        ...cookieOptions,
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days for refresh token
-      });
+      console.log(`✅ User registered successfully: ${user.email}`);
 
       res.status(201).json({
         success: true,
-        message: 'User registered successfully. Please check your email to verify your account.',
+        message: user.emailVerified
+          ? 'User registered successfully.'
+          : 'User registered successfully. Please check your email to verify your account.',
         user: authService.generateUserResponse(user),
-        token,
-        refreshToken,
-        expiresIn: 86400 // 24 hours in seconds
+        ...session
       });
 
     } catch (error) {
@@ -202,6 +240,33 @@ const authController = {
     }
   },
 
+  /**
+   * Password rules for the signed-in user's role, or for new accounts
+   * GET /api/auth/password-policy
+   */
+  async getPasswordPolicy(req, res) {
+    try {
+      const role = req.user ? req.user.role : 'user';
+
+      res.status(200).json({
+        success: true,
+        role,
+        policy: passwordPolicyService.describePolicy(role),
+        passwordExpiresAt: req.user ? passwordPolicyService.getPasswordExpiry(req.user) : undefined
+      });
+
+    } catch (error) {
+      console.error('Get password policy error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve password policy',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
   // User login
   async signin(req, res) {
     try {
@@ -235,21 +300,13 @@ const authController = {
         });
       }
 
-      // Check if account is locked
-      if (user.isLocked) {
-        return res.status(423).json({
-          success: false,
-          error: 'Account Locked',
-          message: 'Account is temporarily locked due to too many failed login attempts'
-        });
-      }
-
-      // Check if account is active
-      if (!user.isActive || user.accountStatus !== 'active') {
-        return res.status(401).json({
+      // Check if account is locked or inactive
+      const blockReason = sessionService.getLoginBlockReason(user);
+      if (blockReason) {
+        return res.status(blockReason.status).json({
           success: false,
-          error: 'Account Inactive',
-          message: 'Account is inactive or suspended'
+          error: blockReason.error,
+          message: blockReason.message
         });
       }
 
@@ -257,7 +314,7 @@ const authController = {
       const isPasswordValid = await authService.comparePassword(password, user.password);
       if (!isPasswordValid) {
         // Increment login attempts
-        await user.incrementLoginAttempts();
+        await sessionService.recordFailedLogin(req, user);
         
         return res.status(401).json({
           success: false,
@@ -266,67 +323,276 @@ const authController = {
         });
       }
 
-      // Reset login attempts on successful login
-      if (user.loginAttempts > 0) {
-        await user.resetLoginAttempts();
+      // Require a second factor before issuing any tokens
+      if (user.twoFactor && user.twoFactor.enabled) {
+        const challengeToken = await sessionService.createTwoFactorChallenge(req, user);
+
+        return res.status(200).json({
+          success: true,
+          requiresTwoFactor: true,
+          message: 'Two-factor authentication code required',
+          challengeToken,
+          challengeExpiresIn: 300 // 5 minutes in seconds
+        });
       }
 
-      // Update last login
-      const ipAddress = authService.getClientIpAddress(req);
-      await user.updateLastLogin(ipAddress);
+      const session = await sessionService.startSession(req, res, user, { rememberMe });
+
+      console.log(`✅ User logged in successfully: ${user.email}`);
 
-      // Generate tokens
-      const tokenExpiry = rememberMe ? '7d' : '24h';
-      const token = authService.generateToken(user._id, tokenExpiry);
-      const refreshToken = authService.generateRefreshToken(user._id);
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        user: authService.generateUserResponse(user),
+        ...session
+      });
+
+    } catch (error) {
+      console.error('Login error:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to process login. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Complete login with a TOTP or backup code after a two-factor challenge
+  async verifyTwoFactor(req, res) {
+    try {
+      const { challengeToken, code, backupCode, rememberMe } = req.body;
+
+      // Validate required fields
+      if (!challengeToken || (!code && !backupCode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Challenge token and an authentication code or backup code are required'
+        });
+      }
+
+      // Claim the challenge before checking the code so concurrent requests
+      // cannot complete it twice
+      const challenge = await Token.consumeToken(challengeToken, 'two_factor_challenge');
+      if (!challenge) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'Two-factor challenge is invalid or has expired. Please sign in again.'
+        });
+      }
+
+      // Find user
+      const user = await User.findById(challenge.userId);
+      if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'Two-factor challenge is invalid or has expired. Please sign in again.'
+        });
+      }
+
+      // Check if account is locked or inactive
+      const blockReason = sessionService.getLoginBlockReason(user);
+      if (blockReason) {
+        return res.status(blockReason.status).json({
+          success: false,
+          error: blockReason.error,
+          message: blockReason.message
+        });
+      }
+
+      // Verify second factor
+      const verification = await totpService.verifyUserFactor(user, { code, backupCode });
+      if (!verification.verified) {
+        // Failed codes count towards the account lockout; the challenge can
+        // be retried until then
+        await sessionService.recordFailedLogin(req, user);
+        await Token.release(challenge._id);
+
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Code',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      const session = await sessionService.startSession(req, res, user, { rememberMe });
+
+      console.log(`✅ User logged in successfully with two-factor authentication: ${user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        user: authService.generateUserResponse(user),
+        ...session,
+        backupCodesRemaining: verification.backupCodesRemaining
+      });
+
+    } catch (error) {
+      console.error('Two-factor login error:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to verify two-factor authentication. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Request a one-time sign-in link by email
+  async requestMagicLink(req, res) {
+    try {
+      const { email } = req.body;
+
+      // Validate email
+      if (!email || !authService.validateEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Please provide a valid email address'
+        });
+      }
+
+      const genericResponse = {
+        success: true,
+        message: 'If an account with this email exists, a sign-in link has been sent.',
+        linkExpiry: Token.getExpirationTime('magic_login').toISOString()
+      };
+
+      // Find user; don't reveal if the account exists or can sign in
+      const user = await User.findByEmail(email);
+      if (!user || sessionService.getLoginBlockReason(user)) {
+        return res.status(200).json(genericResponse);
+      }
+
+      // Generate login token
+      const loginToken = authService.generateSecureToken();
+
+      // Only the latest link is valid
+      await Token.revokeUserTokens(user._id, 'magic_login');
 
-      // Store refresh token
-      const userAgent = req.get('User-Agent');
       await Token.createToken(
         user._id,
-        refreshToken,
-        'refresh',
-        Token.getExpirationTime('refresh'),
-        ipAddress,
-        userAgent
+        loginToken,
+        'magic_login',
+        Token.getExpirationTime('magic_login'),
+        authService.getClientIpAddress(req),
+        req.get('User-Agent')
       );
 
-      console.log(`✅ User logged in successfully: ${user.email}`);
+      // Send sign-in email
+      try {
+        const emailTemplate = emailTemplates.magicLinkTemplate(user, loginToken);
+        await emailService.sendEmail({
+          to: user.email,
+          subject: emailTemplate.subject,
+          html: emailTemplate.html
+        });
+      } catch (emailError) {
+        console.error('Magic link email send failed:', emailError.message);
+        return res.status(500).json({
+          success: false,
+          error: 'Email Service Error',
+          message: 'Failed to send sign-in link. Please try again later.'
+        });
+      }
 
-      // Set secure HTTP-only cookies for subdomain access
-      const cookieMaxAge = rememberMe ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000; // 7 days or 24 hours
-      const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-        maxAge: cookieMaxAge,
-        // Enable subdomain sharing in production
-        domain: process.env.NODE_ENV === 'production' ? '.equussystems.co' : undefined
-      };
+      console.log(`✅ Magic link requested for: ${user.email}`);
+
+      res.status(200).json(genericResponse);
 
+    } catch (error) {
+      console.error('Magic link request error:', error.message);
 
-      res.cookie('auth_token', token, cookieOptions);
-      res.cookie('refresh_token', refreshToken, {
-        ...cookieOptions,
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days for refresh token
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to process sign-in link request. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
+    }
+  },
+
+  // Sign in with a one-time link token
+  async consumeMagicLink(req, res) {
+    try {
+      const { token, rememberMe } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Sign-in token is required'
+        });
+      }
+
+      // Find and validate token
+      const loginToken = await Token.findValidToken(token, 'magic_login');
+      const user = loginToken ? await User.findById(loginToken.userId) : null;
+
+      if (!loginToken || !user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'Sign-in link is invalid or has expired'
+        });
+      }
+
+      // Check if account is locked or inactive
+      const blockReason = sessionService.getLoginBlockReason(user);
+      if (blockReason) {
+        return res.status(blockReason.status).json({
+          success: false,
+          error: blockReason.error,
+          message: blockReason.message
+        });
+      }
+
+      // Links are single-use; a concurrent request may already have claimed it
+      const consumed = await Token.consumeToken(token, 'magic_login');
+      if (!consumed) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'Sign-in link is invalid or has expired'
+        });
+      }
+
+      // The link replaces the password only; a second factor is still required
+      if (user.twoFactor && user.twoFactor.enabled) {
+        const challengeToken = await sessionService.createTwoFactorChallenge(req, user);
+
+        return res.status(200).json({
+          success: true,
+          requiresTwoFactor: true,
+          message: 'Two-factor authentication code required',
+          challengeToken,
+          challengeExpiresIn: 300 // 5 minutes in seconds
+        });
+      }
+
+      const session = await sessionService.startSession(req, res, user, { rememberMe });
+
+      console.log(`✅ User logged in successfully with magic link: ${user.email}`);
 
       res.status(200).json({
         success: true,
         message: 'Login successful',
         user: authService.generateUserResponse(user),
-        token,
-        refreshToken,
-        expiresIn: rememberMe ? 604800 : 86400 // 7 days or 24 hours in seconds
+        ...session
       });
 
     } catch (error) {
-      console.error('Login error:', error.message);
-      
+      console.error('Magic link login error:', error.message);
+
       res.status(500).json({
         success: false,
         error: 'Server Error',
-        message: 'Failed to process login. Please try again later.',
+        message: 'Failed to process sign-in link. Please try again later.',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -444,16 +710,6 @@ const authController = {
         });
       }
 
-      // Validate password strength
-      const passwordValidation = authService.validatePassword(newPassword);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          error: 'Validation Error',
-          message: passwordValidation.message
-        });
-      }
-
       // Find and validate token
       const resetToken = await Token.findValidToken(token, 'password_reset');
       if (!resetToken) {
@@ -483,21 +739,33 @@ const authController = {
         });
       }
 
+      // Validate password against the user's role policy and history
+      const passwordValidation = await passwordPolicyService.validate(newPassword, { role: user.role, user });
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: passwordValidation.message,
+          violations: passwordValidation.violations
+        });
+      }
+
       // Hash new password
       const hashedPassword = await authService.hashPassword(newPassword);
 
       // Update user password
+      const passwordUpdate = passwordPolicyService.buildPasswordUpdate(hashedPassword, user.role);
       await User.findByIdAndUpdate(user._id, {
-        password: hashedPassword,
+        ...passwordUpdate,
         $unset: { lockUntil: 1 }, // Remove account lock if present
-        $set: { loginAttempts: 0, accountLocked: false }
+        $set: { ...passwordUpdate.$set, loginAttempts: 0, accountLocked: false, passwordResetRequired: false }
       });
 
       // Mark token as used
       await resetToken.markAsUsed();
 
-      // Revoke all refresh tokens for security
-      await Token.revokeUserTokens(user._id, 'refresh');
+      // Revoke all sessions and outstanding access tokens for security
+      await tokenRevocationService.revokeAllUserTokens(user);
 
       // Send confirmation email
       try {
@@ -614,16 +882,338 @@ const authController = {
     }
   },
 
-  // Refresh token
-  async refreshToken(req, res) {
+  /**
+   * Send a new verification link to the signed-in user, replacing earlier ones
+   * POST /api/auth/resend-verification
+   */
+  async resendVerification(req, res) {
     try {
-      const { refreshToken: bodyRefreshToken } = req.body;
-      const cookieRefreshToken = req.cookies.refresh_token;
+      const user = req.user;
 
-      // Get refresh token from body or cookie
-      const refreshToken = bodyRefreshToken || cookieRefreshToken;
-
-      // Validate refresh token
+      if (user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          error: 'Already Verified',
+          message: 'Email address is already verified'
+        });
+      }
+
+      const retryAfter = await emailVerificationService.getResendCooldown(user._id);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Too Many Requests',
+          message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+          retryAfter
+        });
+      }
+
+      try {
+        await emailVerificationService.sendVerificationEmail(
+          user,
+          authService.getClientIpAddress(req),
+          req.get('User-Agent')
+        );
+      } catch (emailError) {
+        console.error('Email verification send failed:', emailError.message);
+
+        return res.status(500).json({
+          success: false,
+          error: 'Email Error',
+          message: 'Failed to send verification email. Please try again later.'
+        });
+      }
+
+      console.log(`✅ Verification email resent to: ${user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'A new verification link has been sent to your email address.',
+        emailVerification: emailVerificationService.getStatus(user)
+      });
+
+    } catch (error) {
+      console.error('Resend verification error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to resend verification email. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // "This wasn't me" link from a security alert: sign out every device and
+  // require a password reset before the next sign-in
+  async reportCompromise(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Report token is required'
+        });
+      }
+
+      const reportToken = await Token.consumeToken(token, 'security_report');
+      const user = reportToken ? await User.findById(reportToken.userId) : null;
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'This link is invalid or has expired'
+        });
+      }
+
+      const ipAddress = authService.getClientIpAddress(req);
+      const userAgent = req.get('User-Agent');
+
+      await User.findByIdAndUpdate(user._id, { passwordResetRequired: true });
+      await tokenRevocationService.revokeAllUserTokens(user);
+
+      // Revoke API keys and outstanding sign-in links, then send a fresh reset link
+      await ApiKey.revokeUserKeys(user._id);
+      await Token.revokeUserTokens(user._id, 'magic_login');
+      await Token.revokeUserTokens(user._id, 'password_reset');
+
+      const resetToken = authService.generateSecureToken();
+      await Token.createToken(
+        user._id,
+        resetToken,
+        'password_reset',
+        Token.getExpirationTime('password_reset'),
+        ipAddress,
+        userAgent
+      );
+
+      await SecurityEvent.logEvent(user._id, 'compromise_reported', { ipAddress, userAgent });
+
+      try {
+        const emailTemplate = emailTemplates.passwordResetTemplate(user, resetToken);
+        await emailService.sendEmail({
+          to: user.email,
+          subject: emailTemplate.subject,
+          html: emailTemplate.html
+        });
+      } catch (emailError) {
+        console.error('Password reset email send failed:', emailError.message);
+      }
+
+      console.warn(`⚠️ Sign-in reported as not genuine: ${user.email}; all sessions revoked`);
+
+      res.status(200).json({
+        success: true,
+        message: 'All sessions have been signed out. Check your email for a link to choose a new password.'
+      });
+
+    } catch (error) {
+      console.error('Report compromise error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to secure account. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Confirm an email change from the link sent to the new address. Every
+   * session is signed out afterwards; a browser signed in as the same user
+   * gets a fresh session.
+   * POST /api/auth/email-change/confirm
+   */
+  async confirmEmailChange(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Confirmation token is required'
+        });
+      }
+
+      const changeToken = await Token.consumeToken(token, 'email_change');
+      const user = changeToken ? await User.findById(changeToken.userId) : null;
+      if (!user || !user.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'This link is invalid or has expired'
+        });
+      }
+
+      const previousEmail = user.email;
+      const newEmail = changeToken.email;
+
+      // The address may have been registered since the change was requested
+      const existingUser = await User.findByEmail(newEmail);
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email In Use',
+          message: 'An account with this email address already exists'
+        });
+      }
+
+      user.email = newEmail;
+      user.emailVerified = true;
+      await user.save();
+
+      // Old verification links point at the previous address
+      await Token.revokeUserTokens(user._id, 'email_verification');
+
+      const ipAddress = authService.getClientIpAddress(req);
+      const userAgent = req.get('User-Agent');
+
+      await SecurityEvent.logEvent(user._id, 'email_changed', {
+        ipAddress,
+        userAgent,
+        details: { from: previousEmail, to: newEmail }
+      });
+
+      // Rotate credentials: sessions were issued for the old address
+      await tokenRevocationService.revokeAllUserTokens(user);
+
+      let session = {};
+      if (req.user && req.user._id.equals(user._id)) {
+        session = await sessionService.issueSession(req, res, user);
+      }
+
+      console.log(`✅ Email changed: ${previousEmail} -> ${newEmail}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Your email address has been changed. Other devices have been signed out.',
+        user: authService.generateUserResponse(user),
+        ...session
+      });
+
+    } catch (error) {
+      console.error('Confirm email change error:', error.message);
+
+      // Registered between the check above and the save (the User model
+      // rewrites duplicate key errors)
+      if (error.message === 'Email address is already registered') {
+        return res.status(400).json({
+          success: false,
+          error: 'Email In Use',
+          message: 'An account with this email address already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to change email address',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Cancel an email change from the link sent to the previous address. A
+   * change that was already confirmed is reverted and every device signed out.
+   * POST /api/auth/email-change/cancel
+   */
+  async cancelEmailChange(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Cancellation token is required'
+        });
+      }
+
+      const cancelToken = await Token.consumeToken(token, 'email_change_cancel');
+      const user = cancelToken ? await User.findById(cancelToken.userId) : null;
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'This link is invalid or has expired'
+        });
+      }
+
+      const ipAddress = authService.getClientIpAddress(req);
+      const userAgent = req.get('User-Agent');
+      const originalEmail = cancelToken.email;
+
+      await Token.revokeUserTokens(user._id, 'email_change');
+
+      // Still pending: nothing else to undo
+      if (user.email === originalEmail) {
+        await SecurityEvent.logEvent(user._id, 'email_change_cancelled', { ipAddress, userAgent });
+
+        console.log(`✅ Email change cancelled for: ${user.email}`);
+
+        return res.status(200).json({
+          success: true,
+          message: 'The email change has been cancelled'
+        });
+      }
+
+      const existingUser = await User.findByEmail(originalEmail);
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          error: 'Email In Use',
+          message: 'Your previous email address is now used by another account. Please contact support.'
+        });
+      }
+
+      const changedEmail = user.email;
+      user.email = originalEmail;
+      user.emailVerified = true;
+      await user.save();
+
+      await tokenRevocationService.revokeAllUserTokens(user);
+
+      await SecurityEvent.logEvent(user._id, 'email_change_reverted', {
+        ipAddress,
+        userAgent,
+        details: { from: changedEmail, to: originalEmail }
+      });
+
+      console.warn(`⚠️ Email change reverted: ${changedEmail} -> ${originalEmail}; all sessions revoked`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Your previous email address has been restored and all devices signed out. We recommend resetting your password.'
+      });
+
+    } catch (error) {
+      console.error('Cancel email change error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to cancel email change',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Refresh token
+  async refreshToken(req, res) {
+    try {
+      const { refreshToken: bodyRefreshToken } = req.body;
+      const cookieRefreshToken = req.cookies.refresh_token;
+
+      // Get refresh token from body or cookie
+      const refreshToken = bodyRefreshToken || cookieRefreshToken;
+
+      // Validate refresh token
       if (!refreshToken) {
         return res.status(400).json({
           success: false,
@@ -635,9 +1225,9 @@ const authController = {
       // Verify refresh token
       const decoded = authService.verifyRefreshToken(refreshToken);
 
-      // Find and validate stored token
-      const storedToken = await Token.findValidToken(refreshToken, 'refresh');
-      if (!storedToken) {
+      // Find stored token, including used ones so replays can be detected
+      const storedToken = await Token.findOne({ token: refreshToken, type: 'refresh' });
+      if (!storedToken || storedToken.isExpired || !storedToken.userId.equals(decoded.id)) {
         return res.status(401).json({
           success: false,
           error: 'Invalid Token',
@@ -655,47 +1245,47 @@ const authController = {
         });
       }
 
-      // Generate new tokens
-      const newToken = authService.generateToken(user._id);
-      const newRefreshToken = authService.generateRefreshToken(user._id);
+      // An already rotated token being presented again signals theft
+      if (storedToken.used) {
+        if (storedToken.rotatedAt) {
+          await sessionService.handleRefreshTokenReuse(req, user, storedToken);
+        }
 
-      // Mark old refresh token as used
-      await storedToken.markAsUsed();
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'Refresh token is invalid or has expired'
+        });
+      }
 
-      // Store new refresh token
-      const ipAddress = authService.getClientIpAddress(req);
-      const userAgent = req.get('User-Agent');
-      await Token.createToken(
-        user._id,
-        newRefreshToken,
-        'refresh',
-        Token.getExpirationTime('refresh'),
-        ipAddress,
-        userAgent
-      );
+      // Sessions end after the role's idle or absolute timeout
+      const timeout = await sessionService.checkSessionTimeout(user, storedToken);
+      if (timeout) {
+        sessionService.clearAuthCookies(res);
 
-      console.log(`✅ Token refreshed successfully for: ${user.email}`);
+        return res.status(401).json({
+          success: false,
+          error: 'Session Expired',
+          code: timeout.code,
+          message: timeout.message
+        });
+      }
 
-      // Set secure HTTP-only cookies for subdomain access
-      const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
-        domain: process.env.NODE_ENV === 'production' ? '.equussystems.co' : undefined
-      };
+      // Rotate tokens within the same session
+      const session = await sessionService.rotateSession(req, res, user, storedToken);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Token',
+          message: 'Refresh token is invalid or has expired'
+        });
+      }
 
-      res.cookie('auth_token', newToken, cookieOptions);
-      res.cookie('refresh_token', newRefreshToken, {
-        ...cookieOptions,
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days for refresh token
-      });
+      console.log(`✅ Token refreshed successfully for: ${user.email}`);
 
       res.status(200).json({
         success: true,
-        token: newToken,
-        refreshToken: newRefreshToken,
-        expiresIn: 86400 // 24 hours in seconds
+        ...session
       });
 
     } catch (error) {
@@ -710,26 +1300,95 @@ const authController = {
     }
   },
 
+  // Confirm the password or a two-factor code to get a short-lived token
+  // with a fresh auth_time for sensitive operations
+  async reauthenticate(req, res) {
+    try {
+      const { password, code, backupCode } = req.body;
+
+      if (!password && !code && !backupCode) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Password, authentication code or backup code is required'
+        });
+      }
+
+      // req.user is loaded without the password hash
+      const user = await User.findById(req.user._id);
+
+      let verified = false;
+      let method = 'password';
+
+      if (password) {
+        verified = await authService.comparePassword(password, user.password);
+      } else {
+        const verification = await totpService.verifyUserFactor(user, { code, backupCode });
+        verified = verification.verified;
+        method = verification.method;
+      }
+
+      if (!verified) {
+        // Failed attempts count towards the account lockout
+        await sessionService.recordFailedLogin(req, user);
+
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Credentials',
+          message: password ? 'Password is incorrect' : 'Invalid authentication code'
+        });
+      }
+
+      const elevated = sessionService.issueElevatedToken(req, res, user);
+
+      console.log(`✅ User reauthenticated (${method}): ${user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Reauthentication successful',
+        ...elevated
+      });
+
+    } catch (error) {
+      console.error('Reauthentication error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to reauthenticate. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
   // Logout
   async logout(req, res) {
     try {
-      const { refreshToken } = req.body;
+      // Signing out of an impersonation ends it; the admin's session is untouched
+      if (req.impersonator) {
+        await impersonationService.end(req, res, req.tokenPayload.imp, req.impersonator);
 
-      // Revoke refresh token if provided
-      if (refreshToken) {
-        await Token.revokeUserTokens(req.user._id, 'refresh');
+        return res.status(200).json({
+          success: true,
+          message: 'Impersonation ended'
+        });
       }
 
+      // Revoke only this device's session; other devices stay signed in
+      const sessionId = await sessionService.getCurrentSessionId(req);
+      if (sessionId) {
+        await sessionService.revokeSession(req.user._id, sessionId);
+      }
+
+      // The access token stays usable until expiry unless revoked here
+      await tokenRevocationService.revokeToken(req.tokenPayload, 'logout');
+
       // Clear HTTP-only cookies
-      const cookieClearOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-        domain: process.env.NODE_ENV === 'production' ? '.equussystems.co' : undefined
-      };
+      sessionService.clearAuthCookies(res);
 
-      res.clearCookie('auth_token', cookieClearOptions);
-      res.clearCookie('refresh_token', cookieClearOptions);
+      // Sign the user out of subdomain clients too; not awaited so slow
+      // clients do not delay the response
+      backchannelLogoutService.notifyUser(req.user._id, 'logout');
 
       console.log(`✅ User logged out successfully: ${req.user.email}`);
 
@@ -750,6 +1409,38 @@ const authController = {
     }
   },
 
+  // Issue a fresh CSRF token for the current session (e.g. for sessions
+  // started before CSRF tokens were issued, or when the cookie was lost)
+  async getCsrfToken(req, res) {
+    try {
+      const csrfToken = csrfService.generateToken(req.sessionId);
+      sessionService.setCsrfCookie(res, csrfToken);
+
+      res.status(200).json({
+        success: true,
+        csrfToken,
+        headerName: csrfService.headerName
+      });
+
+    } catch (error) {
+      console.error('CSRF token error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to issue CSRF token',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Public keys for verifying access tokens (JWKS)
+  async getJwks(req, res) {
+    // Verifiers may cache the keyset; new keys are published as "next" ahead of use
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(signingKeys.getJwks());
+  },
+
   // Token validation for subdomain authentication
   async validateToken(req, res) {
     try {
@@ -806,19 +1497,12 @@ const authController = {
       // Find user
       const user = await User.findById(decoded.id || decoded.userId);
       if (!user) {
-        const userCount = await User.countDocuments();
-        
         return res.status(404).json({
           success: false,
           error: 'User Not Found',
-          message: 'User associated with this token was not found',
-          debug: {
-            tokenUserId: decoded.id || decoded.userId,
-            totalUsers: userCount
-          }
+          message: 'User associated with this token was not found'
         });
       }
-      
 
       // Check if user is active
       if (!user.isActive) {
@@ -847,6 +1531,15 @@ const authController = {
         });
       }
 
+      // Check the token has not been revoked
+      if (await tokenRevocationService.isRevoked(decoded, user)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Token Revoked',
+          message: 'Token has been revoked. Please login again.'
+        });
+      }
+
       // Generate safe user response for subdomain
       const safeUser = authService.generateUserResponse(user);
 
@@ -854,13 +1547,15 @@ const authController = {
       const clientIP = authService.getClientIpAddress(req);
       const userAgent = req.get('User-Agent');
 
-      // Update last activity (optional - may cause performance issues on high traffic)
-      // await User.findByIdAndUpdate(user._id, { lastActivity: new Date() });
+      // Subdomain use keeps the session from idling out (throttled)
+      sessionService.recordActivity(decoded.sid);
 
       res.status(200).json({
         success: true,
         message: 'Token is valid',
         user: safeUser,
+        // Subdomains can show an impersonation banner
+        impersonatedBy: decoded.act ? { id: decoded.act.sub, email: decoded.act.email } : undefined,
         validation: {
           valid: true,
           issuedAt: new Date(decoded.iat * 1000).toISOString(),
@@ -879,6 +1574,88 @@ const authController = {
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
+  },
+
+  /**
+   * Token introspection for registered confidential clients (RFC 7662)
+   * POST /api/auth/introspect
+   */
+  async introspect(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+      // Only confidential clients may learn about other parties' tokens
+      const client = await oidcProviderService.authenticateClient(req);
+      if (!client || client.clientType !== 'confidential') {
+        res.set('WWW-Authenticate', 'Basic realm="introspect"');
+        return res.status(401).json({
+          error: 'invalid_client',
+          error_description: 'Client authentication failed'
+        });
+      }
+
+      const { token, token_type_hint: tokenTypeHint } = req.body;
+      if (!token) {
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: 'token is required'
+        });
+      }
+
+      const result = await tokenIntrospectionService.introspect(token, tokenTypeHint, client);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      console.error('Token introspection error:', error.message);
+
+      res.status(500).json({
+        error: 'server_error',
+        error_description: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Token revocation for registered clients (RFC 7009)
+   * POST /api/auth/revoke
+   */
+  async revoke(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+      const client = await oidcProviderService.authenticateClient(req);
+      if (!client) {
+        res.set('WWW-Authenticate', 'Basic realm="revoke"');
+        return res.status(401).json({
+          error: 'invalid_client',
+          error_description: 'Client authentication failed'
+        });
+      }
+
+      const { token, token_type_hint: tokenTypeHint } = req.body;
+      if (!token) {
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: 'token is required'
+        });
+      }
+
+      await tokenIntrospectionService.revoke(token, tokenTypeHint, client);
+
+      // Invalid or unknown tokens also get 200 so callers learn nothing (RFC 7009)
+      res.status(200).end();
+
+    } catch (error) {
+      console.error('Token revocation error:', error.message);
+
+      res.status(503).json({
+        error: 'temporarily_unavailable',
+        error_description: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
   }
 };
 
@@ -0,0 +1,52 @@
+const challengeService = require('../utils/challengeService');
+
+/**
+ * Challenge Controller
+ * Issues proof-of-work challenges for public forms
+ */
+const challengeController = {
+  /**
+   * New challenge for a form
+   * POST /api/challenges
+   */
+  async createChallenge(req, res) {
+    try {
+      const { scope } = req.body || {};
+
+      if (!challengeService.scopes.includes(scope)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: `Scope must be one of: ${challengeService.scopes.join(', ')}`
+        });
+      }
+
+      if (!challengeService.enabled) {
+        return res.status(200).json({
+          success: true,
+          required: false
+        });
+      }
+
+      const challenge = await challengeService.createChallenge(req, scope);
+
+      res.status(201).json({
+        success: true,
+        required: true,
+        ...challenge
+      });
+
+    } catch (error) {
+      console.error('Create challenge error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to create challenge',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = challengeController;
@@ -0,0 +1,226 @@
+const User = require('../models/User');
+const Impersonation = require('../models/Impersonation');
+const authService = require('../utils/authService');
+const roleService = require('../utils/roleService');
+const impersonationService = require('../utils/impersonationService');
+
+/**
+ * Impersonation Controller
+ * Admins signing in as a user to see what they see, with an audit trail
+ */
+const impersonationController = {
+  /**
+   * Start impersonating a user. The token is also set as the auth cookie so
+   * the dashboard and subdomains see the user's session.
+   * POST /api/users/:id/impersonate
+   */
+  async startImpersonation(req, res) {
+    try {
+      const reason = typeof req.body.reason === 'string' ? authService.sanitizeInput(req.body.reason.trim()) : '';
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'A reason is required to impersonate a user'
+        });
+      }
+
+      const user = await User.findById(req.params.id).select('-password');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User Not Found',
+          message: 'User not found'
+        });
+      }
+
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Operation',
+          message: 'You cannot impersonate yourself'
+        });
+      }
+
+      // Impersonating another admin would hand out their admin rights
+      if (await roleService.hasAdminLevel(user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access Denied',
+          message: 'Administrators cannot be impersonated'
+        });
+      }
+
+      if (!user.isActive || user.accountStatus !== 'active') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Operation',
+          message: 'Only active accounts can be impersonated'
+        });
+      }
+
+      const { impersonation, token, csrfToken, expiresIn } = await impersonationService.start(req, res, req.user, user, reason);
+
+      res.status(200).json({
+        success: true,
+        message: `You are now signed in as ${user.email}`,
+        impersonation: impersonation.toSafeObject(),
+        user: authService.generateUserResponse(user),
+        token,
+        csrfToken,
+        expiresIn
+      });
+
+    } catch (error) {
+      console.error('Start impersonation error:', error.message);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Invalid user ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to start impersonation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * End the current impersonation. The admin's own session is restored by
+   * refreshing with their refresh cookie.
+   * POST /api/auth/impersonation/end
+   */
+  async endImpersonation(req, res) {
+    try {
+      if (!req.impersonator) {
+        return res.status(400).json({
+          success: false,
+          error: 'Not Impersonating',
+          message: 'This session is not an impersonation'
+        });
+      }
+
+      await impersonationService.end(req, res, req.tokenPayload.imp, req.impersonator);
+
+      res.status(200).json({
+        success: true,
+        message: 'Impersonation ended. Refresh your session to continue as yourself.'
+      });
+
+    } catch (error) {
+      console.error('End impersonation error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to end impersonation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Impersonation history, optionally filtered by admin, user or status
+   * GET /api/users/admin/impersonations
+   */
+  async listImpersonations(req, res) {
+    try {
+      const { adminId, userId, status } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const statusFilter = status ? Impersonation.statusFilter(status) : {};
+      if (!statusFilter) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Status must be one of: active, ended, expired'
+        });
+      }
+
+      await impersonationService.recordExpired();
+
+      const query = { ...statusFilter };
+      if (adminId) query.adminId = adminId;
+      if (userId) query.userId = userId;
+
+      const impersonations = await Impersonation.find(query)
+        .populate('adminId', 'firstName lastName email')
+        .populate('userId', 'firstName lastName email')
+        .sort({ startedAt: -1 })
+        .limit(limit);
+
+      res.status(200).json({
+        success: true,
+        impersonations: impersonations.map(impersonation => impersonation.toSafeObject())
+      });
+
+    } catch (error) {
+      console.error('List impersonations error:', error.message);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Invalid user ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve impersonations',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * End any active impersonation (e.g. one left open by another admin)
+   * POST /api/users/admin/impersonations/:impersonationId/end
+   */
+  async forceEndImpersonation(req, res) {
+    try {
+      const impersonation = await impersonationService.end(req, null, req.params.impersonationId, req.user);
+      if (!impersonation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Impersonation Not Found',
+          message: 'Impersonation not found or already ended'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Impersonation ended',
+        impersonation: impersonation.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Force end impersonation error:', error.message);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Invalid impersonation ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to end impersonation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = impersonationController;
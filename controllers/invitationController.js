@@ -0,0 +1,291 @@
+const Invitation = require('../models/Invitation');
+const authService = require('../utils/authService');
+const emailService = require('../utils/emailService');
+const emailTemplates = require('../utils/emailTemplates');
+const invitationService = require('../utils/invitationService');
+const subdomainAccessService = require('../utils/subdomainAccessService');
+const roleService = require('../utils/roleService');
+const permissionCatalog = require('../utils/permissionCatalog');
+
+/**
+ * Invitation Controller
+ * Admin management of the signup mode and signup invitations
+ */
+const invitationController = {
+  /**
+   * Current signup mode (public, so the signup page can ask for an invitation)
+   * GET /api/auth/signup-mode
+   */
+  async getSignupMode(req, res) {
+    try {
+      const mode = await invitationService.getSignupMode();
+
+      res.status(200).json({
+        success: true,
+        mode,
+        invitationRequired: mode === 'invite-only'
+      });
+
+    } catch (error) {
+      console.error('Get signup mode error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve signup mode',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Change the signup mode
+   * PUT /api/invitations/signup-mode
+   */
+  async updateSignupMode(req, res) {
+    try {
+      const { mode } = req.body;
+
+      if (!invitationService.signupModes.includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: `Mode must be one of: ${invitationService.signupModes.join(', ')}`
+        });
+      }
+
+      await invitationService.setSignupMode(mode, req.user._id);
+
+      console.log(`✅ Signup mode set to ${mode} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: `Signup mode set to ${mode}`,
+        mode
+      });
+
+    } catch (error) {
+      console.error('Update signup mode error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to update signup mode',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Create an invitation; emailed when an address is given. The token is
+   * only returned once.
+   * POST /api/invitations
+   */
+  async createInvitation(req, res) {
+    try {
+      const {
+        email,
+        role = 'user',
+        permissions = [],
+        subdomainGrants = [],
+        maxUses = 1,
+        expiresInDays = invitationService.defaultExpiryDays,
+        note
+      } = req.body;
+
+      const validationError = await validateInvitationInput({ email, role, permissions, subdomainGrants, maxUses, expiresInDays });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: validationError
+        });
+      }
+
+      const { token, tokenHash } = invitationService.generateToken();
+
+      const invitation = await Invitation.create({
+        tokenHash,
+        email: email ? email.toLowerCase().trim() : null,
+        role,
+        permissions: permissions.map(permission => authService.sanitizeInput(permission)),
+        subdomainGrants: subdomainGrants.map(grant => ({
+          subdomainId: grant.subdomainId,
+          expiresAt: grant.expiresAt ? new Date(grant.expiresAt) : null
+        })),
+        maxUses,
+        note: note ? authService.sanitizeInput(note) : undefined,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+        createdBy: req.user._id
+      });
+
+      let emailSent = false;
+      if (invitation.email) {
+        try {
+          const emailTemplate = emailTemplates.invitationTemplate(invitation, req.user, token);
+          await emailService.sendEmail({
+            to: invitation.email,
+            subject: emailTemplate.subject,
+            html: emailTemplate.html
+          });
+          emailSent = true;
+        } catch (emailError) {
+          console.error('Invitation email send failed:', emailError.message);
+          // The admin can still share the token directly
+        }
+      }
+
+      console.log(`✅ Invitation created${invitation.email ? ` for ${invitation.email}` : ''} (${invitation.role}, ${invitation.maxUses} use(s)) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation created successfully. Store the token now; it will not be shown again.',
+        invitation: invitation.toSafeObject(),
+        token,
+        emailSent
+      });
+
+    } catch (error) {
+      console.error('Create invitation error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to create invitation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * List invitations, optionally filtered by status
+   * GET /api/invitations
+   */
+  async listInvitations(req, res) {
+    try {
+      const { status } = req.query;
+
+      const invitations = await Invitation.find()
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 });
+
+      const results = invitations
+        .map(invitation => invitation.toSafeObject())
+        .filter(invitation => !status || invitation.status === status);
+
+      res.status(200).json({
+        success: true,
+        invitations: results
+      });
+
+    } catch (error) {
+      console.error('List invitations error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve invitations',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Revoke an invitation so it can no longer be used
+   * DELETE /api/invitations/:id
+   */
+  async revokeInvitation(req, res) {
+    try {
+      const invitation = await Invitation.findOneAndUpdate(
+        { _id: req.params.id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invitation Not Found',
+          message: 'Invitation not found or already revoked'
+        });
+      }
+
+      console.log(`✅ Invitation revoked: ${invitation._id} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation revoked successfully',
+        invitation: invitation.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Revoke invitation error:', error.message);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Invalid invitation ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to revoke invitation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+// Returns an error message, or null when the invitation settings are valid
+async function validateInvitationInput({ email, role, permissions, subdomainGrants, maxUses, expiresInDays }) {
+  if (email && !authService.validateEmail(email)) {
+    return 'Please provide a valid email address';
+  }
+
+  if (typeof role !== 'string' || !(await roleService.roleExists(role))) {
+    return 'Role must be an existing role (see GET /api/roles)';
+  }
+
+  if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) {
+    return 'Permissions must be a list of strings';
+  }
+
+  const unknownPermissions = permissionCatalog.findUnknown(permissions);
+  if (unknownPermissions.length) {
+    return `Unknown permissions: ${unknownPermissions.join(', ')}`;
+  }
+
+  if (!Array.isArray(subdomainGrants)) {
+    return 'Subdomain grants must be a list';
+  }
+
+  for (const grant of subdomainGrants) {
+    if (!grant || !subdomainAccessService.isValidSubdomain(grant.subdomainId)) {
+      return `Subdomain must be one of: ${subdomainAccessService.getSubdomainIds().join(', ')}`;
+    }
+
+    if (grant.expiresAt && Number.isNaN(new Date(grant.expiresAt).getTime())) {
+      return `Invalid access expiry for ${grant.subdomainId}`;
+    }
+  }
+
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 1000) {
+    return 'Max uses must be a whole number between 1 and 1000';
+  }
+
+  if (typeof expiresInDays !== 'number' || expiresInDays <= 0 || expiresInDays > 90) {
+    return 'Invitations must expire within 90 days';
+  }
+
+  // An invitation for one person can only be used once
+  if (email && maxUses > 1) {
+    return 'Invitations for a specific email address are single-use';
+  }
+
+  return null;
+}
+
+module.exports = invitationController;
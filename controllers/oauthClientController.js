@@ -0,0 +1,310 @@
+const OAuthClient = require('../models/OAuthClient');
+const OAuthConsent = require('../models/OAuthConsent');
+const authService = require('../utils/authService');
+const oidcProviderService = require('../utils/oidcProviderService');
+const subdomainAccessService = require('../utils/subdomainAccessService');
+
+/**
+ * OAuth Client Controller
+ * Admin management of OIDC clients registered for the protected subdomains
+ */
+const oauthClientController = {
+  /**
+   * Register a new client; the secret is only returned once
+   * POST /api/oauth/clients
+   */
+  async createClient(req, res) {
+    try {
+      const {
+        name,
+        subdomainId,
+        redirectUris,
+        postLogoutRedirectUris = [],
+        backchannelLogoutUri = null,
+        frontchannelLogoutUri = null,
+        clientType = 'confidential',
+        skipConsent = false
+      } = req.body;
+
+      const validationError = validateClientInput({
+        name,
+        subdomainId,
+        redirectUris,
+        postLogoutRedirectUris,
+        backchannelLogoutUri,
+        frontchannelLogoutUri,
+        clientType
+      });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: validationError
+        });
+      }
+
+      const { clientId, clientSecret, clientSecretHash } = oidcProviderService.generateClientCredentials(clientType);
+
+      const client = await OAuthClient.create({
+        clientId,
+        clientSecretHash,
+        clientType,
+        name: authService.sanitizeInput(name),
+        subdomainId,
+        redirectUris,
+        postLogoutRedirectUris,
+        backchannelLogoutUri,
+        frontchannelLogoutUri,
+        skipConsent: skipConsent === true,
+        createdBy: req.user._id
+      });
+
+      console.log(`✅ OIDC client registered: ${client.name} (${client.subdomainId}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Client registered successfully. Store the client secret now; it will not be shown again.',
+        client: client.toSafeObject(),
+        clientSecret
+      });
+
+    } catch (error) {
+      console.error('Create OIDC client error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to register client',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * List registered clients
+   * GET /api/oauth/clients
+   */
+  async listClients(req, res) {
+    try {
+      const filter = {};
+      if (req.query.subdomainId) filter.subdomainId = req.query.subdomainId;
+
+      const clients = await OAuthClient.find(filter).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        clients: clients.map(client => client.toSafeObject())
+      });
+
+    } catch (error) {
+      console.error('List OIDC clients error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve clients',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Update a client's name, redirect and logout URIs, consent setting or status
+   * PUT /api/oauth/clients/:clientId
+   */
+  async updateClient(req, res) {
+    try {
+      const client = await OAuthClient.findOne({ clientId: req.params.clientId });
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client Not Found',
+          message: 'Client not found'
+        });
+      }
+
+      const {
+        name,
+        redirectUris,
+        postLogoutRedirectUris,
+        backchannelLogoutUri,
+        frontchannelLogoutUri,
+        skipConsent,
+        isActive
+      } = req.body;
+
+      const validationError = validateClientInput({
+        name: name !== undefined ? name : client.name,
+        subdomainId: client.subdomainId,
+        redirectUris: redirectUris !== undefined ? redirectUris : client.redirectUris,
+        postLogoutRedirectUris: postLogoutRedirectUris !== undefined ? postLogoutRedirectUris : client.postLogoutRedirectUris,
+        backchannelLogoutUri: backchannelLogoutUri !== undefined ? backchannelLogoutUri : client.backchannelLogoutUri,
+        frontchannelLogoutUri: frontchannelLogoutUri !== undefined ? frontchannelLogoutUri : client.frontchannelLogoutUri,
+        clientType: client.clientType
+      });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: validationError
+        });
+      }
+
+      if (name !== undefined) client.name = authService.sanitizeInput(name);
+      if (redirectUris !== undefined) client.redirectUris = redirectUris;
+      if (postLogoutRedirectUris !== undefined) client.postLogoutRedirectUris = postLogoutRedirectUris;
+      if (backchannelLogoutUri !== undefined) client.backchannelLogoutUri = backchannelLogoutUri;
+      if (frontchannelLogoutUri !== undefined) client.frontchannelLogoutUri = frontchannelLogoutUri;
+      if (skipConsent !== undefined) client.skipConsent = skipConsent === true;
+      if (isActive !== undefined) client.isActive = isActive === true;
+
+      await client.save();
+
+      console.log(`✅ OIDC client updated: ${client.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Client updated successfully',
+        client: client.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Update OIDC client error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to update client',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Issue a new client secret; the old one stops working immediately
+   * POST /api/oauth/clients/:clientId/secret
+   */
+  async rotateClientSecret(req, res) {
+    try {
+      const client = await OAuthClient.findOne({ clientId: req.params.clientId });
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client Not Found',
+          message: 'Client not found'
+        });
+      }
+
+      if (client.clientType === 'public') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Public clients do not have a secret'
+        });
+      }
+
+      const { clientSecret, clientSecretHash } = oidcProviderService.generateClientCredentials(client.clientType);
+      client.clientSecretHash = clientSecretHash;
+      client.secretRotatedAt = new Date();
+      await client.save();
+
+      console.log(`✅ OIDC client secret rotated: ${client.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Client secret rotated successfully. Store the new secret now; it will not be shown again.',
+        clientSecret
+      });
+
+    } catch (error) {
+      console.error('Rotate OIDC client secret error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to rotate client secret',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Delete a client and its user consents
+   * DELETE /api/oauth/clients/:clientId
+   */
+  async deleteClient(req, res) {
+    try {
+      const client = await OAuthClient.findOneAndDelete({ clientId: req.params.clientId });
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client Not Found',
+          message: 'Client not found'
+        });
+      }
+
+      await OAuthConsent.deleteMany({ clientId: client.clientId });
+
+      console.log(`✅ OIDC client deleted: ${client.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Client deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete OIDC client error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to delete client',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+// Returns an error message, or null when the client settings are valid
+function validateClientInput({
+  name,
+  subdomainId,
+  redirectUris,
+  postLogoutRedirectUris,
+  backchannelLogoutUri = null,
+  frontchannelLogoutUri = null,
+  clientType
+}) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return 'Client name is required';
+  }
+
+  if (!subdomainAccessService.isValidSubdomain(subdomainId)) {
+    return `Subdomain must be one of: ${subdomainAccessService.getSubdomainIds().join(', ')}`;
+  }
+
+  if (!['confidential', 'public'].includes(clientType)) {
+    return 'Client type must be "confidential" or "public"';
+  }
+
+  if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+    return 'At least one redirect URI is required';
+  }
+
+  const uris = [...redirectUris, ...(Array.isArray(postLogoutRedirectUris) ? postLogoutRedirectUris : [null])];
+  const invalidUri = uris.find(uri => !oidcProviderService.isValidRedirectUri(uri));
+  if (invalidUri !== undefined) {
+    return `Invalid redirect URI: ${invalidUri}. Use HTTPS (or http://localhost for development) without a fragment.`;
+  }
+
+  // Logout URIs are optional; null removes them
+  const logoutUris = [backchannelLogoutUri, frontchannelLogoutUri].filter(uri => uri !== null);
+  const invalidLogoutUri = logoutUris.find(uri => !oidcProviderService.isValidRedirectUri(uri));
+  if (invalidLogoutUri !== undefined) {
+    return `Invalid logout URI: ${invalidLogoutUri}. Use HTTPS (or http://localhost for development) without a fragment.`;
+  }
+
+  return null;
+}
+
+module.exports = oauthClientController;
@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const authService = require('../utils/authService');
+const sessionService = require('../utils/sessionService');
+const oidcClient = require('../utils/oidcClient');
+const invitationService = require('../utils/invitationService');
+const emailService = require('../utils/emailService');
+const emailTemplates = require('../utils/emailTemplates');
+const oidcConfig = require('../config/oidcConfig');
+
+// Binds a login or linking flow to the browser that started it: the callback
+// only accepts a state whose hash matches this cookie
+const STATE_COOKIE = 'oauth_state';
+const STATE_COOKIE_PATH = '/api/auth/oauth';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * OAuth Controller
+ * Handles social login through OAuth2/OIDC providers (authorization code + PKCE)
+ * and linking provider identities to existing accounts
+ */
+const oauthController = {
+  /**
+   * List configured social login providers
+   * GET /api/auth/oauth/providers
+   */
+  async getProviders(req, res) {
+    res.status(200).json({
+      success: true,
+      providers: oidcConfig.getPublicProviders()
+    });
+  },
+
+  /**
+   * Redirect the browser to the provider's authorization endpoint
+   * GET /api/auth/oauth/:provider/start
+   */
+  async start(req, res) {
+    try {
+      const provider = oidcConfig.getProvider(req.params.provider);
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          error: 'Provider Not Found',
+          message: 'The requested login provider is not configured'
+        });
+      }
+
+      const authorizationUrl = await createAuthorizationRequest(req, res, provider, {
+        returnTo: sanitizeReturnTo(req.query.returnTo),
+        rememberMe: req.query.rememberMe === 'true'
+      });
+
+      res.redirect(authorizationUrl);
+
+    } catch (error) {
+      console.error('OAuth start error:', error.message);
+      redirectToFrontend(res, { error: 'provider_unavailable' });
+    }
+  },
+
+  /**
+   * Start linking a provider to the current account; returns the authorization URL
+   * POST /api/auth/oauth/:provider/link
+   */
+  async startLink(req, res) {
+    try {
+      const provider = oidcConfig.getProvider(req.params.provider);
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          error: 'Provider Not Found',
+          message: 'The requested login provider is not configured'
+        });
+      }
+
+      const alreadyLinked = (req.user.linkedIdentities || [])
+        .some(identity => identity.provider === provider.id);
+      if (alreadyLinked) {
+        return res.status(400).json({
+          success: false,
+          error: 'Already Linked',
+          message: `Your account is already linked to ${provider.name}`
+        });
+      }
+
+      const authorizationUrl = await createAuthorizationRequest(req, res, provider, {
+        returnTo: sanitizeReturnTo(req.body.returnTo),
+        linkUserId: req.user._id
+      });
+
+      res.status(200).json({
+        success: true,
+        authorizationUrl
+      });
+
+    } catch (error) {
+      console.error('OAuth link start error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to start account linking',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Provider redirect target: exchange the code, sign in or link, then
+   * redirect back to the frontend
+   * GET /api/auth/oauth/:provider/callback
+   */
+  async callback(req, res) {
+    try {
+      const provider = oidcConfig.getProvider(req.params.provider);
+      const { code, state, error } = req.query;
+
+      if (!provider) {
+        return redirectToFrontend(res, { error: 'provider_not_found' });
+      }
+
+      if (error) {
+        return redirectToFrontend(res, { error: 'provider_denied' });
+      }
+
+      if (!code || !state) {
+        return redirectToFrontend(res, { error: 'invalid_request' });
+      }
+
+      // The flow must have been started in this browser
+      const stateCookie = req.cookies && req.cookies[STATE_COOKIE];
+      res.clearCookie(STATE_COOKIE, getStateCookieOptions());
+      if (!stateMatchesCookie(state, stateCookie)) {
+        return redirectToFrontend(res, { error: 'invalid_state' });
+      }
+
+      // State is single-use and bound to this provider
+      const storedState = await OAuthState.consumeState(state, provider.id);
+      if (!storedState) {
+        return redirectToFrontend(res, { error: 'invalid_state' });
+      }
+
+      let profile;
+      try {
+        profile = await oidcClient.authenticate(provider, {
+          code,
+          codeVerifier: storedState.codeVerifier,
+          nonce: storedState.nonce,
+          redirectUri: oidcConfig.getRedirectUri(provider.id)
+        });
+      } catch (providerError) {
+        console.error(`OAuth ${provider.id} authentication failed:`, providerError.message);
+        return redirectToFrontend(res, { error: 'provider_error' });
+      }
+
+      const linkedUser = await User.findByLinkedIdentity(provider.id, profile.subject);
+
+      // Linking flow for an already signed-in user
+      if (storedState.linkUserId) {
+        if (linkedUser) {
+          const sameUser = linkedUser._id.toString() === storedState.linkUserId.toString();
+          return redirectToFrontend(res, {
+            error: sameUser ? 'already_linked' : 'identity_in_use',
+            returnTo: storedState.returnTo
+          });
+        }
+
+        const user = await User.findById(storedState.linkUserId);
+        if (!user) {
+          return redirectToFrontend(res, { error: 'user_not_found' });
+        }
+
+        await user.linkIdentity(provider.id, profile.subject, profile.email);
+
+        console.log(`✅ ${provider.name} identity linked for: ${user.email}`);
+
+        return redirectToFrontend(res, {
+          status: 'linked',
+          provider: provider.id,
+          returnTo: storedState.returnTo
+        });
+      }
+
+      let user = linkedUser;
+
+      if (user) {
+        await user.touchIdentity(provider.id, profile.subject);
+      } else {
+        // Account linking requires an email the provider has verified
+        if (!profile.email || !profile.emailVerified) {
+          return redirectToFrontend(res, { error: 'email_not_verified' });
+        }
+
+        const existingUser = await User.findByEmail(profile.email);
+
+        if (existingUser) {
+          // Never attach an identity to an account whose owner has not proven
+          // control of the address, or a pre-registered account could be taken over
+          if (!existingUser.emailVerified) {
+            return redirectToFrontend(res, { error: 'account_exists_unverified' });
+          }
+
+          await existingUser.linkIdentity(provider.id, profile.subject, profile.email);
+          user = existingUser;
+
+          console.log(`✅ ${provider.name} identity linked by verified email for: ${user.email}`);
+        } else {
+          // Social sign-up creates accounts only while registration is open
+          if (await invitationService.getSignupMode() !== 'open') {
+            return redirectToFrontend(res, { error: 'registration_closed' });
+          }
+
+          user = await createUserFromProfile(req, provider, profile);
+        }
+      }
+
+      // Check if account is locked or inactive
+      const blockReason = sessionService.getLoginBlockReason(user);
+      if (blockReason) {
+        return redirectToFrontend(res, {
+          error: blockReason.status === 423 ? 'account_locked' : 'account_inactive'
+        });
+      }
+
+      // Accounts with two-factor enabled still need their second factor
+      if (user.twoFactor && user.twoFactor.enabled) {
+        const challengeToken = await sessionService.createTwoFactorChallenge(req, user);
+
+        // In the fragment, which never reaches servers, logs or Referer headers
+        return redirectToFrontend(res, {
+          status: 'two_factor_required',
+          returnTo: storedState.returnTo
+        }, { challengeToken });
+      }
+
+      await sessionService.startSession(req, res, user, { rememberMe: storedState.rememberMe });
+
+      console.log(`✅ User logged in successfully with ${provider.name}: ${user.email}`);
+
+      redirectToFrontend(res, {
+        status: 'success',
+        provider: provider.id,
+        returnTo: storedState.returnTo
+      });
+
+    } catch (error) {
+      console.error('OAuth callback error:', error.message);
+      redirectToFrontend(res, { error: 'server_error' });
+    }
+  },
+
+  /**
+   * List identities linked to the current account
+   * GET /api/users/profile/identities
+   */
+  async listIdentities(req, res) {
+    try {
+      const user = await User.findById(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        identities: (user.linkedIdentities || []).map(identity => ({
+          provider: identity.provider,
+          providerName: (oidcConfig.getProvider(identity.provider) || {}).name || identity.provider,
+          email: identity.email,
+          linkedAt: identity.linkedAt,
+          lastUsedAt: identity.lastUsedAt || null
+        }))
+      });
+
+    } catch (error) {
+      console.error('List identities error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve linked identities',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Unlink a provider from the current account
+   * DELETE /api/users/profile/identities/:provider
+   */
+  async unlinkIdentity(req, res) {
+    try {
+      const { provider } = req.params;
+
+      const result = await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { linkedIdentities: { provider } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Identity Not Found',
+          message: 'No linked identity found for this provider'
+        });
+      }
+
+      console.log(`✅ ${provider} identity unlinked for: ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Identity unlinked successfully'
+      });
+
+    } catch (error) {
+      console.error('Unlink identity error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to unlink identity',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+// Store state, PKCE verifier and nonce, bind the state to this browser and
+// build the provider authorization URL
+async function createAuthorizationRequest(req, res, provider, options = {}) {
+  const { returnTo, rememberMe = false, linkUserId = null } = options;
+  const state = oidcClient.generateRandomValue();
+  const nonce = oidcClient.generateRandomValue();
+  const { codeVerifier, codeChallenge } = oidcClient.generatePkcePair();
+
+  await OAuthState.createState({
+    state,
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    returnTo,
+    rememberMe,
+    linkUserId,
+    ipAddress: authService.getClientIpAddress(req)
+  }, STATE_TTL_MS);
+
+  res.cookie(STATE_COOKIE, hashState(state), { ...getStateCookieOptions(), maxAge: STATE_TTL_MS });
+
+  return oidcClient.buildAuthorizationUrl(provider, {
+    redirectUri: oidcConfig.getRedirectUri(provider.id),
+    state,
+    nonce,
+    codeChallenge
+  });
+}
+
+// Only same-site relative paths are allowed as post-login destinations
+function sanitizeReturnTo(returnTo) {
+  if (typeof returnTo !== 'string' || !returnTo.startsWith('/') || returnTo.startsWith('//')) {
+    return undefined;
+  }
+
+  return returnTo.substring(0, 500);
+}
+
+function hashState(state) {
+  return crypto.createHash('sha256').update(state).digest('base64url');
+}
+
+// Lax so the cookie is sent on the provider's top-level redirect back to us
+function getStateCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: STATE_COOKIE_PATH
+  };
+}
+
+function stateMatchesCookie(state, stateCookie) {
+  if (typeof state !== 'string' || typeof stateCookie !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hashState(state));
+  const actual = Buffer.from(stateCookie);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Query parameters for the frontend, plus values that must stay out of
+// server logs and history, which go in the fragment
+function redirectToFrontend(res, params, fragmentParams = {}) {
+  const url = new URL(oidcConfig.frontendCallbackUrl);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  const fragment = new URLSearchParams(fragmentParams).toString();
+  if (fragment) {
+    url.hash = fragment;
+  }
+
+  return res.redirect(url.toString());
+}
+
+function normalizeName(value, fallback) {
+  const name = authService.sanitizeInput(value || '').substring(0, 50);
+  return name.length >= 2 ? name : fallback;
+}
+
+// Create a verified account for a first-time social login
+async function createUserFromProfile(req, provider, profile) {
+  // Social accounts get an unusable random password; a real one can be set
+  // later through the password reset flow
+  const hashedPassword = await authService.hashPassword(authService.generateSecureToken());
+
+  const emailName = normalizeName(profile.email.split('@')[0], 'New');
+
+  const user = new User({
+    firstName: normalizeName(profile.firstName, emailName),
+    lastName: normalizeName(profile.lastName, 'User'),
+    email: profile.email,
+    password: hashedPassword,
+    passwordChangedAt: new Date(),
+    emailVerified: true,
+    avatar: profile.avatar || undefined,
+    registrationIP: authService.getClientIpAddress(req),
+    linkedIdentities: [{
+      provider: provider.id,
+      subject: profile.subject,
+      email: profile.email,
+      linkedAt: new Date(),
+      lastUsedAt: new Date()
+    }]
+  });
+
+  await user.save();
+
+  console.log(`✅ User registered with ${provider.name}: ${user.email}`);
+
+  // Send welcome email
+  try {
+    const welcomeTemplate = emailTemplates.welcomeEmailTemplate(user);
+    await emailService.sendEmail({
+      to: user.email,
+      subject: welcomeTemplate.subject,
+      html: welcomeTemplate.html
+    });
+  } catch (emailError) {
+    console.error('Welcome email send failed:', emailError.message);
+    // Continue with registration even if email fails
+  }
+
+  return user;
+}
+
+module.exports = oauthController;
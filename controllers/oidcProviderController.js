@@ -0,0 +1,576 @@
+const User = require('../models/User');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthConsent = require('../models/OAuthConsent');
+const OAuthAuthorization = require('../models/OAuthAuthorization');
+const oidcProviderService = require('../utils/oidcProviderService');
+const subdomainAccessService = require('../utils/subdomainAccessService');
+const sessionService = require('../utils/sessionService');
+const emailVerificationService = require('../utils/emailVerificationService');
+const tokenRevocationService = require('../utils/tokenRevocationService');
+
+/**
+ * OIDC Provider Controller
+ * OpenID Connect authorization server for the protected subdomains:
+ * authorization code + PKCE, consent, ID tokens with subdomain entitlements
+ */
+const oidcProviderController = {
+  /**
+   * OpenID Connect discovery metadata
+   * GET /.well-known/openid-configuration
+   */
+  async discovery(req, res) {
+    if (!oidcProviderService.isEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service Unavailable',
+        message: 'OpenID Connect provider requires an asymmetric signing keyset'
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(oidcProviderService.getDiscoveryDocument());
+  },
+
+  /**
+   * Authorization endpoint; hands off to the frontend for sign-in and consent
+   * GET /api/oauth/authorize
+   */
+  async authorize(req, res) {
+    try {
+      if (!oidcProviderService.isEnabled()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Service Unavailable',
+          message: 'OpenID Connect provider requires an asymmetric signing keyset'
+        });
+      }
+
+      const {
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: responseType,
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod,
+        prompt
+      } = req.query;
+
+      // Never redirect to an unverified URI; report client errors directly
+      const client = clientId ? await OAuthClient.findActiveClient(clientId) : null;
+      if (!client || !redirectUri || !client.hasRedirectUri(redirectUri)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Client',
+          message: 'Unknown client or unregistered redirect URI'
+        });
+      }
+
+      const redirectError = (error, description) => res.redirect(
+        oidcProviderService.buildRedirectUrl(redirectUri, { error, error_description: description, state })
+      );
+
+      if (responseType !== 'code') {
+        return redirectError('unsupported_response_type', 'Only the authorization code flow is supported');
+      }
+
+      if (!codeChallenge || codeChallengeMethod !== 'S256') {
+        return redirectError('invalid_request', 'PKCE with code_challenge_method S256 is required');
+      }
+
+      // An S256 challenge is a base64url-encoded SHA-256 hash
+      if (typeof codeChallenge !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(codeChallenge)) {
+        return redirectError('invalid_request', 'Invalid code_challenge');
+      }
+
+      const scopes = oidcProviderService.parseScopes(scope, client);
+      if (!scopes.includes('openid')) {
+        return redirectError('invalid_scope', 'The openid scope is required');
+      }
+
+      const authorization = await OAuthAuthorization.createRequest({
+        requestId: oidcProviderService.generateRandomValue(),
+        clientId: client.clientId,
+        redirectUri,
+        scopes,
+        state,
+        nonce,
+        codeChallenge,
+        prompt
+      });
+
+      // An existing session with prior consent completes without a prompt.
+      // It must pass the same checks as the consent route; otherwise the
+      // user goes through the consent screen
+      const sessionUser = canAuthorizeSilently(req) ? req.user : null;
+
+      if (sessionUser && prompt !== 'consent') {
+        const consented = client.skipConsent ||
+          await OAuthConsent.hasConsent(sessionUser._id, client.clientId, scopes);
+
+        if (consented) {
+          const redirectTo = await completeAuthorization(authorization, client, sessionUser, {
+            authTime: getSessionAuthTime(req)
+          });
+          return res.redirect(redirectTo);
+        }
+      }
+
+      if (prompt === 'none') {
+        await OAuthAuthorization.denyRequest(authorization.requestId);
+        return redirectError(
+          sessionUser ? 'consent_required' : 'login_required',
+          sessionUser ? 'User consent is required' : 'User is not signed in'
+        );
+      }
+
+      res.redirect(oidcProviderService.buildConsentUrl(authorization.requestId));
+
+    } catch (error) {
+      console.error('OIDC authorize error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to process authorization request',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Details of a pending authorization request for the consent screen
+   * GET /api/oauth/authorize/requests/:requestId
+   */
+  async getAuthorizationRequest(req, res) {
+    try {
+      const authorization = await OAuthAuthorization.findPendingRequest(req.params.requestId);
+      const client = authorization ? await OAuthClient.findActiveClient(authorization.clientId) : null;
+
+      if (!authorization || !client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Request Not Found',
+          message: 'Authorization request not found or has expired'
+        });
+      }
+
+      const access = await subdomainAccessService.evaluateAccess(req.user, client.subdomainId);
+      const consented = client.skipConsent ||
+        await OAuthConsent.hasConsent(req.user._id, client.clientId, authorization.scopes);
+
+      res.status(200).json({
+        success: true,
+        request: {
+          id: authorization.requestId,
+          client: {
+            clientId: client.clientId,
+            name: client.name,
+            subdomainId: client.subdomainId,
+            subdomainName: subdomainAccessService.getSubdomainName(client.subdomainId)
+          },
+          scopes: authorization.scopes,
+          consentRequired: !consented || authorization.prompt === 'consent',
+          hasAccess: access.hasAccess,
+          accessDenialReason: access.accessDenialReason,
+          expiresAt: authorization.expiresAt
+        }
+      });
+
+    } catch (error) {
+      console.error('Get authorization request error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve authorization request',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Approve or deny a pending authorization request; returns where the
+   * frontend should send the browser next
+   * POST /api/oauth/authorize/requests/:requestId
+   */
+  async decideAuthorizationRequest(req, res) {
+    try {
+      const { approve } = req.body;
+
+      const authorization = await OAuthAuthorization.findPendingRequest(req.params.requestId);
+      const client = authorization ? await OAuthClient.findActiveClient(authorization.clientId) : null;
+
+      if (!authorization || !client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Request Not Found',
+          message: 'Authorization request not found or has expired'
+        });
+      }
+
+      const authTime = getSessionAuthTime(req);
+      if (approve === true && !authTime) {
+        return res.status(401).json({
+          success: false,
+          error: 'Reauthentication Required',
+          message: 'Please sign in again to continue'
+        });
+      }
+
+      let redirectTo;
+
+      if (approve === true) {
+        redirectTo = await completeAuthorization(authorization, client, req.user, { consentGiven: true, authTime });
+      } else {
+        await OAuthAuthorization.denyRequest(authorization.requestId);
+        redirectTo = oidcProviderService.buildRedirectUrl(authorization.redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state: authorization.state
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        redirectTo
+      });
+
+    } catch (error) {
+      console.error('Authorization decision error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to process authorization decision',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Token endpoint (authorization_code grant); responses follow RFC 6749
+   * POST /api/oauth/token
+   */
+  async token(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+      if (!oidcProviderService.isEnabled()) {
+        return res.status(503).json({ error: 'temporarily_unavailable' });
+      }
+
+      const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+
+      // Authenticate the client
+      const client = await oidcProviderService.authenticateClient(req);
+      if (!client) {
+        return res.status(401).json({
+          error: 'invalid_client',
+          error_description: 'Client authentication failed'
+        });
+      }
+
+      if (grantType !== 'authorization_code') {
+        return res.status(400).json({
+          error: 'unsupported_grant_type',
+          error_description: 'Only the authorization_code grant is supported'
+        });
+      }
+
+      if (!code || !redirectUri || !codeVerifier) {
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: 'code, redirect_uri and code_verifier are required'
+        });
+      }
+
+      // Codes are single-use and bound to the client, redirect URI and PKCE challenge
+      const authorization = await OAuthAuthorization.redeemCode(oidcProviderService.hashValue(code), client.clientId);
+
+      if (!authorization ||
+          authorization.redirectUri !== redirectUri ||
+          !oidcProviderService.verifyPkce(codeVerifier, authorization.codeChallenge)) {
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Authorization code is invalid, expired or already used'
+        });
+      }
+
+      const user = await User.findById(authorization.userId);
+      if (!user || sessionService.getLoginBlockReason(user)) {
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'User is not allowed to sign in'
+        });
+      }
+
+      const tokens = await oidcProviderService.issueTokens(user, client, authorization);
+
+      console.log(`✅ OIDC tokens issued to ${client.name} for: ${user.email}`);
+
+      res.status(200).json(tokens);
+
+    } catch (error) {
+      console.error('OIDC token error:', error.message);
+
+      res.status(500).json({
+        error: 'server_error',
+        error_description: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * UserInfo endpoint
+   * GET|POST /api/oauth/userinfo
+   */
+  async userinfo(req, res) {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'invalid_token', error_description: 'Bearer token required' });
+      }
+
+      let payload;
+      try {
+        payload = oidcProviderService.verifyAccessToken(authHeader.substring(7));
+      } catch (tokenError) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'invalid_token', error_description: 'Access token is invalid or expired' });
+      }
+
+      const client = await OAuthClient.findActiveClient(payload.client_id);
+      const user = await User.findById(payload.sub);
+
+      if (!client || !user || sessionService.getLoginBlockReason(user) ||
+          await tokenRevocationService.isRevoked(payload, user)) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'invalid_token', error_description: 'Access token is no longer valid' });
+      }
+
+      // Entitlements are evaluated live, so revoked access shows up immediately
+      const claims = await oidcProviderService.buildUserClaims(user, payload.scope.split(' '), client);
+
+      res.status(200).json(claims);
+
+    } catch (error) {
+      console.error('OIDC userinfo error:', error.message);
+
+      res.status(500).json({
+        error: 'server_error',
+        error_description: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Front-channel logout fallback: clears the subdomain auth cookies, loads
+   * each client's front-channel logout URI in a hidden iframe, then returns
+   * to post_logout_redirect_uri (a registered URI) or the main site
+   * GET /api/oauth/logout/frontchannel
+   */
+  async frontchannelLogout(req, res) {
+    try {
+      const { post_logout_redirect_uri: postLogoutRedirectUri } = req.query;
+      const mainSiteUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+      let returnUrl = mainSiteUrl;
+      if (typeof postLogoutRedirectUri === 'string' &&
+          await OAuthClient.exists({ isActive: true, postLogoutRedirectUris: postLogoutRedirectUri })) {
+        returnUrl = postLogoutRedirectUri;
+      }
+
+      const clients = await OAuthClient.findFrontchannelClients();
+      const frameUrls = clients.map(client =>
+        oidcProviderService.buildRedirectUrl(client.frontchannelLogoutUri, { iss: oidcProviderService.issuer })
+      );
+
+      sessionService.clearSubdomainCookies(res);
+
+      res.set('Cache-Control', 'no-store');
+      res.status(200).type('html').send(renderFrontchannelLogoutPage(frameUrls, returnUrl));
+
+    } catch (error) {
+      console.error('Front-channel logout error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to complete logout',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * List applications the current user has consented to
+   * GET /api/users/profile/consents
+   */
+  async listConsents(req, res) {
+    try {
+      const consents = await OAuthConsent.find({ userId: req.user._id }).sort({ grantedAt: -1 });
+      const clients = await OAuthClient.find({ clientId: { $in: consents.map(consent => consent.clientId) } });
+      const clientNames = new Map(clients.map(client => [client.clientId, client.name]));
+
+      res.status(200).json({
+        success: true,
+        consents: consents.map(consent => ({
+          clientId: consent.clientId,
+          clientName: clientNames.get(consent.clientId) || consent.clientId,
+          scopes: consent.scopes,
+          grantedAt: consent.grantedAt
+        }))
+      });
+
+    } catch (error) {
+      console.error('List consents error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve application consents',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Revoke consent for an application
+   * DELETE /api/users/profile/consents/:clientId
+   */
+  async revokeConsent(req, res) {
+    try {
+      const result = await OAuthConsent.deleteOne({ userId: req.user._id, clientId: req.params.clientId });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Consent Not Found',
+          message: 'No consent found for this application'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Application access revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke consent error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to revoke application access',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Continue once every iframe has loaded, or after 3 seconds at most
+function renderFrontchannelLogoutPage(frameUrls, returnUrl) {
+  const frames = frameUrls
+    .map(url => `<iframe src="${escapeHtml(url)}" style="display:none" onload="frameLoaded()"></iframe>`)
+    .join('\n    ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Signing out</title>
+    <meta http-equiv="refresh" content="3;url=${escapeHtml(returnUrl)}">
+</head>
+<body>
+    <p>Signing you out of all Equus applications&hellip;</p>
+    <script>
+      var remaining = ${frameUrls.length};
+      function done() { window.location.replace(${JSON.stringify(returnUrl).replace(/</g, '\\u003c')}); }
+      function frameLoaded() { if (--remaining <= 0) done(); }
+      if (remaining === 0) done();
+    </script>
+    ${frames}
+</body>
+</html>`;
+}
+
+// A signed-in browser session (not an API key or impersonation) of an
+// active, verified user, as the consent route requires
+function canAuthorizeSilently(req) {
+  const { user } = req;
+
+  return !!user &&
+    !req.apiKey &&
+    !req.impersonator &&
+    !!getSessionAuthTime(req) &&
+    user.isActive &&
+    user.accountStatus === 'active' &&
+    !user.isLocked &&
+    !emailVerificationService.isRestricted(user);
+}
+
+// When this session signed in (auth_time claim of the access token)
+function getSessionAuthTime(req) {
+  const authTime = req.tokenPayload && req.tokenPayload.auth_time;
+  return authTime ? new Date(authTime * 1000) : null;
+}
+
+// Grant or refuse a pending authorization for a signed-in user using the
+// subdomain access rules; returns the client redirect URL
+async function completeAuthorization(authorization, client, user, options = {}) {
+  const { consentGiven = false, authTime } = options;
+
+  const access = await subdomainAccessService.evaluateAccess(user, client.subdomainId);
+
+  if (!access.hasAccess) {
+    await OAuthAuthorization.denyRequest(authorization.requestId);
+
+    console.log(`❌ OIDC authorization denied for ${client.name}: ${user.email} (${access.accessDenialReason})`);
+
+    return oidcProviderService.buildRedirectUrl(authorization.redirectUri, {
+      error: 'access_denied',
+      error_description: access.accessDenialReason,
+      state: authorization.state
+    });
+  }
+
+  if (consentGiven && !client.skipConsent) {
+    await OAuthConsent.grantConsent(user._id, client.clientId, authorization.scopes);
+  }
+
+  const code = oidcProviderService.generateRandomValue();
+  const approved = await OAuthAuthorization.issueCode(
+    authorization.requestId,
+    user._id,
+    oidcProviderService.hashValue(code),
+    authTime
+  );
+
+  if (!approved) {
+    return oidcProviderService.buildRedirectUrl(authorization.redirectUri, {
+      error: 'invalid_request',
+      error_description: 'Authorization request has expired',
+      state: authorization.state
+    });
+  }
+
+  return oidcProviderService.buildRedirectUrl(authorization.redirectUri, {
+    code,
+    state: authorization.state,
+    iss: oidcProviderService.issuer
+  });
+}
+
+module.exports = oidcProviderController;
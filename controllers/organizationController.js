@@ -0,0 +1,740 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const User = require('../models/User');
+const authService = require('../utils/authService');
+const emailService = require('../utils/emailService');
+const emailTemplates = require('../utils/emailTemplates');
+const organizationService = require('../utils/organizationService');
+const subdomainAccessService = require('../utils/subdomainAccessService');
+const { isAdministrator } = require('../middleware/roles');
+
+/**
+ * Organization Controller
+ * Organizations, their members and invitations. Owners and admins manage
+ * their own organization; global admins manage seats, status and subdomain
+ * grants. Routes with :orgId run loadOrganization first (middleware/organization.js)
+ */
+const organizationController = {
+  /**
+   * Organizations the signed-in user belongs to
+   * GET /api/organizations
+   */
+  async listMyOrganizations(req, res) {
+    try {
+      const organizations = await Organization.findForUser(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        organizations: organizations.map(organization => ({
+          ...organization.toSafeObject(),
+          role: organization.getMember(req.user._id).role
+        }))
+      });
+
+    } catch (error) {
+      console.error('List organizations error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve organizations',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Create an organization owned by the signed-in user
+   * POST /api/organizations
+   */
+  async createOrganization(req, res) {
+    try {
+      const { name } = req.body;
+
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Organization name is required'
+        });
+      }
+
+      const sanitizedName = authService.sanitizeInput(name);
+
+      const organization = await Organization.create({
+        name: sanitizedName,
+        slug: await organizationService.generateSlug(sanitizedName),
+        seats: organizationService.defaultSeats,
+        members: [{ userId: req.user._id, role: 'owner', addedBy: req.user._id }],
+        createdBy: req.user._id
+      });
+
+      console.log(`✅ Organization created: ${organization.name} (${organization.slug}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Organization created successfully',
+        organization: { ...organization.toSafeObject(), role: 'owner' }
+      });
+
+    } catch (error) {
+      console.error('Create organization error:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: Object.values(error.errors).map(err => err.message).join('. ')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to create organization',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Organization details with members and seat usage
+   * GET /api/organizations/:orgId
+   */
+  async getOrganization(req, res) {
+    try {
+      const { organization } = req;
+      const seatUsage = await organizationService.getSeatUsage(organization);
+
+      await organization.populate('members.userId', 'firstName lastName email');
+
+      res.status(200).json({
+        success: true,
+        organization: {
+          ...organization.toSafeObject(),
+          role: req.organizationMember ? req.organizationMember.role : null,
+          seatUsage,
+          members: organization.members.map(member => ({
+            userId: member.userId ? member.userId._id : null,
+            firstName: member.userId ? member.userId.firstName : null,
+            lastName: member.userId ? member.userId.lastName : null,
+            email: member.userId ? member.userId.email : null,
+            role: member.role,
+            joinedAt: member.joinedAt
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('Get organization error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve organization',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Rename an organization (owner or admin)
+   * PUT /api/organizations/:orgId
+   */
+  async updateOrganization(req, res) {
+    try {
+      const { organization } = req;
+      const { name } = req.body;
+
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Organization name is required'
+        });
+      }
+
+      organization.name = authService.sanitizeInput(name);
+      await organization.save();
+
+      console.log(`✅ Organization renamed: ${organization.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Organization updated successfully',
+        organization: organization.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Update organization error:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: Object.values(error.errors).map(err => err.message).join('. ')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to update organization',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Delete an organization and its invitations (owner)
+   * DELETE /api/organizations/:orgId
+   */
+  async deleteOrganization(req, res) {
+    try {
+      const { organization } = req;
+
+      await OrganizationInvitation.deleteMany({ organizationId: organization._id });
+      await organization.deleteOne();
+
+      console.log(`✅ Organization deleted: ${organization.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Organization deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete organization error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to delete organization',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Pending invitations (owner or admin)
+   * GET /api/organizations/:orgId/invitations
+   */
+  async listInvitations(req, res) {
+    try {
+      const invitations = await OrganizationInvitation.findPending(req.organization._id)
+        .populate('invitedBy', 'firstName lastName email');
+
+      res.status(200).json({
+        success: true,
+        invitations: invitations.map(invitation => invitation.toSafeObject())
+      });
+
+    } catch (error) {
+      console.error('List organization invitations error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve invitations',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Invite someone by email (owner or admin; only owners can invite admins).
+   * The invitation holds a seat until it is accepted, revoked or expires
+   * POST /api/organizations/:orgId/invitations
+   */
+  async createInvitation(req, res) {
+    try {
+      const { organization } = req;
+      const { email, role = 'member' } = req.body;
+
+      if (!email || !authService.validateEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Please provide a valid email address'
+        });
+      }
+
+      if (!['admin', 'member'].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Role must be either "admin" or "member"'
+        });
+      }
+
+      if (role === 'admin' && !await isOwnerOrGlobalAdmin(req)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient Permissions',
+          message: 'Only the organization owner can invite admins'
+        });
+      }
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+      if (existingUser && organization.getMember(existingUser._id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Already a Member',
+          message: 'This person is already a member of the organization'
+        });
+      }
+
+      if (await OrganizationInvitation.findPendingForEmail(organization._id, normalizedEmail)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Invitation Exists',
+          message: 'This email address already has a pending invitation'
+        });
+      }
+
+      const seatUsage = await organizationService.getSeatUsage(organization);
+      if (seatUsage.available < 1) {
+        return res.status(409).json({
+          success: false,
+          error: 'No Seats Available',
+          message: `All ${organization.seats} seats are taken by members or pending invitations`,
+          seatUsage
+        });
+      }
+
+      const { token, tokenHash } = organizationService.generateToken();
+
+      const invitation = await OrganizationInvitation.create({
+        tokenHash,
+        organizationId: organization._id,
+        email: normalizedEmail,
+        role,
+        invitedBy: req.user._id,
+        expiresAt: new Date(Date.now() + organizationService.invitationExpiryDays * 24 * 60 * 60 * 1000)
+      });
+
+      let emailSent = false;
+      try {
+        const emailTemplate = emailTemplates.organizationInvitationTemplate(invitation, organization, req.user, token);
+        await emailService.sendEmail({
+          to: invitation.email,
+          subject: emailTemplate.subject,
+          html: emailTemplate.html
+        });
+        emailSent = true;
+      } catch (emailError) {
+        console.error('Organization invitation email send failed:', emailError.message);
+        // The token can still be shared directly
+      }
+
+      console.log(`✅ Organization invitation created: ${invitation.email} (${invitation.role}) to ${organization.name} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation created successfully. Store the token now; it will not be shown again.',
+        invitation: invitation.toSafeObject(),
+        token,
+        emailSent
+      });
+
+    } catch (error) {
+      console.error('Create organization invitation error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to create invitation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Revoke a pending invitation (owner or admin)
+   * DELETE /api/organizations/:orgId/invitations/:invitationId
+   */
+  async revokeInvitation(req, res) {
+    try {
+      const invitation = mongoose.isValidObjectId(req.params.invitationId)
+        ? await OrganizationInvitation.findOneAndUpdate(
+          { _id: req.params.invitationId, organizationId: req.organization._id, acceptedAt: null, revokedAt: null },
+          { revokedAt: new Date() },
+          { new: true }
+        )
+        : null;
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invitation Not Found',
+          message: 'Pending invitation not found'
+        });
+      }
+
+      console.log(`✅ Organization invitation revoked: ${invitation.email} from ${req.organization.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation revoked successfully',
+        invitation: invitation.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Revoke organization invitation error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to revoke invitation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Accept an invitation sent to the signed-in user's email address
+   * POST /api/organizations/invitations/accept
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Invitation token is required'
+        });
+      }
+
+      const tokenHash = organizationService.hashToken(token);
+      const pending = await OrganizationInvitation.findOne({ tokenHash });
+
+      if (pending && pending.email !== req.user.email.toLowerCase()) {
+        return res.status(403).json({
+          success: false,
+          error: 'Invitation Email Mismatch',
+          message: 'This invitation was issued for a different email address'
+        });
+      }
+
+      const invitation = await OrganizationInvitation.claim(tokenHash, req.user._id);
+      if (!invitation) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Invitation',
+          message: 'Invitation is invalid, expired or has already been used'
+        });
+      }
+
+      // The pending invitation held a seat, so a free seat is expected
+      const organization = await Organization.addMember(invitation.organizationId, {
+        userId: req.user._id,
+        role: invitation.role,
+        addedBy: invitation.invitedBy
+      });
+
+      if (!organization) {
+        await OrganizationInvitation.release(invitation._id);
+
+        const existing = await Organization.findById(invitation.organizationId);
+        return res.status(409).json({
+          success: false,
+          error: existing && existing.getMember(req.user._id) ? 'Already a Member' : 'No Seats Available',
+          message: existing && existing.getMember(req.user._id)
+            ? 'You are already a member of this organization'
+            : 'The organization has no free seats. Ask its owner to add seats.'
+        });
+      }
+
+      console.log(`✅ Organization invitation accepted: ${req.user.email} joined ${organization.name} as ${invitation.role}`);
+
+      res.status(200).json({
+        success: true,
+        message: `You have joined ${organization.name}`,
+        organization: { ...organization.toSafeObject(), role: invitation.role }
+      });
+
+    } catch (error) {
+      console.error('Accept organization invitation error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to accept invitation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Change a member's role (owner). Making someone the owner hands over
+   * ownership; the previous owner becomes an admin
+   * PUT /api/organizations/:orgId/members/:userId
+   */
+  async updateMemberRole(req, res) {
+    try {
+      const { organization } = req;
+      const { role } = req.body;
+
+      if (!organizationService.roles.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: `Role must be one of: ${organizationService.roles.join(', ')}`
+        });
+      }
+
+      const member = organization.getMember(req.params.userId);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          error: 'Member Not Found',
+          message: 'Member not found'
+        });
+      }
+
+      if (member.role === 'owner') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Transfer ownership to another member to change the owner\'s role'
+        });
+      }
+
+      if (role === 'owner') {
+        organization.members
+          .filter(existing => existing.role === 'owner')
+          .forEach(previousOwner => { previousOwner.role = 'admin'; });
+      }
+
+      member.role = role;
+      await organization.save();
+
+      console.log(`✅ Organization member role updated: ${member.userId} -> ${role} in ${organization.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: role === 'owner' ? 'Ownership transferred successfully' : `Member role updated to ${role}`,
+        organization: organization.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Update organization member error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to update member',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Remove a member or leave the organization. Owners can remove anyone,
+   * admins can remove members, and anyone but the owner can leave
+   * DELETE /api/organizations/:orgId/members/:userId
+   */
+  async removeMember(req, res) {
+    try {
+      const { organization, organizationMember } = req;
+
+      const member = organization.getMember(req.params.userId);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          error: 'Member Not Found',
+          message: 'Member not found'
+        });
+      }
+
+      if (member.role === 'owner') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'The owner cannot leave or be removed. Transfer ownership or delete the organization.'
+        });
+      }
+
+      const isSelf = member.userId.toString() === req.user._id.toString();
+      const canRemove = isSelf ||
+        await isOwnerOrGlobalAdmin(req) ||
+        (organizationMember && organizationMember.role === 'admin' && member.role === 'member');
+
+      if (!canRemove) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient Permissions',
+          message: 'Only the owner can remove admins; admins can remove members'
+        });
+      }
+
+      await Organization.updateOne({ _id: organization._id }, { $pull: { members: { userId: member.userId } } });
+
+      console.log(`✅ Organization member removed: ${member.userId} from ${organization.name} by ${req.user.email}${isSelf ? ' (left)' : ''}`);
+
+      res.status(200).json({
+        success: true,
+        message: isSelf ? 'You have left the organization' : 'Member removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Remove organization member error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to remove member',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Admin: All organizations with seat usage
+   * GET /api/organizations/admin/all
+   */
+  async listAllOrganizations(req, res) {
+    try {
+      const { search } = req.query;
+      const filter = {};
+      if (search) {
+        const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ name: pattern }, { slug: pattern }];
+      }
+
+      const organizations = await Organization.find(filter).sort({ createdAt: -1 });
+
+      const results = await Promise.all(organizations.map(async organization => ({
+        ...organization.toSafeObject(),
+        seatUsage: await organizationService.getSeatUsage(organization)
+      })));
+
+      res.status(200).json({
+        success: true,
+        organizations: results
+      });
+
+    } catch (error) {
+      console.error('List all organizations error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve organizations',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Admin: Update seats, status and subdomain grants
+   * PUT /api/organizations/admin/:orgId
+   * `subdomainGrants` replaces the organization's grants
+   */
+  async adminUpdateOrganization(req, res) {
+    try {
+      const { organization } = req;
+      const { seats, isActive, subdomainGrants } = req.body;
+
+      if (seats !== undefined) {
+        const pendingInvitations = await OrganizationInvitation.countPending(organization._id);
+        const used = organization.members.length + pendingInvitations;
+
+        if (!Number.isInteger(seats) || seats < 1 || seats > 10000) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation Error',
+            message: 'Seats must be a whole number between 1 and 10000'
+          });
+        }
+
+        if (seats < used) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation Error',
+            message: `Seats cannot be fewer than current members and pending invitations (${used})`
+          });
+        }
+      }
+
+      if (subdomainGrants !== undefined) {
+        const grantError = validateSubdomainGrants(subdomainGrants);
+        if (grantError) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation Error',
+            message: grantError
+          });
+        }
+      }
+
+      if (seats !== undefined) organization.seats = seats;
+      if (isActive !== undefined) organization.isActive = isActive === true;
+      if (subdomainGrants !== undefined) {
+        organization.subdomainGrants = subdomainGrants.map(grant => ({
+          subdomainId: grant.subdomainId,
+          expiresAt: grant.expiresAt ? new Date(grant.expiresAt) : null,
+          grantedBy: req.user._id,
+          grantedAt: new Date()
+        }));
+      }
+
+      await organization.save();
+
+      console.log(`✅ Organization updated by admin: ${organization.name} (seats ${organization.seats}, ${organization.isActive ? 'active' : 'suspended'}, subdomains: ${organization.subdomainGrants.map(grant => grant.subdomainId).join(', ') || 'none'}) by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Organization updated successfully',
+        organization: organization.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Admin update organization error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to update organization',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+// Organization owner, or a global admin acting on any organization
+async function isOwnerOrGlobalAdmin(req) {
+  return (req.organizationMember && req.organizationMember.role === 'owner') ||
+    await isAdministrator(req);
+}
+
+// Returns an error message, or null when the grants are valid
+function validateSubdomainGrants(subdomainGrants) {
+  if (!Array.isArray(subdomainGrants)) {
+    return 'Subdomain grants must be a list';
+  }
+
+  for (const grant of subdomainGrants) {
+    if (!grant || !subdomainAccessService.isValidSubdomain(grant.subdomainId)) {
+      return `Subdomain must be one of: ${subdomainAccessService.getSubdomainIds().join(', ')}`;
+    }
+
+    if (grant.expiresAt && Number.isNaN(new Date(grant.expiresAt).getTime())) {
+      return `Invalid access expiry for ${grant.subdomainId}`;
+    }
+  }
+
+  const ids = subdomainGrants.map(grant => grant.subdomainId);
+  if (new Set(ids).size !== ids.length) {
+    return 'Each subdomain can only be granted once';
+  }
+
+  return null;
+}
+
+module.exports = organizationController;
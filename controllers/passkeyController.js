@@ -0,0 +1,349 @@
+const User = require('../models/User');
+const Passkey = require('../models/Passkey');
+const authService = require('../utils/authService');
+const passkeyService = require('../utils/passkeyService');
+const sessionService = require('../utils/sessionService');
+
+const MAX_PASSKEYS_PER_USER = 10;
+
+/**
+ * Passkey Controller
+ * Handles WebAuthn passkey registration, passwordless login and passkey management
+ */
+const passkeyController = {
+  /**
+   * Generate registration options for a new passkey
+   * POST /api/auth/passkeys/register/options
+   */
+  async registrationOptions(req, res) {
+    try {
+      const passkeys = await Passkey.findUserPasskeys(req.user._id);
+
+      if (passkeys.length >= MAX_PASSKEYS_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          error: 'Passkey Limit Reached',
+          message: `You can register up to ${MAX_PASSKEYS_PER_USER} passkeys`
+        });
+      }
+
+      const options = await passkeyService.createRegistrationOptions(req.user, passkeys);
+
+      res.status(200).json({
+        success: true,
+        options
+      });
+
+    } catch (error) {
+      console.error('Passkey registration options error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to start passkey registration',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Verify the authenticator response and store the new passkey
+   * POST /api/auth/passkeys/register/verify
+   */
+  async verifyRegistration(req, res) {
+    try {
+      const { response, name } = req.body;
+
+      if (!response) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Registration response is required'
+        });
+      }
+
+      let verification;
+      try {
+        verification = await passkeyService.verifyRegistration(req.user, response);
+      } catch (verificationError) {
+        console.error('Passkey registration verification failed:', verificationError.message);
+        verification = { verified: false };
+      }
+
+      if (!verification.verified) {
+        return res.status(400).json({
+          success: false,
+          error: 'Verification Failed',
+          message: 'Passkey registration could not be verified. Please try again.'
+        });
+      }
+
+      const { credential, credentialDeviceType, credentialBackedUp, aaguid } = verification.registrationInfo;
+
+      const passkey = await Passkey.create({
+        userId: req.user._id,
+        credentialId: credential.id,
+        publicKey: passkeyService.encodePublicKey(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports || (response.response && response.response.transports) || [],
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        aaguid,
+        name: name ? authService.sanitizeInput(name).substring(0, 100) : 'Passkey'
+      });
+
+      console.log(`✅ Passkey registered for: ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Passkey registered successfully',
+        passkey: passkey.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Passkey registration error:', error.message);
+
+      if (error.message === 'Passkey is already registered') {
+        return res.status(400).json({
+          success: false,
+          error: 'Duplicate Passkey',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to register passkey',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Generate authentication options for passwordless login
+   * POST /api/auth/passkeys/login/options
+   */
+  async loginOptions(req, res) {
+    try {
+      // Always a discoverable-credential request (the browser offers any
+      // passkey for this site), so the response does not depend on an email
+      // and cannot reveal which accounts exist or have passkeys
+      const options = await passkeyService.createAuthenticationOptions();
+
+      res.status(200).json({
+        success: true,
+        options
+      });
+
+    } catch (error) {
+      console.error('Passkey login options error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to start passkey login. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Verify a passkey assertion and sign the user in
+   * POST /api/auth/passkeys/login/verify
+   */
+  async verifyLogin(req, res) {
+    try {
+      const { response, rememberMe } = req.body;
+
+      if (!response || !response.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Authentication response is required'
+        });
+      }
+
+      // Find the passkey and its owner
+      const passkey = await Passkey.findByCredentialId(response.id);
+      const user = passkey ? await User.findById(passkey.userId) : null;
+
+      if (!passkey || !user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Credentials',
+          message: 'Passkey is not recognized'
+        });
+      }
+
+      // Check if account is locked or inactive
+      const blockReason = sessionService.getLoginBlockReason(user);
+      if (blockReason) {
+        return res.status(blockReason.status).json({
+          success: false,
+          error: blockReason.error,
+          message: blockReason.message
+        });
+      }
+
+      let verification;
+      try {
+        verification = await passkeyService.verifyAuthentication(passkey, response);
+      } catch (verificationError) {
+        console.error('Passkey authentication verification failed:', verificationError.message);
+        verification = { verified: false };
+      }
+
+      if (!verification.verified) {
+        // Increment login attempts
+        await sessionService.recordFailedLogin(req, user);
+
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid Credentials',
+          message: 'Passkey verification failed'
+        });
+      }
+
+      await passkey.recordUse(
+        verification.authenticationInfo.newCounter,
+        authService.getClientIpAddress(req)
+      );
+
+      // A user-verified passkey satisfies both factors, so no TOTP step is required
+      const session = await sessionService.startSession(req, res, user, { rememberMe });
+
+      console.log(`✅ User logged in successfully with passkey: ${user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        user: authService.generateUserResponse(user),
+        ...session
+      });
+
+    } catch (error) {
+      console.error('Passkey login error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to process passkey login. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * List current user's passkeys
+   * GET /api/users/profile/passkeys
+   */
+  async listPasskeys(req, res) {
+    try {
+      const passkeys = await Passkey.findUserPasskeys(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        passkeys: passkeys.map(passkey => passkey.toSafeObject())
+      });
+
+    } catch (error) {
+      console.error('List passkeys error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve passkeys',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Rename one of the current user's passkeys
+   * PUT /api/users/profile/passkeys/:passkeyId
+   */
+  async renamePasskey(req, res) {
+    try {
+      const { passkeyId } = req.params;
+      const { name } = req.body;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Passkey name is required'
+        });
+      }
+
+      const passkey = await Passkey.findOneAndUpdate(
+        { _id: passkeyId, userId: req.user._id },
+        { name: authService.sanitizeInput(name).substring(0, 100) },
+        { new: true, runValidators: true }
+      );
+
+      if (!passkey) {
+        return res.status(404).json({
+          success: false,
+          error: 'Passkey Not Found',
+          message: 'Passkey not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Passkey renamed successfully',
+        passkey: passkey.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Rename passkey error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to rename passkey',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Delete one of the current user's passkeys
+   * DELETE /api/users/profile/passkeys/:passkeyId
+   */
+  async deletePasskey(req, res) {
+    try {
+      const { passkeyId } = req.params;
+
+      const passkey = await Passkey.findOneAndDelete({ _id: passkeyId, userId: req.user._id });
+
+      if (!passkey) {
+        return res.status(404).json({
+          success: false,
+          error: 'Passkey Not Found',
+          message: 'Passkey not found'
+        });
+      }
+
+      console.log(`✅ Passkey deleted for: ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Passkey deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete passkey error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to delete passkey',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = passkeyController;
@@ -0,0 +1,111 @@
+const rateLimitService = require('../utils/rateLimitService');
+const rateLimitConfig = require('../config/rateLimitConfig');
+
+/**
+ * Rate Limit Controller
+ * Admin view of rate limit policies and the keys they are limiting
+ */
+const rateLimitController = {
+  /**
+   * Configured policies
+   * GET /api/rate-limits/policies
+   */
+  async getPolicies(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        enabled: rateLimitConfig.enabled,
+        storeAvailable: rateLimitService.isAvailable(),
+        policies: Object.values(rateLimitConfig.policies)
+      });
+
+    } catch (error) {
+      console.error('Get rate limit policies error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve rate limit policies',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Blocked keys (or every key with recent requests when ?all=true),
+   * optionally for one policy
+   * GET /api/rate-limits
+   */
+  async listKeys(req, res) {
+    try {
+      const { policy, all } = req.query;
+
+      if (policy && !rateLimitConfig.getPolicy(policy)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: `Policy must be one of: ${Object.keys(rateLimitConfig.policies).join(', ')}`
+        });
+      }
+
+      const keys = await rateLimitService.listKeys({
+        policyName: policy || null,
+        includeAllowed: all === 'true'
+      });
+
+      res.status(200).json({
+        success: true,
+        keys
+      });
+
+    } catch (error) {
+      console.error('List rate limit keys error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve rate limit keys',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Clear the counts for a key so it is no longer limited
+   * DELETE /api/rate-limits/:key
+   */
+  async resetKey(req, res) {
+    try {
+      const { key } = req.params;
+      const deletedCount = await rateLimitService.resetKey(key);
+
+      if (!deletedCount) {
+        return res.status(404).json({
+          success: false,
+          error: 'Key Not Found',
+          message: 'No recent requests were recorded for this key'
+        });
+      }
+
+      console.log(`✅ Rate limit reset for ${key} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rate limit reset successfully',
+        key
+      });
+
+    } catch (error) {
+      console.error('Reset rate limit error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to reset rate limit',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = rateLimitController;
@@ -0,0 +1,286 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const authService = require('../utils/authService');
+const roleService = require('../utils/roleService');
+const permissionCatalog = require('../utils/permissionCatalog');
+
+/**
+ * Role Controller
+ * Admin management of roles (named permission sets) and the permission catalog
+ */
+const roleController = {
+  /**
+   * List roles, highest level first, with the number of users holding each
+   * GET /api/roles
+   */
+  async listRoles(req, res) {
+    try {
+      const [roles, counts] = await Promise.all([
+        Role.find().sort({ level: -1, name: 1 }),
+        User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+      ]);
+
+      const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+      res.status(200).json({
+        success: true,
+        roles: roles.map(role => ({ ...role.toSafeObject(), userCount: userCounts.get(role.name) || 0 }))
+      });
+
+    } catch (error) {
+      console.error('List roles error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve roles',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Permission keys declared by the API's routers
+   * GET /api/roles/permissions
+   */
+  async getPermissions(req, res) {
+    res.status(200).json({
+      success: true,
+      permissions: permissionCatalog.list()
+    });
+  },
+
+  /**
+   * Create a role
+   * POST /api/roles
+   */
+  async createRole(req, res) {
+    try {
+      const { name, displayName, description = '', level, permissions = [] } = req.body;
+
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Role name is required'
+        });
+      }
+
+      const validationError = await validateRoleInput({ displayName, description, level, permissions });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: validationError
+        });
+      }
+
+      if (await Role.findByName(name.trim())) {
+        return res.status(409).json({
+          success: false,
+          error: 'Role Exists',
+          message: `A role named "${name.trim().toLowerCase()}" already exists`
+        });
+      }
+
+      const role = await Role.create({
+        name: name.trim(),
+        displayName: displayName ? authService.sanitizeInput(displayName) : undefined,
+        description: authService.sanitizeInput(description),
+        level,
+        permissions: [...new Set(permissions)],
+        createdBy: req.user._id
+      });
+
+      roleService.clearCache();
+
+      console.log(`✅ Role created: ${role.name} (level ${role.level}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        role: role.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Create role error:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: Object.values(error.errors).map(err => err.message).join('. ')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to create role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Update a role's display name, description, level or permissions
+   * PUT /api/roles/:name
+   * Roles cannot be renamed, and the built-in roles keep their level
+   */
+  async updateRole(req, res) {
+    try {
+      const role = await Role.findByName(req.params.name);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role Not Found',
+          message: 'Role not found'
+        });
+      }
+
+      const { displayName, description, level, permissions } = req.body;
+
+      if (role.isSystem && level !== undefined && level !== role.level) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'The level of a built-in role cannot be changed'
+        });
+      }
+
+      const validationError = await validateRoleInput({
+        displayName,
+        description: description !== undefined ? description : role.description,
+        level: role.isSystem ? null : (level !== undefined ? level : role.level),
+        permissions: permissions !== undefined ? permissions : role.permissions
+      });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: validationError
+        });
+      }
+
+      if (displayName !== undefined) role.displayName = authService.sanitizeInput(displayName);
+      if (description !== undefined) role.description = authService.sanitizeInput(description);
+      if (level !== undefined) role.level = level;
+      if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+
+      await role.save();
+
+      roleService.clearCache();
+
+      console.log(`✅ Role updated: ${role.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        role: role.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('Update role error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to update role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Delete a custom role that no user or open invitation uses
+   * DELETE /api/roles/:name
+   */
+  async deleteRole(req, res) {
+    try {
+      const role = await Role.findByName(req.params.name);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role Not Found',
+          message: 'Role not found'
+        });
+      }
+
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Built-in roles cannot be deleted'
+        });
+      }
+
+      const [userCount, invitationCount] = await Promise.all([
+        User.countDocuments({ role: role.name }),
+        Invitation.countDocuments({ role: role.name, revokedAt: null, expiresAt: { $gt: new Date() } })
+      ]);
+
+      if (userCount > 0 || invitationCount > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Role In Use',
+          message: `Role is assigned to ${userCount} user(s) and ${invitationCount} open invitation(s). Reassign them before deleting it.`
+        });
+      }
+
+      await role.deleteOne();
+
+      roleService.clearCache();
+
+      console.log(`✅ Role deleted: ${role.name} by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete role error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to delete role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+// Returns an error message, or null when the role settings are valid.
+// Pass a null level to skip the level check (built-in roles)
+async function validateRoleInput({ displayName, description, level, permissions }) {
+  if (displayName !== undefined && typeof displayName !== 'string') {
+    return 'Display name must be a string';
+  }
+
+  if (typeof description !== 'string') {
+    return 'Description must be a string';
+  }
+
+  // Custom roles rank below administrators
+  if (level !== null) {
+    const adminLevel = await roleService.getLevel(roleService.adminRole);
+    if (!Number.isInteger(level) || level < 1 || level >= adminLevel) {
+      return `Role level must be a whole number from 1 to ${adminLevel - 1}`;
+    }
+  }
+
+  if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) {
+    return 'Permissions must be a list of strings';
+  }
+
+  const unknown = permissionCatalog.findUnknown(permissions);
+  if (unknown.length) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+module.exports = roleController;
@@ -1,8 +1,11 @@
 const SubdomainRequest = require('../models/SubdomainRequest');
 const User = require('../models/User');
 const authService = require('../utils/authService');
+const subdomainAccessService = require('../utils/subdomainAccessService');
 const emailService = require('../utils/emailService');
 const emailTemplates = require('../utils/emailTemplates');
+const roleService = require('../utils/roleService');
+const { isAdministrator } = require('../middleware/roles');
 
 /**
  * Subdomain Request Controller
@@ -53,7 +56,11 @@ const subdomainRequestController = {
 
       // Send notification email to admins (optional)
       try {
-        const adminUsers = await User.find({ role: 'admin', isActive: true, emailVerified: true });
+        const adminUsers = await User.find({
+          role: { $in: await roleService.getAdminRoleNames() },
+          isActive: true,
+          emailVerified: true
+        });
         const subdomainNames = {
           'ai-trl': 'AI Training & Learning Platform',
           'ai-tutot': 'AI Tutorial Platform'
@@ -202,8 +209,7 @@ const subdomainRequestController = {
       const user = req.user;
 
       // Validate subdomain exists
-      const validSubdomains = ['ai-trl', 'ai-tutot'];
-      if (!validSubdomains.includes(subdomainId)) {
+      if (!subdomainAccessService.isValidSubdomain(subdomainId)) {
         return res.status(400).json({
           success: false,
           error: 'Invalid Subdomain',
@@ -211,35 +217,9 @@ const subdomainRequestController = {
         });
       }
 
-      // Check role-based access first
-      const subdomainConfig = {
-        'ai-trl': { allowedRoles: ['admin', 'user'], requireEmailVerification: true },
-        'ai-tutot': { allowedRoles: ['admin'], requireEmailVerification: true }
-      };
-
-      const config = subdomainConfig[subdomainId];
-      let hasRoleAccess = false;
-      let accessDenialReason = '';
-
-      // Check role permission
-      if (!config.allowedRoles.includes(user.role)) {
-        accessDenialReason = `Requires ${config.allowedRoles.join(' or ')} role (you have: ${user.role})`;
-      } else if (config.requireEmailVerification && !user.emailVerified) {
-        accessDenialReason = 'Email verification required';
-      } else if (!user.isActive || user.accountStatus !== 'active' || user.isLocked) {
-        accessDenialReason = 'Account is not active or is locked';
-      } else {
-        hasRoleAccess = true;
-      }
-
-      // Check for approved subdomain request if no role access
-      let hasApprovedAccess = false;
-      if (!hasRoleAccess) {
-        hasApprovedAccess = await SubdomainRequest.hasActiveAccess(userId, subdomainId);
-      }
-
-      const hasAccess = hasRoleAccess || hasApprovedAccess;
-      const accessMethod = hasRoleAccess ? 'role-based' : hasApprovedAccess ? 'request-approved' : 'none';
+      // Role rules first, then an approved access request, then an organization grant
+      const { hasAccess, accessMethod, accessDenialReason } =
+        await subdomainAccessService.evaluateAccess(user, subdomainId);
 
       res.status(200).json({
         success: true,
@@ -254,7 +234,7 @@ const subdomainRequestController = {
           role: user.role,
           emailVerified: user.emailVerified
         },
-        accessDenialReason: hasAccess ? null : accessDenialReason || 'Access not granted',
+        accessDenialReason,
         timestamp: new Date().toISOString()
       });
 
@@ -275,15 +255,6 @@ const subdomainRequestController = {
    */
   async getAllRequests(req, res) {
     try {
-      // Ensure user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'Access Denied',
-          message: 'Administrator privileges required'
-        });
-      }
-
       const { 
         status = 'all', 
         subdomainId,
@@ -356,15 +327,6 @@ const subdomainRequestController = {
    */
   async getPendingRequests(req, res) {
     try {
-      // Ensure user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'Access Denied',
-          message: 'Administrator privileges required'
-        });
-      }
-
       const { limit = 50, skip = 0 } = req.query;
 
       const requests = await SubdomainRequest.getPendingRequests({
@@ -401,15 +363,6 @@ const subdomainRequestController = {
    */
   async approveRequest(req, res) {
     try {
-      // Ensure user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'Access Denied',
-          message: 'Administrator privileges required'
-        });
-      }
-
       const { id } = req.params;
       const { adminMessage, expiresAt } = req.body;
       const reviewerId = req.user._id;
@@ -484,15 +437,6 @@ const subdomainRequestController = {
    */
   async denyRequest(req, res) {
     try {
-      // Ensure user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'Access Denied',
-          message: 'Administrator privileges required'
-        });
-      }
-
       const { id } = req.params;
       const { adminMessage } = req.body;
       const reviewerId = req.user._id;
@@ -567,15 +511,6 @@ const subdomainRequestController = {
    */
   async getRequestStats(req, res) {
     try {
-      // Ensure user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'Access Denied',
-          message: 'Administrator privileges required'
-        });
-      }
-
       const stats = await SubdomainRequest.getRequestStats();
 
       res.status(200).json({
@@ -601,7 +536,7 @@ const subdomainRequestController = {
   async fixExpiredApproval(req, res) {
     try {
       // Ensure user is admin
-      if (req.user.role !== 'admin') {
+      if (!await isAdministrator(req)) {
         return res.status(403).json({
           success: false,
           error: 'Access Denied',
@@ -658,7 +593,7 @@ const subdomainRequestController = {
   async clearAllRequests(req, res) {
     try {
       // Ensure user is admin
-      if (req.user.role !== 'admin') {
+      if (!await isAdministrator(req)) {
         return res.status(403).json({
           success: false,
           error: 'Access Denied',
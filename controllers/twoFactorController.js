@@ -0,0 +1,296 @@
+const User = require('../models/User');
+const authService = require('../utils/authService');
+const totpService = require('../utils/totpService');
+
+/**
+ * Two-Factor Authentication Controller
+ * Handles TOTP enrollment, backup recovery codes and disabling 2FA
+ */
+const twoFactorController = {
+  /**
+   * Get current user's two-factor status
+   * GET /api/auth/2fa/status
+   */
+  async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user._id);
+      const twoFactor = user.twoFactor || {};
+
+      res.status(200).json({
+        success: true,
+        twoFactor: {
+          enabled: !!twoFactor.enabled,
+          enabledAt: twoFactor.enabledAt || null,
+          setupPending: !twoFactor.enabled && !!twoFactor.pendingSecret,
+          backupCodesRemaining: twoFactor.enabled
+            ? totpService.countRemainingBackupCodes(twoFactor.backupCodes)
+            : 0
+        }
+      });
+
+    } catch (error) {
+      console.error('Get two-factor status error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve two-factor status',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Start enrollment: generate a secret and otpauth URI for the authenticator app
+   * POST /api/auth/2fa/setup
+   */
+  async setup(req, res) {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Already Enabled',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      // Secret stays pending until confirmed with a first code
+      const secret = totpService.generateSecret();
+      await User.findByIdAndUpdate(user._id, {
+        $set: { 'twoFactor.pendingSecret': secret }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        secret,
+        otpauthUri: totpService.buildOtpauthUri(user.email, secret)
+      });
+
+    } catch (error) {
+      console.error('Two-factor setup error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to start two-factor setup',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Confirm enrollment with a first code and issue backup recovery codes
+   * POST /api/auth/2fa/enable
+   */
+  async enable(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Authentication code is required'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      const twoFactor = user.twoFactor || {};
+
+      if (twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Already Enabled',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!twoFactor.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          error: 'Setup Required',
+          message: 'Start two-factor setup before enabling it'
+        });
+      }
+
+      const step = totpService.verifyCode(twoFactor.pendingSecret, String(code));
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Code',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      // Backup codes are only shown once, stored hashed
+      const backupCodes = totpService.generateBackupCodes();
+
+      await User.findByIdAndUpdate(user._id, {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': twoFactor.pendingSecret,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.backupCodes': backupCodes.map(backupCode => ({
+            codeHash: totpService.hashBackupCode(backupCode)
+          }))
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      });
+
+      console.log(`✅ Two-factor authentication enabled for: ${user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+        backupCodes
+      });
+
+    } catch (error) {
+      console.error('Two-factor enable error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to enable two-factor authentication',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Disable two-factor authentication (requires password and a current code)
+   * POST /api/auth/2fa/disable
+   */
+  async disable(req, res) {
+    try {
+      const { password, code, backupCode } = req.body;
+
+      if (!password || (!code && !backupCode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Password and an authentication code or backup code are required'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      if (!user.twoFactor || !user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Not Enabled',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      // Verify password
+      const isPasswordValid = await authService.comparePassword(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Password',
+          message: 'Password is incorrect'
+        });
+      }
+
+      const verification = await totpService.verifyUserFactor(user, { code, backupCode });
+      if (!verification.verified) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Code',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      await user.resetTwoFactor();
+
+      console.log(`✅ Two-factor authentication disabled for: ${user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      console.error('Two-factor disable error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to disable two-factor authentication',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Replace all backup recovery codes (requires a current authenticator code)
+   * POST /api/auth/2fa/backup-codes
+   */
+  async regenerateBackupCodes(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Authentication code is required'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      if (!user.twoFactor || !user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Not Enabled',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const verification = await totpService.verifyUserFactor(user, { code });
+      if (!verification.verified) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Code',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      const backupCodes = totpService.generateBackupCodes();
+
+      await User.findByIdAndUpdate(user._id, {
+        $set: {
+          'twoFactor.backupCodes': backupCodes.map(backupCode => ({
+            codeHash: totpService.hashBackupCode(backupCode)
+          }))
+        }
+      });
+
+      console.log(`✅ Backup codes regenerated for: ${user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'New backup codes generated. Previous codes no longer work.',
+        backupCodes
+      });
+
+    } catch (error) {
+      console.error('Regenerate backup codes error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to regenerate backup codes',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = twoFactorController;
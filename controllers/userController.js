@@ -1,5 +1,18 @@
 const User = require('../models/User');
+const Token = require('../models/Token');
+const SecurityEvent = require('../models/SecurityEvent');
 const authService = require('../utils/authService');
+const passwordPolicyService = require('../utils/passwordPolicyService');
+const sessionService = require('../utils/sessionService');
+const tokenRevocationService = require('../utils/tokenRevocationService');
+const emailService = require('../utils/emailService');
+const emailTemplates = require('../utils/emailTemplates');
+const emailVerificationService = require('../utils/emailVerificationService');
+const backchannelLogoutService = require('../utils/backchannelLogoutService');
+const roleService = require('../utils/roleService');
+const organizationService = require('../utils/organizationService');
+const impersonationService = require('../utils/impersonationService');
+const permissionCatalog = require('../utils/permissionCatalog');
 
 const userController = {
   // Get current user profile
@@ -17,7 +30,15 @@ const userController = {
 
       res.status(200).json({
         success: true,
-        user: authService.generateUserResponse(user)
+        user: authService.generateUserResponse(user),
+        emailVerification: emailVerificationService.getStatus(user),
+        passwordExpiresAt: passwordPolicyService.getPasswordExpiry(user),
+        impersonatedBy: req.impersonator ? {
+          id: req.impersonator._id,
+          email: req.impersonator.email,
+          firstName: req.impersonator.firstName,
+          lastName: req.impersonator.lastName
+        } : undefined
       });
 
     } catch (error) {
@@ -191,16 +212,6 @@ const userController = {
         });
       }
 
-      // Validate new password strength
-      const passwordValidation = authService.validatePassword(newPassword);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          error: 'Validation Error',
-          message: passwordValidation.message
-        });
-      }
-
       // Get user with password
       const user = await User.findById(userId);
       if (!user) {
@@ -231,19 +242,35 @@ const userController = {
         });
       }
 
+      // Validate new password against the user's role policy and history
+      const passwordValidation = await passwordPolicyService.validate(newPassword, { role: user.role, user });
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: passwordValidation.message,
+          violations: passwordValidation.violations
+        });
+      }
+
       // Hash new password
       const hashedNewPassword = await authService.hashPassword(newPassword);
 
       // Update password
-      await User.findByIdAndUpdate(userId, {
-        password: hashedNewPassword
-      });
+      await User.findByIdAndUpdate(userId, passwordPolicyService.buildPasswordUpdate(hashedNewPassword, user.role));
+
+      // Sign out every device and invalidate outstanding access tokens, then
+      // give this device a fresh session
+      await tokenRevocationService.revokeAllUserTokens(user);
+      await tokenRevocationService.revokeToken(req.tokenPayload, 'password_change');
+      const session = await sessionService.issueSession(req, res, user);
 
       console.log(`✅ Password changed successfully for: ${user.email}`);
 
       res.status(200).json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully. Other devices have been signed out.',
+        ...session
       });
 
     } catch (error) {
@@ -258,6 +285,122 @@ const userController = {
     }
   },
 
+  /**
+   * Request an email address change. The new address gets a confirmation
+   * link and the current one a notice with a cancel link; the address only
+   * changes once the new one is confirmed.
+   * POST /api/users/email
+   */
+  async requestEmailChange(req, res) {
+    try {
+      const { newEmail } = req.body;
+
+      if (!authService.validateEmail(newEmail)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Please provide a valid email address'
+        });
+      }
+
+      const email = newEmail.toLowerCase().trim();
+      const user = req.user;
+
+      if (email === user.email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'New email must be different from your current email'
+        });
+      }
+
+      const existingUser = await User.findByEmail(email);
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email In Use',
+          message: 'An account with this email address already exists'
+        });
+      }
+
+      const ipAddress = authService.getClientIpAddress(req);
+      const userAgent = req.get('User-Agent');
+
+      // Only one change can be pending at a time
+      await Token.revokeUserTokens(user._id, 'email_change');
+      await Token.revokeUserTokens(user._id, 'email_change_cancel');
+
+      const confirmToken = authService.generateSecureToken();
+      const cancelToken = authService.generateSecureToken();
+
+      await Token.createToken(
+        user._id,
+        confirmToken,
+        'email_change',
+        Token.getExpirationTime('email_change'),
+        ipAddress,
+        userAgent,
+        { email }
+      );
+      await Token.createToken(
+        user._id,
+        cancelToken,
+        'email_change_cancel',
+        Token.getExpirationTime('email_change_cancel'),
+        ipAddress,
+        userAgent,
+        { email: user.email }
+      );
+
+      await SecurityEvent.logEvent(user._id, 'email_change_requested', {
+        ipAddress,
+        userAgent,
+        details: { from: user.email, to: email }
+      });
+
+      try {
+        const confirmTemplate = emailTemplates.emailChangeConfirmTemplate(user, email, confirmToken);
+        await emailService.sendEmail({
+          to: email,
+          subject: confirmTemplate.subject,
+          html: confirmTemplate.html
+        });
+
+        const noticeTemplate = emailTemplates.emailChangeNoticeTemplate(user, email, cancelToken);
+        await emailService.sendEmail({
+          to: user.email,
+          subject: noticeTemplate.subject,
+          html: noticeTemplate.html
+        });
+      } catch (emailError) {
+        console.error('Email change email send failed:', emailError.message);
+
+        return res.status(500).json({
+          success: false,
+          error: 'Email Error',
+          message: 'Failed to send confirmation email. Please try again later.'
+        });
+      }
+
+      console.log(`✅ Email change requested for: ${user.email} -> ${email}`);
+
+      res.status(200).json({
+        success: true,
+        message: `A confirmation link has been sent to ${email}. Your email address will change once it is confirmed.`
+      });
+
+    } catch (error) {
+      console.error('Request email change error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to request email change',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
   // Delete user account
   async deleteAccount(req, res) {
     try {
@@ -293,6 +436,16 @@ const userController = {
         });
       }
 
+      // Organizations with other members need a new owner first
+      const ownedOrganizations = await organizationService.findOwnedWithOtherMembers(userId);
+      if (ownedOrganizations.length) {
+        return res.status(409).json({
+          success: false,
+          error: 'Organization Owner',
+          message: `Transfer ownership of ${ownedOrganizations.map(organization => organization.name).join(', ')} before deleting your account`
+        });
+      }
+
       // Soft delete - deactivate account
       await User.findByIdAndUpdate(userId, {
         isActive: false,
@@ -304,6 +457,16 @@ const userController = {
         avatar: null
       });
 
+      // A pending or recent email change must not bring the address back
+      await Token.revokeUserTokens(userId, 'email_change');
+      await Token.revokeUserTokens(userId, 'email_change_cancel');
+
+      // Leave organizations; those with no other members are deleted
+      await organizationService.removeUser(userId);
+
+      // End the user's sessions on subdomain clients (not awaited)
+      backchannelLogoutService.notifyUser(userId, 'account_deleted');
+
       console.log(`✅ Account deleted successfully for: ${user.email}`);
 
       res.status(200).json({
@@ -323,6 +486,125 @@ const userController = {
     }
   },
 
+  // List current user's active sessions (one per signed-in device)
+  async getSessions(req, res) {
+    try {
+      const currentSessionId = await sessionService.getCurrentSessionId(req);
+      const sessions = await sessionService.listSessions(req.user._id, currentSessionId);
+
+      res.status(200).json({
+        success: true,
+        sessions
+      });
+
+    } catch (error) {
+      console.error('Get sessions error:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve sessions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Revoke one of the current user's sessions
+  async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const revoked = await sessionService.revokeSession(req.user._id, sessionId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session Not Found',
+          message: 'Session not found or already ended'
+        });
+      }
+
+      // Revoking the current session signs this device out as well
+      const currentSessionId = await sessionService.getCurrentSessionId(req);
+      if (sessionId === currentSessionId) {
+        sessionService.clearAuthCookies(res);
+      }
+
+      console.log(`✅ Session revoked for: ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke session error:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to revoke session',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Revoke all of the current user's sessions except this one
+  async revokeOtherSessions(req, res) {
+    try {
+      const currentSessionId = await sessionService.getCurrentSessionId(req);
+      const revokedCount = await sessionService.revokeAllSessions(req.user._id, currentSessionId);
+
+      console.log(`✅ ${revokedCount} other session(s) revoked for: ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'All other sessions revoked successfully',
+        revokedCount
+      });
+
+    } catch (error) {
+      console.error('Revoke other sessions error:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to revoke sessions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Current user's security history (sign-ins, lockouts, email changes)
+  async getSecurityEvents(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      await impersonationService.recordExpired({ userId: req.user._id });
+      const events = await SecurityEvent.findUserEvents(req.user._id, limit, req.query.type || null);
+
+      res.status(200).json({
+        success: true,
+        events: events.map(event => ({
+          id: event._id,
+          type: event.type,
+          ipAddress: event.ipAddress,
+          userAgent: event.userAgent,
+          details: event.details,
+          createdAt: event.createdAt
+        }))
+      });
+
+    } catch (error) {
+      console.error('Get security events error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve security history',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
   // Get all users (Admin only)
   async getAllUsers(req, res) {
     try {
@@ -430,11 +712,11 @@ const userController = {
       const { role, reason } = req.body;
 
       // Validate role
-      if (!role || !['user', 'admin'].includes(role)) {
+      if (!role || typeof role !== 'string' || !(await roleService.roleExists(role))) {
         return res.status(400).json({
           success: false,
           error: 'Validation Error',
-          message: 'Role must be either "user" or "admin"'
+          message: 'Role must be an existing role (see GET /api/roles)'
         });
       }
 
@@ -475,6 +757,14 @@ const userController = {
     } catch (error) {
       console.error('Update user role error:', error.message);
       
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: error.message
+        });
+      }
+      
       res.status(500).json({
         success: false,
         error: 'Server Error',
@@ -484,6 +774,77 @@ const userController = {
     }
   },
 
+  /**
+   * Replace a user's direct permissions (Admin only)
+   * PUT /api/users/:id/permissions
+   * Direct permissions are granted on top of those from the user's role
+   */
+  async updateUserPermissions(req, res) {
+    try {
+      const { id } = req.params;
+      const { permissions, reason } = req.body;
+
+      if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'Permissions must be a list of strings'
+        });
+      }
+
+      const unknown = permissionCatalog.findUnknown(permissions);
+      if (unknown.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: `Unknown permissions: ${unknown.join(', ')}`
+        });
+      }
+
+      const updatedUser = await User.findByIdAndUpdate(
+        id,
+        { permissions: [...new Set(permissions)] },
+        { new: true, runValidators: true }
+      ).select('-password');
+
+      if (!updatedUser) {
+        return res.status(404).json({
+          success: false,
+          error: 'User Not Found',
+          message: 'User not found'
+        });
+      }
+
+      console.log(`✅ User permissions updated: ${updatedUser.email} -> [${updatedUser.permissions.join(', ')}] by ${req.user.email}${reason ? ` (Reason: ${reason})` : ''}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'User permissions updated successfully',
+        user: authService.generateUserResponse(updatedUser),
+        permissions: updatedUser.permissions,
+        effectivePermissions: await roleService.getUserPermissions(updatedUser)
+      });
+
+    } catch (error) {
+      console.error('Update user permissions error:', error.message);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Invalid user ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to update user permissions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
   // Suspend/unsuspend user (Admin only)
   async updateUserStatus(req, res) {
     try {
@@ -528,6 +889,12 @@ const userController = {
         { new: true, runValidators: true }
       ).select('-password');
 
+      // Suspended or deactivated users lose every session and token immediately
+      if (status !== 'active') {
+        await tokenRevocationService.revokeAllUserTokens(updatedUser);
+        backchannelLogoutService.notifyUser(updatedUser._id, `account_${status}`);
+      }
+
       console.log(`✅ User status updated: ${user.email} -> ${status} by ${req.user.email}${reason ? ` (Reason: ${reason})` : ''}`);
 
       res.status(200).json({
@@ -548,6 +915,127 @@ const userController = {
     }
   },
 
+  // Reset user's two-factor authentication (Admin only)
+  async resetUserTwoFactor(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      // Find user
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User Not Found',
+          message: 'User not found'
+        });
+      }
+
+      if (!user.twoFactor || (!user.twoFactor.enabled && !user.twoFactor.pendingSecret)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'User does not have two-factor authentication configured'
+        });
+      }
+
+      await user.resetTwoFactor();
+
+      console.log(`✅ Two-factor authentication reset: ${user.email} by ${req.user.email}${reason ? ` (Reason: ${reason})` : ''}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication reset successfully'
+      });
+
+    } catch (error) {
+      console.error('Reset two-factor error:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to reset two-factor authentication',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // List a user's active sessions (Admin only)
+  async getUserSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Find user
+      const user = await User.findById(id).select('-password');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User Not Found',
+          message: 'User not found'
+        });
+      }
+
+      const sessions = await sessionService.listSessions(user._id);
+
+      res.status(200).json({
+        success: true,
+        user: {
+          id: user._id,
+          email: user.email
+        },
+        sessions
+      });
+
+    } catch (error) {
+      console.error('Get user sessions error:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to retrieve user sessions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Force logout a user from all devices (Admin only)
+  async forceLogoutUser(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      // Find user
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User Not Found',
+          message: 'User not found'
+        });
+      }
+
+      const revokedCount = await tokenRevocationService.revokeAllUserTokens(user);
+
+      console.log(`✅ User force logged out: ${user.email} (${revokedCount} session(s)) by ${req.user.email}${reason ? ` (Reason: ${reason})` : ''}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'User signed out of all sessions',
+        revokedCount
+      });
+
+    } catch (error) {
+      console.error('Force logout error:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to sign user out',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
   // Get user statistics (Admin only)
   async getUserStats(req, res) {
     try {
@@ -595,6 +1083,7 @@ const userController = {
       
       // Import Analytics model
       const Analytics = require('../models/Analytics');
+      const adminRoles = await roleService.getAdminRoleNames();
       
       const [
         userStats,
@@ -619,7 +1108,7 @@ const userController = {
         User.countDocuments({ isActive: true }),
         User.countDocuments({ isActive: false }),
         User.countDocuments({ status: 'suspended' }),
-        User.countDocuments({ role: 'admin' }),
+        User.countDocuments({ role: { $in: adminRoles } }),
         User.countDocuments({ createdAt: { $gte: today } }),
         User.countDocuments({ createdAt: { $gte: startOfWeek } }),
         User.countDocuments({ createdAt: { $gte: startOfMonth } }),
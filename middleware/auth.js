@@ -1,14 +1,52 @@
-const authService = require('../utils/authService');
 const User = require('../models/User');
+const authService = require('../utils/authService');
+const tokenRevocationService = require('../utils/tokenRevocationService');
+const csrfService = require('../utils/csrfService');
+const emailVerificationService = require('../utils/emailVerificationService');
+const impersonationService = require('../utils/impersonationService');
+const apiKeyService = require('../utils/apiKeyService');
+const sessionService = require('../utils/sessionService');
+const { isAdministrator } = require('./roles');
+
+// Browsers attach cookies to cross-site requests, so unsafe requests
+// authenticated by the auth_token cookie must carry the CSRF token. Only
+// requests authenticated by the Authorization header are exempt; the cookie
+// wins when both are sent, so an extra header does not skip the check.
+const requiresCsrfCheck = (req, tokenSource) => {
+  return tokenSource === 'cookie' && csrfService.isUnsafeMethod(req.method);
+};
 
 // Main authentication middleware
 const auth = async (req, res, next) => {
   try {
     let token;
+    let tokenSource = 'header';
+
+    // API keys for scripts and tools ("Authorization: ApiKey <key>")
+    const apiKeyValue = apiKeyService.getKeyFromRequest(req);
+    if (apiKeyValue) {
+      const result = await apiKeyService.authenticate(apiKeyValue, req);
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid API Key',
+          message: 'API key is invalid, expired or revoked'
+        });
+      }
+
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+      req.sessionId = null;
+      req.tokenPayload = null;
+      req.impersonator = null;
+
+      return next();
+    }
 
     // Check for token in cookies first (for subdomain access)
     if (req.cookies && req.cookies.auth_token) {
       token = req.cookies.auth_token;
+      tokenSource = 'cookie';
     } else {
       // Fallback to Authorization header
       const authHeader = req.header('Authorization');
@@ -73,8 +111,51 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // Check the token has not been revoked (logout, suspension, password change)
+    if (await tokenRevocationService.isRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token Revoked',
+        message: 'Your session has been revoked. Please log in again.'
+      });
+    }
+
+    // Check the CSRF token for unsafe cookie-authenticated requests
+    if (requiresCsrfCheck(req, tokenSource) && !csrfService.verifyRequest(req, decoded.sid)) {
+      return res.status(403).json({
+        success: false,
+        error: 'CSRF Validation Failed',
+        message: `Missing or invalid CSRF token. Send the ${csrfService.cookieName} cookie value in the ${csrfService.headerName} header.`
+      });
+    }
+
+    // Impersonation tokens also carry the admin acting as the user
+    let impersonator = null;
+    if (impersonationService.isImpersonationToken(decoded)) {
+      impersonator = await impersonationService.getImpersonator(decoded);
+      if (!impersonator) {
+        return res.status(401).json({
+          success: false,
+          error: 'Impersonation Ended',
+          message: 'This impersonation session has ended'
+        });
+      }
+
+      console.log(`Impersonation: ${impersonator.email} as ${user.email} ${req.method} ${req.originalUrl}`);
+    }
+
+    // Attach user, session and token claims to request object. While
+    // impersonating, req.user is the impersonated user and req.impersonator
+    // the admin.
     req.user = user;
+    req.sessionId = decoded.sid || null;
+    req.tokenPayload = decoded;
+    req.impersonator = impersonator;
+
+    // Counts towards the session idle timeout; impersonation is not the user's activity
+    if (!impersonator) {
+      sessionService.recordActivity(req.sessionId);
+    }
     
     next();
   } catch (error) {
@@ -110,10 +191,26 @@ const auth = async (req, res, next) => {
 const optionalAuth = async (req, res, next) => {
   try {
     let token;
+    let tokenSource = 'header';
+
+    const apiKeyValue = apiKeyService.getKeyFromRequest(req);
+    if (apiKeyValue) {
+      const result = await apiKeyService.authenticate(apiKeyValue, req);
+      if (result) {
+        req.user = result.user;
+        req.apiKey = result.apiKey;
+        req.sessionId = null;
+        req.tokenPayload = null;
+        req.impersonator = null;
+      }
+
+      return next();
+    }
 
     // Check for token in cookies first (for subdomain access)
     if (req.cookies && req.cookies.auth_token) {
       token = req.cookies.auth_token;
+      tokenSource = 'cookie';
     } else {
       // Fallback to Authorization header
       const authHeader = req.header('Authorization');
@@ -135,8 +232,19 @@ const optionalAuth = async (req, res, next) => {
     // Find the user
     const user = await User.findById(decoded.id).select('-password');
     
-    if (user && user.isActive && user.accountStatus === 'active' && !user.isLocked) {
-      req.user = user;
+    // Cookie-authenticated unsafe requests without a valid CSRF token stay anonymous
+    const csrfValid = !requiresCsrfCheck(req, tokenSource) || csrfService.verifyRequest(req, decoded.sid);
+
+    if (user && user.isActive && user.accountStatus === 'active' && !user.isLocked && csrfValid &&
+        !(await tokenRevocationService.isRevoked(decoded, user))) {
+      const impersonator = await impersonationService.getImpersonator(decoded);
+
+      if (!impersonationService.isImpersonationToken(decoded) || impersonator) {
+        req.user = user;
+        req.sessionId = decoded.sid || null;
+        req.tokenPayload = decoded;
+        req.impersonator = impersonator;
+      }
     }
     
     next();
@@ -159,7 +267,8 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
-// Middleware to check if user's email is verified
+// Middleware to check if user's email is verified (see emailVerificationService
+// for the grace period)
 const requireEmailVerification = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -169,17 +278,49 @@ const requireEmailVerification = (req, res, next) => {
     });
   }
 
-  if (!req.user.emailVerified) {
+  // Unverified users keep access until their grace period ends
+  if (emailVerificationService.isRestricted(req.user)) {
     return res.status(403).json({
       success: false,
       error: 'Email Verification Required',
-      message: 'Please verify your email address to access this resource'
+      message: 'Please verify your email address to access this resource',
+      emailVerification: emailVerificationService.getStatus(req.user)
     });
   }
   
   next();
 };
 
+// Middleware to block account changes (credentials, sessions, deletion)
+// while an admin is impersonating the user
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    console.warn(`⚠️ Blocked ${req.method} ${req.originalUrl}: ${req.impersonator.email} is impersonating ${req.user.email}`);
+
+    return res.status(403).json({
+      success: false,
+      error: 'Not Allowed While Impersonating',
+      message: 'This action cannot be performed while impersonating a user'
+    });
+  }
+
+  next();
+};
+
+// Middleware to require a signed-in session: API keys cannot manage
+// credentials, sessions or other API keys
+const requireSessionAuth = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Session Required',
+      message: 'This action cannot be performed with an API key'
+    });
+  }
+
+  next();
+};
+
 // Middleware to check if user owns the resource
 const requireResourceOwnership = (resourceUserIdField = 'userId') => {
   return async (req, res, next) => {
@@ -193,7 +334,7 @@ const requireResourceOwnership = (resourceUserIdField = 'userId') => {
       }
 
       // Check if user is admin (admins can access all resources)
-      if (req.user.role === 'admin') {
+      if (await isAdministrator(req)) {
         return next();
       }
 
@@ -243,7 +384,7 @@ const requireResourceAccess = (resourceUserIdField = 'userId') => {
       }
 
       // Admins can access all resources
-      if (req.user.role === 'admin') {
+      if (await isAdministrator(req)) {
         return next();
       }
 
@@ -317,6 +458,36 @@ const requireActiveUser = (req, res, next) => {
   next();
 };
 
+// Middleware to require a recent sign-in or re-authentication (auth_time
+// claim) for sensitive operations; maxAge is in seconds
+const requireRecentAuth = (maxAge = 300) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication Required',
+        message: 'You must be logged in to perform this action'
+      });
+    }
+
+    // Tokens issued before auth_time was introduced count as stale
+    const authTime = req.tokenPayload && req.tokenPayload.auth_time;
+    const authAge = authTime ? Math.floor(Date.now() / 1000) - authTime : Infinity;
+
+    if (authAge > maxAge) {
+      return res.status(401).json({
+        success: false,
+        error: 'Reauthentication Required',
+        message: 'Please confirm your password or two-factor code to continue',
+        reauthenticate: '/api/auth/reauthenticate',
+        maxAge
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   auth,
   optionalAuth,
@@ -324,5 +495,8 @@ module.exports = {
   requireEmailVerification,
   requireResourceOwnership,
   requireResourceAccess,
-  requireActiveUser
+  requireActiveUser,
+  requireRecentAuth,
+  blockImpersonation,
+  requireSessionAuth
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+const challengeService = require('../utils/challengeService');
+
+// Require a solved proof-of-work challenge for `scope` (see POST /api/challenges).
+// The solution is read from the X-PoW-Challenge / X-PoW-Nonce headers or the
+// powChallenge / powNonce body fields.
+const requireChallenge = (scope) => {
+  return async (req, res, next) => {
+    if (!challengeService.enabled) {
+      return next();
+    }
+
+    try {
+      const body = req.body || {};
+      const challenge = req.header('X-PoW-Challenge') || body.powChallenge;
+      const nonce = req.header('X-PoW-Nonce') || body.powNonce;
+
+      const error = await challengeService.verifySolution(req, challenge, nonce, scope);
+      if (error) {
+        return res.status(403).json({
+          success: false,
+          error: 'Challenge Failed',
+          message: `${error}. Request a new challenge from POST /api/challenges and solve it.`,
+          challengeRequired: true,
+          scope
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Challenge verification error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to verify challenge',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireChallenge
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const { isAdministrator } = require('./roles');
+
+// Load the organization named by :orgId into req.organization, with the
+// signed-in user's membership in req.organizationMember. Non-members get a
+// 404 so organization IDs are not disclosed; global admins can see every
+// organization.
+const loadOrganization = async (req, res, next) => {
+  try {
+    const organization = mongoose.isValidObjectId(req.params.orgId)
+      ? await Organization.findById(req.params.orgId)
+      : null;
+    const member = organization ? organization.getMember(req.user._id) : null;
+
+    if (!organization || (!member && !await isAdministrator(req))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization Not Found',
+        message: 'Organization not found'
+      });
+    }
+
+    req.organization = organization;
+    req.organizationMember = member;
+    next();
+  } catch (error) {
+    console.error('Load organization error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: 'Failed to load organization',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Require one of the organization roles (owner, admin, member); global admins
+// always pass. Use after loadOrganization
+const requireOrganizationRole = (roles) => {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
+  return async (req, res, next) => {
+    try {
+      if (await isAdministrator(req)) {
+        return next();
+      }
+
+      if (!req.organizationMember || !allowedRoles.includes(req.organizationMember.role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient Permissions',
+          message: `This action requires the organization ${allowedRoles.join(' or ')} role`
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Organization role check error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: 'Failed to check permissions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+module.exports = {
+  loadOrganization,
+  requireOrganizationRole
+};
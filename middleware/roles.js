@@ -1,8 +1,50 @@
 // Role-based access control middleware
+const roleService = require('../utils/roleService');
+const apiKeyService = require('../utils/apiKeyService');
+
+// Requests made with an API key are limited to the key's scopes: an
+// administrator's key only acts as admin with the "admin" scope (otherwise
+// it has the default role), and permissions must be both held by the user
+// and granted to the key
+const getEffectiveRole = async (req) => {
+  if (req.apiKey && !apiKeyService.keyAllows(req.apiKey, apiKeyService.adminScope) &&
+      await roleService.hasAdminLevel(req.user.role)) {
+    return roleService.defaultRole;
+  }
+
+  return req.user.role;
+};
+
+// Administrator rights (the admin role or a role ranked above it) for this request
+const isAdministrator = async (req) => {
+  return roleService.hasAdminLevel(await getEffectiveRole(req));
+};
+
+// Permissions come from the user's role and their direct permissions
+// (admins have all)
+const hasPermission = async (req, permission) => {
+  if (req.apiKey && !apiKeyService.keyAllows(req.apiKey, permission)) {
+    return false;
+  }
 
-// Check if user has specific role
+  return roleService.hasPermission(req.user, permission);
+};
+
+const sendRoleCheckError = (res, error) => {
+  console.error('Role check error:', error.message);
+
+  res.status(500).json({
+    success: false,
+    error: 'Server Error',
+    message: 'Failed to check permissions',
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Check if user has specific role; roles ranked above every listed role
+// in the stored hierarchy are also allowed
 const requireRole = (roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -11,23 +53,33 @@ const requireRole = (roles) => {
       });
     }
 
-    // Convert single role to array for consistency
-    const allowedRoles = Array.isArray(roles) ? roles : [roles];
-
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: 'Insufficient Permissions',
-        message: `This action requires ${allowedRoles.join(' or ')} role`
-      });
+    try {
+      // Convert single role to array for consistency
+      const allowedRoles = Array.isArray(roles) ? roles : [roles];
+      const effectiveRole = await getEffectiveRole(req);
+
+      if (!allowedRoles.includes(effectiveRole)) {
+        const levels = await Promise.all(allowedRoles.map(role => roleService.getLevel(role)));
+        const userLevel = await roleService.getLevel(effectiveRole);
+
+        if (userLevel <= Math.max(...levels)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Insufficient Permissions',
+            message: `This action requires ${allowedRoles.join(' or ')} role`
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      sendRoleCheckError(res, error);
     }
-
-    next();
   };
 };
 
-// Check if user has admin role
-const requireAdmin = (req, res, next) => {
+// Check if user has admin role (or a role ranked above it)
+const requireAdmin = async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -36,19 +88,23 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Admin Access Required',
-      message: 'This action requires administrator privileges'
-    });
-  }
+  try {
+    if (!await isAdministrator(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin Access Required',
+        message: 'This action requires administrator privileges'
+      });
+    }
 
-  next();
+    next();
+  } catch (error) {
+    sendRoleCheckError(res, error);
+  }
 };
 
 // Check if user has user role (regular user)
-const requireUser = (req, res, next) => {
+const requireUser = async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -57,20 +113,24 @@ const requireUser = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'user') {
-    return res.status(403).json({
-      success: false,
-      error: 'User Access Required',
-      message: 'This action is only available to regular users'
-    });
-  }
+  try {
+    if (await getEffectiveRole(req) !== roleService.defaultRole) {
+      return res.status(403).json({
+        success: false,
+        error: 'User Access Required',
+        message: 'This action is only available to regular users'
+      });
+    }
 
-  next();
+    next();
+  } catch (error) {
+    sendRoleCheckError(res, error);
+  }
 };
 
 // Check if user has specific permission
 const requirePermission = (permission) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -79,27 +139,26 @@ const requirePermission = (permission) => {
       });
     }
 
-    // Admin users have all permissions
-    if (req.user.role === 'admin') {
-      return next();
+    try {
+      // Check if user has the specific permission (admins have all)
+      if (!await hasPermission(req, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient Permissions',
+          message: `This action requires '${permission}' permission`
+        });
+      }
+
+      next();
+    } catch (error) {
+      sendRoleCheckError(res, error);
     }
-
-    // Check if user has the specific permission
-    if (!req.user.permissions || !req.user.permissions.includes(permission)) {
-      return res.status(403).json({
-        success: false,
-        error: 'Insufficient Permissions',
-        message: `This action requires '${permission}' permission`
-      });
-    }
-
-    next();
   };
 };
 
 // Check if user has any of the specified permissions
 const requireAnyPermission = (permissions) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -108,29 +167,27 @@ const requireAnyPermission = (permissions) => {
       });
     }
 
-    // Admin users have all permissions
-    if (req.user.role === 'admin') {
-      return next();
-    }
+    try {
+      const results = await Promise.all(permissions.map(permission => hasPermission(req, permission)));
 
-    const userPermissions = req.user.permissions || [];
-    const hasPermission = permissions.some(permission => userPermissions.includes(permission));
+      if (!results.includes(true)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient Permissions',
+          message: `This action requires one of: ${permissions.join(', ')}`
+        });
+      }
 
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        error: 'Insufficient Permissions',
-        message: `This action requires one of: ${permissions.join(', ')}`
-      });
+      next();
+    } catch (error) {
+      sendRoleCheckError(res, error);
     }
-
-    next();
   };
 };
 
 // Check if user has all of the specified permissions
 const requireAllPermissions = (permissions) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -139,29 +196,27 @@ const requireAllPermissions = (permissions) => {
       });
     }
 
-    // Admin users have all permissions
-    if (req.user.role === 'admin') {
-      return next();
-    }
+    try {
+      const results = await Promise.all(permissions.map(permission => hasPermission(req, permission)));
 
-    const userPermissions = req.user.permissions || [];
-    const hasAllPermissions = permissions.every(permission => userPermissions.includes(permission));
+      if (results.includes(false)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient Permissions',
+          message: `This action requires all of: ${permissions.join(', ')}`
+        });
+      }
 
-    if (!hasAllPermissions) {
-      return res.status(403).json({
-        success: false,
-        error: 'Insufficient Permissions',
-        message: `This action requires all of: ${permissions.join(', ')}`
-      });
+      next();
+    } catch (error) {
+      sendRoleCheckError(res, error);
     }
-
-    next();
   };
 };
 
 // Check if user can perform admin actions (admin or has admin permissions)
 const requireAdminOrPermission = (permission) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -170,26 +225,30 @@ const requireAdminOrPermission = (permission) => {
       });
     }
 
-    // Admin users can perform all actions
-    if (req.user.role === 'admin') {
-      return next();
+    try {
+      // Admin users can perform all actions
+      if (await isAdministrator(req)) {
+        return next();
+      }
+
+      // Check if user has the specific permission
+      if (!await hasPermission(req, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient Permissions',
+          message: `This action requires administrator privileges or '${permission}' permission`
+        });
+      }
+
+      next();
+    } catch (error) {
+      sendRoleCheckError(res, error);
     }
-
-    // Check if user has the specific permission
-    if (!req.user.permissions || !req.user.permissions.includes(permission)) {
-      return res.status(403).json({
-        success: false,
-        error: 'Insufficient Permissions',
-        message: `This action requires administrator privileges or '${permission}' permission`
-      });
-    }
-
-    next();
   };
 };
 
 // Check if user can access user management features
-const requireUserManagement = (req, res, next) => {
+const requireUserManagement = async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -198,26 +257,30 @@ const requireUserManagement = (req, res, next) => {
     });
   }
 
-  // Admin users can manage all users
-  if (req.user.role === 'admin') {
-    return next();
-  }
+  try {
+    // Admin users can manage all users
+    if (await isAdministrator(req)) {
+      return next();
+    }
 
-  // Check if user has user management permission
-  if (!req.user.permissions || !req.user.permissions.includes('user_management')) {
-    return res.status(403).json({
-      success: false,
-      error: 'Insufficient Permissions',
-      message: 'This action requires user management privileges'
-    });
-  }
+    // Check if user has user management permission
+    if (!await hasPermission(req, 'user_management')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient Permissions',
+        message: 'This action requires user management privileges'
+      });
+    }
 
-  next();
+    next();
+  } catch (error) {
+    sendRoleCheckError(res, error);
+  }
 };
 
 // Check if user is admin or owns the resource
 const requireAdminOrOwnership = (userIdField = 'id') => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -226,9 +289,13 @@ const requireAdminOrOwnership = (userIdField = 'id') => {
       });
     }
 
-    // Admin users can access all resources
-    if (req.user.role === 'admin') {
-      return next();
+    try {
+      // Admin users can access all resources
+      if (await isAdministrator(req)) {
+        return next();
+      }
+    } catch (error) {
+      return sendRoleCheckError(res, error);
     }
 
     // Get the user ID from request params
@@ -255,14 +322,9 @@ const requireAdminOrOwnership = (userIdField = 'id') => {
   };
 };
 
-// Middleware to check role hierarchy (admin > user)
+// Middleware to check the stored role hierarchy (Role.level)
 const requireMinimumRole = (minimumRole) => {
-  const roleHierarchy = {
-    'user': 1,
-    'admin': 2
-  };
-
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -271,33 +333,42 @@ const requireMinimumRole = (minimumRole) => {
       });
     }
 
-    const userRoleLevel = roleHierarchy[req.user.role] || 0;
-    const minimumRoleLevel = roleHierarchy[minimumRole] || 0;
-
-    if (userRoleLevel < minimumRoleLevel) {
-      return res.status(403).json({
-        success: false,
-        error: 'Insufficient Role Level',
-        message: `This action requires ${minimumRole} role or higher`
-      });
+    try {
+      const userRoleLevel = await roleService.getLevel(await getEffectiveRole(req));
+      // A role that no longer exists cannot be satisfied
+      const minimumRoleLevel = await roleService.getLevel(minimumRole) || Infinity;
+
+      if (userRoleLevel < minimumRoleLevel) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient Role Level',
+          message: `This action requires ${minimumRole} role or higher`
+        });
+      }
+
+      next();
+    } catch (error) {
+      sendRoleCheckError(res, error);
     }
-
-    next();
   };
 };
 
 // Middleware to log access attempts for admin actions
 const logAdminAccess = (action) => {
-  return (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
-      console.log(`Admin Access: ${req.user.email} performed ${action} at ${new Date().toISOString()}`);
+  return async (req, res, next) => {
+    try {
+      if (req.user && await roleService.hasAdminLevel(req.user.role)) {
+        console.log(`Admin Access: ${req.user.email} performed ${action} at ${new Date().toISOString()}`);
+      }
+    } catch (error) {
+      console.error('Admin access log error:', error.message);
     }
     next();
   };
 };
 
 // Middleware to check if user can modify another user's role
-const requireRoleModification = (req, res, next) => {
+const requireRoleModification = async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -306,12 +377,16 @@ const requireRoleModification = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Admin Access Required',
-      message: 'Only administrators can modify user roles'
-    });
+  try {
+    if (!await isAdministrator(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin Access Required',
+        message: 'Only administrators can modify user roles'
+      });
+    }
+  } catch (error) {
+    return sendRoleCheckError(res, error);
   }
 
   // Prevent users from modifying their own role
@@ -328,6 +403,8 @@ const requireRoleModification = (req, res, next) => {
 };
 
 module.exports = {
+  getEffectiveRole,
+  isAdministrator,
   requireRole,
   requireAdmin,
   requireUser,
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+/**
+ * API Key Model
+ * Personal access tokens for scripts and internal tools. Only a hash of the
+ * key is stored; the prefix is kept so users can tell their keys apart.
+ */
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxLength: [100, 'Key name must not exceed 100 characters']
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    unique: true,
+    index: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Permissions the key may use (see requirePermission); "admin" lets an
+  // administrator's key use admin-only routes
+  scopes: [{
+    type: String,
+    trim: true
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'api_keys'
+});
+
+apiKeySchema.index({ createdAt: -1 });
+
+// Virtual for the key state shown to users and admins
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'active';
+});
+
+// Static methods
+apiKeySchema.statics.findUsable = function(keyHash) {
+  return this.findOne({
+    keyHash,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+apiKeySchema.statics.countActiveKeys = function(userId) {
+  return this.countDocuments({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Record use at most once a minute to avoid a write on every request
+apiKeySchema.statics.recordUse = function(keyId, ipAddress) {
+  const now = new Date();
+
+  return this.updateOne(
+    {
+      _id: keyId,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(now.getTime() - 60 * 1000) } }
+      ]
+    },
+    { $set: { lastUsedAt: now, lastUsedIp: ipAddress } }
+  );
+};
+
+// Revoke a key; pass userId to limit it to the owner's keys. Returns null if
+// the key was not found or already revoked.
+apiKeySchema.statics.revoke = function(keyId, revokedBy, userId = null) {
+  const query = { _id: keyId, revokedAt: null };
+  if (userId) query.userId = userId;
+
+  return this.findOneAndUpdate(
+    query,
+    { $set: { revokedAt: new Date(), revokedBy } },
+    { new: true }
+  );
+};
+
+apiKeySchema.statics.revokeUserKeys = function(userId, revokedBy = null) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy } }
+  );
+};
+
+// Instance methods
+apiKeySchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    status: this.status,
+    user: this.userId,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+/**
+ * Impersonation Model
+ * Audit record of an admin signed in as another user ("log in as user").
+ * The impersonation token is only accepted while its record is active.
+ */
+const impersonationSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Admin ID is required'],
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxLength: [500, 'Reason must not exceed 500 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'User agent must not exceed 500 characters']
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Who ended it: the impersonating admin, or the system (e.g. the user was
+  // suspended)
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 'expired' when it ran out instead of being ended (endedAt is then the
+  // expiry time)
+  endReason: {
+    type: String,
+    enum: ['ended', 'expired', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'impersonations'
+});
+
+impersonationSchema.index({ startedAt: -1 });
+
+// Virtual for the impersonation state shown to admins
+impersonationSchema.virtual('status').get(function() {
+  if (this.endReason === 'expired') return 'expired';
+  if (this.endedAt) return 'ended';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'active';
+});
+
+// Query conditions matching the status virtual
+impersonationSchema.statics.statusFilter = function(status) {
+  const now = new Date();
+
+  switch (status) {
+    case 'active':
+      return { endedAt: null, expiresAt: { $gt: now } };
+    case 'ended':
+      return { endedAt: { $ne: null }, endReason: { $ne: 'expired' } };
+    case 'expired':
+      return { $or: [{ endReason: 'expired' }, { endedAt: null, expiresAt: { $lte: now } }] };
+    default:
+      return null;
+  }
+};
+
+// Static methods
+impersonationSchema.statics.findActive = function(impersonationId) {
+  return this.findOne({
+    _id: impersonationId,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Mark an impersonation as ended; returns null if it already was
+impersonationSchema.statics.end = function(impersonationId, endedBy = null) {
+  return this.findOneAndUpdate(
+    { _id: impersonationId, endedAt: null },
+    { $set: { endedAt: new Date(), endedBy, endReason: 'ended' } },
+    { new: true }
+  );
+};
+
+// Expired impersonations whose end has not been recorded yet
+impersonationSchema.statics.findUnrecordedExpiries = function(filter = {}) {
+  return this.find({ ...filter, endedAt: null, expiresAt: { $lte: new Date() } });
+};
+
+// Record that an impersonation ran out; returns null if its end was already
+// recorded
+impersonationSchema.statics.recordExpiry = function(impersonation) {
+  return this.findOneAndUpdate(
+    { _id: impersonation._id, endedAt: null, expiresAt: { $lte: new Date() } },
+    { $set: { endedAt: impersonation.expiresAt, endReason: 'expired' } },
+    { new: true }
+  );
+};
+
+// Instance methods
+impersonationSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    admin: this.adminId,
+    user: this.userId,
+    reason: this.reason,
+    status: this.status,
+    ipAddress: this.ipAddress,
+    startedAt: this.startedAt,
+    expiresAt: this.expiresAt,
+    endedAt: this.endedAt,
+    endedBy: this.endedBy
+  };
+};
+
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+
+module.exports = Impersonation;
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invitation Model
+ * Admin-issued signup invitations carrying the new account's role,
+ * permissions and subdomain grants. Only a hash of the token is stored.
+ */
+const invitationSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    index: true
+  },
+  // When set, only this address can accept the invitation
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // Name of a Role document (see models/Role.js)
+  role: {
+    type: String,
+    trim: true,
+    default: 'user'
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  subdomainGrants: [{
+    subdomainId: {
+      type: String,
+      required: true,
+      enum: ['ai-trl', 'ai-tutot'] // Must match SUBDOMAIN_CONFIG keys
+    },
+    // Access expiry for the granted subdomain; null means no expiry
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: [1, 'An invitation must allow at least one use']
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  usedBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  note: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Note must not exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'invitations'
+});
+
+invitationSchema.index({ createdAt: -1 });
+
+// Virtual for the invitation state shown to admins
+invitationSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.useCount >= this.maxUses) return 'used';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'active';
+});
+
+// Static methods
+invitationSchema.statics.findUsable = function(tokenHash) {
+  return this.findOne({
+    tokenHash,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $expr: { $lt: ['$useCount', '$maxUses'] }
+  });
+};
+
+// Atomically take one use of an invitation; returns null if none are left
+invitationSchema.statics.claimUse = function(invitationId) {
+  return this.findOneAndUpdate(
+    {
+      _id: invitationId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$useCount', '$maxUses'] }
+    },
+    { $inc: { useCount: 1 } },
+    { new: true }
+  );
+};
+
+// Give a use back when the account could not be created
+invitationSchema.statics.releaseUse = function(invitationId) {
+  return this.updateOne({ _id: invitationId, useCount: { $gt: 0 } }, { $inc: { useCount: -1 } });
+};
+
+invitationSchema.statics.recordUse = function(invitationId, userId) {
+  return this.updateOne({ _id: invitationId }, { $push: { usedBy: { userId, usedAt: new Date() } } });
+};
+
+// Instance methods
+invitationSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    role: this.role,
+    permissions: this.permissions,
+    subdomainGrants: this.subdomainGrants.map(grant => ({
+      subdomainId: grant.subdomainId,
+      expiresAt: grant.expiresAt
+    })),
+    maxUses: this.maxUses,
+    useCount: this.useCount,
+    usedBy: this.usedBy,
+    note: this.note,
+    status: this.status,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuth Authorization Model
+ * One authorization code flow: the pending request while the user signs in
+ * and consents, then the single-use code issued to the client
+ */
+const oauthAuthorizationSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: [true, 'Request ID is required'],
+    unique: true,
+    index: true
+  },
+  clientId: {
+    type: String,
+    required: [true, 'Client ID is required']
+  },
+  redirectUri: {
+    type: String,
+    required: [true, 'Redirect URI is required']
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  state: {
+    type: String
+  },
+  nonce: {
+    type: String
+  },
+  codeChallenge: {
+    type: String,
+    required: [true, 'PKCE code challenge is required']
+  },
+  prompt: {
+    type: String
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // SHA-256 of the authorization code
+  codeHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  authTime: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'redeemed'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'oauth_authorizations'
+});
+
+// TTL index removes finished and abandoned flows
+oauthAuthorizationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+oauthAuthorizationSchema.statics.createRequest = function(data, ttlMs = 10 * 60 * 1000) {
+  return this.create({
+    ...data,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+};
+
+oauthAuthorizationSchema.statics.findPendingRequest = function(requestId) {
+  return this.findOne({
+    requestId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Approve a pending request and attach a short-lived code
+oauthAuthorizationSchema.statics.issueCode = function(requestId, userId, codeHash, authTime, ttlMs = 60 * 1000) {
+  return this.findOneAndUpdate(
+    { requestId, status: 'pending', expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        status: 'approved',
+        userId,
+        codeHash,
+        authTime,
+        expiresAt: new Date(Date.now() + ttlMs)
+      }
+    },
+    { new: true }
+  );
+};
+
+oauthAuthorizationSchema.statics.denyRequest = function(requestId) {
+  return this.findOneAndUpdate(
+    { requestId, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'denied' } },
+    { new: true }
+  );
+};
+
+// Atomically redeem a code so it can only be exchanged once
+oauthAuthorizationSchema.statics.redeemCode = function(codeHash, clientId) {
+  return this.findOneAndUpdate(
+    { codeHash, clientId, status: 'approved', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'redeemed' } },
+    { new: true }
+  );
+};
+
+const OAuthAuthorization = mongoose.model('OAuthAuthorization', oauthAuthorizationSchema);
+
+module.exports = OAuthAuthorization;
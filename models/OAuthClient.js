@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuth Client Model
+ * Relying parties (one or more per protected subdomain) allowed to sign users
+ * in through this API's OpenID Connect provider
+ */
+const oauthClientSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: [true, 'Client ID is required'],
+    unique: true,
+    index: true
+  },
+  // SHA-256 of the client secret; public clients (SPAs) have none and rely on PKCE
+  clientSecretHash: {
+    type: String,
+    default: null
+  },
+  clientType: {
+    type: String,
+    enum: ['confidential', 'public'],
+    default: 'confidential'
+  },
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxLength: [100, 'Client name must not exceed 100 characters']
+  },
+  subdomainId: {
+    type: String,
+    required: [true, 'Subdomain ID is required'],
+    enum: ['ai-trl', 'ai-tutot'], // Must match SUBDOMAIN_CONFIG keys
+    index: true
+  },
+  redirectUris: {
+    type: [String],
+    validate: {
+      validator: (uris) => Array.isArray(uris) && uris.length > 0,
+      message: 'At least one redirect URI is required'
+    }
+  },
+  postLogoutRedirectUris: {
+    type: [String],
+    default: []
+  },
+  // Receives signed logout tokens when a user signs out or is suspended
+  // (OIDC Back-Channel Logout)
+  backchannelLogoutUri: {
+    type: String,
+    default: null
+  },
+  // Loaded in an iframe by the front-channel logout page
+  frontchannelLogoutUri: {
+    type: String,
+    default: null
+  },
+  allowedScopes: {
+    type: [String],
+    default: ['openid', 'profile', 'email', 'entitlements']
+  },
+  // First-party clients may skip the consent screen
+  skipConsent: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  secretRotatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'oauth_clients',
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.clientSecretHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Static methods
+oauthClientSchema.statics.findActiveClient = function(clientId) {
+  return this.findOne({ clientId, isActive: true });
+};
+
+// Active clients that want back-channel logout notifications
+oauthClientSchema.statics.findBackchannelClients = function() {
+  return this.find({ isActive: true, backchannelLogoutUri: { $ne: null } });
+};
+
+oauthClientSchema.statics.findFrontchannelClients = function() {
+  return this.find({ isActive: true, frontchannelLogoutUri: { $ne: null } });
+};
+
+// Instance methods
+oauthClientSchema.methods.hasRedirectUri = function(redirectUri) {
+  return this.redirectUris.includes(redirectUri);
+};
+
+oauthClientSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    clientId: this.clientId,
+    clientType: this.clientType,
+    name: this.name,
+    subdomainId: this.subdomainId,
+    redirectUris: this.redirectUris,
+    postLogoutRedirectUris: this.postLogoutRedirectUris,
+    backchannelLogoutUri: this.backchannelLogoutUri,
+    frontchannelLogoutUri: this.frontchannelLogoutUri,
+    allowedScopes: this.allowedScopes,
+    skipConsent: this.skipConsent,
+    isActive: this.isActive,
+    secretRotatedAt: this.secretRotatedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Error handling middleware
+oauthClientSchema.post('save', function(error, doc, next) {
+  if (error.name === 'MongoServerError' && error.code === 11000) {
+    next(new Error('Client ID already exists'));
+  } else {
+    next(error);
+  }
+});
+
+const OAuthClient = mongoose.model('OAuthClient', oauthClientSchema);
+
+module.exports = OAuthClient;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuth Consent Model
+ * Scopes a user has agreed to share with an OIDC client
+ */
+const oauthConsentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  clientId: {
+    type: String,
+    required: [true, 'Client ID is required']
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'oauth_consents'
+});
+
+// One consent record per user and client
+oauthConsentSchema.index({ userId: 1, clientId: 1 }, { unique: true });
+
+// Static methods
+oauthConsentSchema.statics.findConsent = function(userId, clientId) {
+  return this.findOne({ userId, clientId });
+};
+
+// Consent covers the request only if every requested scope was granted
+oauthConsentSchema.statics.hasConsent = async function(userId, clientId, scopes) {
+  const consent = await this.findOne({ userId, clientId });
+  return !!consent && scopes.every(scope => consent.scopes.includes(scope));
+};
+
+// Record consent, merging with previously granted scopes
+oauthConsentSchema.statics.grantConsent = function(userId, clientId, scopes) {
+  return this.findOneAndUpdate(
+    { userId, clientId },
+    {
+      $addToSet: { scopes: { $each: scopes } },
+      $set: { grantedAt: new Date() }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+const OAuthConsent = mongoose.model('OAuthConsent', oauthConsentSchema);
+
+module.exports = OAuthConsent;
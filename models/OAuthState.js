@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuth State Model
+ * Short-lived authorization request state for social login (state, PKCE verifier, nonce)
+ */
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    unique: true,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, 'PKCE code verifier is required']
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+  returnTo: {
+    type: String,
+    trim: true
+  },
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+  // Set when an authenticated user links a provider to their account
+  linkUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  used: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  collection: 'oauth_states'
+});
+
+// TTL index removes expired states
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+oauthStateSchema.statics.createState = function(data, ttlMs = 10 * 60 * 1000) {
+  return this.create({
+    ...data,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+};
+
+// Atomically mark a state as used; returns the state or null if invalid
+oauthStateSchema.statics.consumeState = function(state, provider) {
+  return this.findOneAndUpdate(
+    {
+      state,
+      provider,
+      used: false,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { used: true } },
+    { new: true }
+  );
+};
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+module.exports = OAuthState;
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization Model
+ * Customer companies and their members. Each organization has exactly one
+ * owner; owners and admins manage members within the purchased seat count.
+ * Subdomain grants give every member access to a protected subdomain.
+ */
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'member'],
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxLength: [100, 'Organization name must not exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Organization slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9-]{1,62}$/, 'Slug must be 2-63 lowercase letters, numbers or "-"']
+  },
+  members: [memberSchema],
+  // Members plus pending invitations may not exceed this
+  seats: {
+    type: Number,
+    required: true,
+    min: [1, 'An organization needs at least one seat']
+  },
+  subdomainGrants: [{
+    subdomainId: {
+      type: String,
+      required: true,
+      enum: ['ai-trl', 'ai-tutot'] // Must match SUBDOMAIN_CONFIG keys
+    },
+    // Access expiry for the granted subdomain; null means no expiry
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Suspended organizations keep their members but grant no subdomain access
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'organizations'
+});
+
+organizationSchema.index({ 'members.userId': 1 });
+
+// Static methods
+organizationSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.userId': userId }).sort({ name: 1 });
+};
+
+// Whether an active organization the user belongs to has an unexpired grant
+organizationSchema.statics.hasSubdomainAccess = async function(userId, subdomainId) {
+  const organization = await this.exists({
+    isActive: true,
+    'members.userId': userId,
+    subdomainGrants: {
+      $elemMatch: {
+        subdomainId,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      }
+    }
+  });
+
+  return !!organization;
+};
+
+// Atomically add a member if they are not one yet and a seat is free;
+// returns null otherwise
+organizationSchema.statics.addMember = function(organizationId, member) {
+  return this.findOneAndUpdate(
+    {
+      _id: organizationId,
+      'members.userId': { $ne: member.userId },
+      $expr: { $lt: [{ $size: '$members' }, '$seats'] }
+    },
+    { $push: { members: { ...member, joinedAt: new Date() } } },
+    { new: true }
+  );
+};
+
+// Instance methods
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.toString() === userId.toString()) || null;
+};
+
+organizationSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    slug: this.slug,
+    seats: this.seats,
+    memberCount: this.members.length,
+    subdomainGrants: this.subdomainGrants.map(grant => ({
+      subdomainId: grant.subdomainId,
+      expiresAt: grant.expiresAt,
+      grantedAt: grant.grantedAt
+    })),
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Error handling middleware
+organizationSchema.post('save', function(error, doc, next) {
+  if (error.name === 'MongoServerError' && error.code === 11000) {
+    next(new Error('Organization slug already exists'));
+  } else {
+    next(error);
+  }
+});
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization Invitation Model
+ * Invitations from an organization's owner or admins to join it. Each is for
+ * one email address, holds a seat while pending and is accepted by the
+ * signed-in user with that address. Only a hash of the token is stored.
+ */
+const organizationInvitationSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'organization_invitations'
+});
+
+// Virtual for the invitation state
+organizationInvitationSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.acceptedAt) return 'accepted';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+const pendingFilter = () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// Static methods
+organizationInvitationSchema.statics.findPending = function(organizationId) {
+  return this.find({ organizationId, ...pendingFilter() }).sort({ createdAt: -1 });
+};
+
+organizationInvitationSchema.statics.countPending = function(organizationId) {
+  return this.countDocuments({ organizationId, ...pendingFilter() });
+};
+
+organizationInvitationSchema.statics.findPendingForEmail = function(organizationId, email) {
+  return this.findOne({ organizationId, email: email.toLowerCase().trim(), ...pendingFilter() });
+};
+
+// Atomically mark a pending invitation accepted; returns null if it is not usable
+organizationInvitationSchema.statics.claim = function(tokenHash, userId) {
+  return this.findOneAndUpdate(
+    { tokenHash, ...pendingFilter() },
+    { acceptedAt: new Date(), acceptedBy: userId },
+    { new: true }
+  );
+};
+
+// Reopen an invitation when the member could not be added
+organizationInvitationSchema.statics.release = function(invitationId) {
+  return this.updateOne({ _id: invitationId }, { acceptedAt: null, acceptedBy: null });
+};
+
+// Instance methods
+organizationInvitationSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    organizationId: this.organizationId,
+    email: this.email,
+    role: this.role,
+    status: this.status,
+    invitedBy: this.invitedBy,
+    expiresAt: this.expiresAt,
+    acceptedAt: this.acceptedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+
+module.exports = OrganizationInvitation;
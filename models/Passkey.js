@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * Passkey Model
+ * WebAuthn credentials registered by users for passwordless login
+ */
+const passkeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    ref: 'User',
+    index: true
+  },
+  credentialId: {
+    type: String,
+    required: [true, 'Credential ID is required'],
+    unique: true,
+    index: true
+  },
+  publicKey: {
+    type: String,
+    required: [true, 'Public key is required'] // base64url-encoded COSE key
+  },
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: [{
+    type: String,
+    trim: true
+  }],
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice']
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  aaguid: {
+    type: String,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Passkey',
+    maxLength: [100, 'Passkey name must not exceed 100 characters']
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIP: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.publicKey;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+passkeySchema.index({ userId: 1, createdAt: -1 });
+
+// Static methods
+passkeySchema.statics.findByCredentialId = function(credentialId) {
+  return this.findOne({ credentialId });
+};
+
+passkeySchema.statics.findUserPasskeys = function(userId) {
+  return this.find({ userId }).sort({ createdAt: -1 });
+};
+
+// Instance methods
+passkeySchema.methods.recordUse = function(newCounter, ipAddress) {
+  this.counter = newCounter;
+  this.lastUsedAt = new Date();
+  this.lastUsedIP = ipAddress;
+  return this.save();
+};
+
+passkeySchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    deviceType: this.deviceType,
+    backedUp: this.backedUp,
+    transports: this.transports,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt || null
+  };
+};
+
+// Error handling middleware
+passkeySchema.post('save', function(error, doc, next) {
+  if (error.name === 'MongoServerError' && error.code === 11000) {
+    next(new Error('Passkey is already registered'));
+  } else {
+    next(error);
+  }
+});
+
+const Passkey = mongoose.model('Passkey', passkeySchema);
+
+module.exports = Passkey;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rate Limit Bucket Model
+ * Request count for one rate limit key (policy, dimension, identifier) in one
+ * fixed window. Shared by every API instance; buckets expire automatically
+ * once they no longer affect the sliding window.
+ */
+const rateLimitBucketSchema = new mongoose.Schema({
+  // "<policy>:<dimension>:<identifier>"
+  key: {
+    type: String,
+    required: [true, 'Key is required']
+  },
+  policy: {
+    type: String,
+    required: true,
+    index: true
+  },
+  dimension: {
+    type: String,
+    enum: ['ip', 'account'],
+    required: true
+  },
+  identifier: {
+    type: String,
+    required: true,
+    index: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'rate_limit_buckets'
+});
+
+rateLimitBucketSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+rateLimitBucketSchema.statics.increment = function(key, fields, windowStart, expiresAt) {
+  return this.findOneAndUpdate(
+    { key, windowStart },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: { ...fields, expiresAt }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+rateLimitBucketSchema.statics.findWindow = function(key, windowStart) {
+  return this.findOne({ key, windowStart });
+};
+
+// Buckets that can still count towards a limit
+rateLimitBucketSchema.statics.findRecent = function(since, filter = {}) {
+  return this.find({ ...filter, windowStart: { $gte: since } });
+};
+
+rateLimitBucketSchema.statics.resetKey = function(key) {
+  return this.deleteMany({ key });
+};
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+
+module.exports = RateLimitBucket;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Revoked Token Model
+ * Access token ids (jti) revoked before expiry. Entries are kept only until
+ * the token would have expired anyway.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token id is required'],
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxLength: [100, 'Reason must not exceed 100 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'revoked_tokens'
+});
+
+// TTL index removes entries once the token has expired
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+revokedTokenSchema.statics.revoke = function(jti, userId, expiresAt, reason) {
+  return this.findOneAndUpdate(
+    { jti },
+    { $setOnInsert: { jti, userId, expiresAt, reason } },
+    { upsert: true, new: true }
+  );
+};
+
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return !!(await this.exists({ jti }));
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
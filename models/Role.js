@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Role Model
+ * Named permission sets assigned to users (User.role). `level` orders roles
+ * for requireMinimumRole; the built-in `user` and `admin` roles cannot be
+ * renamed or deleted, and `admin` holds every permission.
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Role name must be 2-32 lowercase letters, numbers, "-" or "_"']
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxLength: [100, 'Display name must not exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Description must not exceed 500 characters'],
+    default: ''
+  },
+  level: {
+    type: Number,
+    required: [true, 'Role level is required'],
+    min: [1, 'Role level must be at least 1']
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'roles'
+});
+
+// Static methods
+roleSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).toLowerCase() });
+};
+
+// Create the built-in roles if missing; existing ones are left as edited
+roleSchema.statics.ensureSystemRoles = function(roles) {
+  return Promise.all(roles.map(role => this.updateOne(
+    { name: role.name },
+    { $setOnInsert: { ...role, isSystem: true } },
+    { upsert: true }
+  )));
+};
+
+// Instance methods
+roleSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    displayName: this.displayName || this.name,
+    description: this.description,
+    level: this.level,
+    permissions: this.permissions,
+    isSystem: this.isSystem,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Security Event Model
+ * Audit trail of security-relevant account activity
+ */
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    enum: [
+      'refresh_token_reuse', 'login', 'suspicious_login', 'account_locked', 'compromise_reported',
+      'email_change_requested', 'email_changed', 'email_change_cancelled', 'email_change_reverted',
+      'impersonation_started', 'impersonation_ended'
+    ],
+    index: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'User agent must not exceed 500 characters']
+  },
+  // Event-specific context (session id, affected token counts, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  collection: 'security_events'
+});
+
+// Indexes for performance
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+// Static methods
+securityEventSchema.statics.logEvent = function(userId, type, context = {}) {
+  const { ipAddress, userAgent, details } = context;
+
+  return this.create({
+    userId,
+    type,
+    ipAddress,
+    userAgent: userAgent ? userAgent.substring(0, 500) : undefined,
+    details
+  });
+};
+
+securityEventSchema.statics.findUserEvents = function(userId, limit = 50, type = null) {
+  const query = { userId };
+  if (type) query.type = type;
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
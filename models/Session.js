@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model
+ * Activity of one signed-in device (a refresh token family, see Token
+ * sessionId). Used to enforce the idle and absolute session timeouts in
+ * config/sessionPolicyConfig.js; removed once the session can no longer be
+ * refreshed.
+ */
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: [true, 'Session ID is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  lastActivityAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // idle_timeout or absolute_timeout
+  endReason: {
+    type: String,
+    default: null
+  },
+  // Cleanup: pushed forward with activity
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'sessions'
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Keep records as long as the refresh token could still be used
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Static methods
+// lastActivityAt defaults to the start; sessions that predate session
+// records pass their last refresh instead
+sessionSchema.statics.start = function(sessionId, userId, startedAt = new Date(), lastActivityAt = startedAt) {
+  return this.findOneAndUpdate(
+    { sessionId },
+    {
+      $setOnInsert: {
+        userId,
+        startedAt,
+        lastActivityAt,
+        expiresAt: new Date(lastActivityAt.getTime() + RETENTION_MS)
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Record activity at most once a minute to avoid a write on every request
+sessionSchema.statics.recordActivity = function(sessionId, now = new Date()) {
+  return this.updateOne(
+    {
+      sessionId,
+      endedAt: null,
+      lastActivityAt: { $lt: new Date(now.getTime() - 60 * 1000) }
+    },
+    { $set: { lastActivityAt: now, expiresAt: new Date(now.getTime() + RETENTION_MS) } }
+  );
+};
+
+sessionSchema.statics.end = function(sessionId, reason) {
+  return this.updateOne(
+    { sessionId, endedAt: null },
+    { $set: { endedAt: new Date(), endReason: reason } }
+  );
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Spent Challenge Model
+ * Proof-of-work challenges that have already been redeemed, so a solution
+ * cannot be replayed. Entries are kept only until the challenge expires.
+ */
+const spentChallengeSchema = new mongoose.Schema({
+  challengeId: {
+    type: String,
+    required: [true, 'Challenge id is required'],
+    unique: true,
+    index: true
+  },
+  scope: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'spent_challenges'
+});
+
+// TTL index removes entries once the challenge has expired
+spentChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+
+// Record a challenge as spent; resolves false if it already was
+spentChallengeSchema.statics.redeem = async function(challengeId, scope, expiresAt) {
+  try {
+    await this.create({ challengeId, scope, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const SpentChallenge = mongoose.model('SpentChallenge', spentChallengeSchema);
+
+module.exports = SpentChallenge;
@@ -16,7 +16,7 @@ const tokenSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, 'Token type is required'],
-    enum: ['email_verification', 'password_reset', 'refresh'],
+    enum: ['email_verification', 'password_reset', 'refresh', 'two_factor_challenge', 'magic_login', 'security_report', 'email_change', 'email_change_cancel'],
     index: true
   },
   expiresAt: {
@@ -24,6 +24,32 @@ const tokenSchema = new mongoose.Schema({
     required: [true, 'Token expiration is required'],
     index: true
   },
+  // Refresh tokens of one login share a session id across rotations
+  // (the rotation family); parentToken is the token this one replaced
+  sessionId: {
+    type: String,
+    index: true
+  },
+  sessionStartedAt: {
+    type: Date
+  },
+  parentToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  // Set when a refresh token was exchanged for a new one (as opposed to revoked)
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  // Email change tokens: the new address (email_change) or the address
+  // being replaced (email_change_cancel)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   used: {
     type: Boolean,
     default: false
@@ -91,14 +117,41 @@ tokenSchema.statics.findValidToken = function(token, type) {
   });
 };
 
-tokenSchema.statics.createToken = function(userId, token, type, expiresAt, ipAddress, userAgent) {
+// Atomically claim a valid token so it cannot be used twice
+tokenSchema.statics.consumeToken = function(token, type) {
+  return this.findOneAndUpdate(
+    {
+      token: token,
+      type: type,
+      used: false,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { used: true, usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Reopen a consumed token (e.g. a two-factor challenge answered with a wrong code)
+tokenSchema.statics.release = function(tokenId) {
+  return this.updateOne(
+    { _id: tokenId, used: true },
+    { $set: { used: false }, $unset: { usedAt: 1 } }
+  );
+};
+
+// extra holds type-specific fields (refresh session details, email change address)
+tokenSchema.statics.createToken = function(userId, token, type, expiresAt, ipAddress, userAgent, extra = {}) {
   return this.create({
     userId: userId,
     token: token,
     type: type,
     expiresAt: expiresAt,
     ipAddress: ipAddress,
-    userAgent: userAgent
+    userAgent: userAgent,
+    sessionId: extra.sessionId,
+    sessionStartedAt: extra.sessionStartedAt,
+    parentToken: extra.parentToken,
+    email: extra.email
   });
 };
 
@@ -122,6 +175,41 @@ tokenSchema.statics.revokeUserTokens = function(userId, type) {
   );
 };
 
+// Atomically claim a refresh token for rotation; returns null if it was
+// already used by a concurrent request
+tokenSchema.statics.claimForRotation = function(tokenId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { _id: tokenId, type: 'refresh', used: false },
+    { $set: { used: true, usedAt: now, rotatedAt: now } },
+    { new: true }
+  );
+};
+
+// Unused, unexpired refresh tokens (one per active session)
+tokenSchema.statics.findActiveSessions = function(userId) {
+  return this.find({
+    userId: userId,
+    type: 'refresh',
+    used: false,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+};
+
+tokenSchema.statics.revokeSession = function(userId, sessionId) {
+  // Tokens created before session tracking are addressed by their own id
+  const sessionMatch = [{ sessionId: sessionId }];
+  if (mongoose.isValidObjectId(sessionId)) {
+    sessionMatch.push({ _id: sessionId, sessionId: { $exists: false } });
+  }
+
+  return this.updateMany(
+    { userId: userId, type: 'refresh', used: false, $or: sessionMatch },
+    { $set: { used: true, usedAt: new Date() } }
+  );
+};
+
 tokenSchema.statics.getTokenStats = function() {
   return this.aggregate([
     {
@@ -150,6 +238,16 @@ tokenSchema.statics.getExpirationTime = function(type) {
       return new Date(now.getTime() + 60 * 60 * 1000); // 1 hour
     case 'refresh':
       return new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000); // 7 days
+    case 'two_factor_challenge':
+      return new Date(now.getTime() + 5 * 60 * 1000); // 5 minutes
+    case 'magic_login':
+      return new Date(now.getTime() + 15 * 60 * 1000); // 15 minutes
+    case 'security_report':
+      return new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000); // 7 days
+    case 'email_change':
+      return new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours
+    case 'email_change_cancel':
+      return new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000); // 7 days
     default:
       return new Date(now.getTime() + 60 * 60 * 1000); // 1 hour default
   }
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const validator = require('validator');
+const Role = require('./Role');
 
 const userSchema = new mongoose.Schema({
   // Authentication
@@ -24,6 +25,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Start of the email verification grace period (registration, or the
+  // rollout of enforcement for older accounts)
+  verificationGraceStartedAt: {
+    type: Date
+  },
   
   // Profile
   firstName: {
@@ -72,10 +78,17 @@ const userSchema = new mongoose.Schema({
   },
   
   // Role and Permissions
+  // Name of a Role document (see models/Role.js)
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    trim: true,
+    default: 'user',
+    validate: {
+      validator: async function(role) {
+        return !!(await Role.exists({ name: role }));
+      },
+      message: props => `Role "${props.value}" does not exist`
+    }
   },
   permissions: [{
     type: String,
@@ -97,6 +110,80 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date
   },
+  // Access tokens issued before this time are rejected (suspension,
+  // password change, sign out everywhere)
+  tokensInvalidBefore: {
+    type: Date
+  },
+  // Set when the user reports a sign-in as not theirs; blocks sign-in
+  // until the password has been reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Password expiry is measured from here (see utils/passwordPolicyService.js)
+  passwordChangedAt: {
+    type: Date
+  },
+  // Hashes of the most recent passwords, newest last, to block reuse
+  passwordHistory: [{
+    type: String
+  }],
+  
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String
+    },
+    pendingSecret: {
+      type: String
+    },
+    enabledAt: {
+      type: Date
+    },
+    lastUsedStep: {
+      type: Number
+    },
+    backupCodes: [{
+      codeHash: {
+        type: String,
+        required: true
+      },
+      usedAt: {
+        type: Date
+      }
+    }]
+  },
+  
+  // Linked social login identities (OAuth2/OIDC)
+  linkedIdentities: [{
+    provider: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date
+    }
+  }],
   
   // Metadata
   registrationDate: {
@@ -139,10 +226,12 @@ const userSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.passwordHistory;
       delete ret.__v;
       delete ret.loginAttempts;
       delete ret.accountLocked;
       delete ret.lockUntil;
+      delete ret.twoFactor;
       return ret;
     }
   }
@@ -154,6 +243,13 @@ userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ accountStatus: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index(
+  { 'linkedIdentities.provider': 1, 'linkedIdentities.subject': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'linkedIdentities.subject': { $exists: true } }
+  }
+);
 
 // Account lockout virtual
 userSchema.virtual('isLocked').get(function() {
@@ -161,27 +257,32 @@ userSchema.virtual('isLocked').get(function() {
 });
 
 // Instance methods
-userSchema.methods.incrementLoginAttempts = function() {
+// Resolves to true when this attempt locked the account
+userSchema.methods.incrementLoginAttempts = async function() {
   const maxAttempts = 5;
   const lockoutDuration = 30 * 60 * 1000; // 30 minutes
   
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $unset: { lockUntil: 1 },
       $set: { loginAttempts: 1 }
     });
+    return false;
   }
   
   const updates = { $inc: { loginAttempts: 1 } };
+  const lockAccount = this.loginAttempts + 1 >= maxAttempts && !this.isLocked;
   
-  if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
+  if (lockAccount) {
+    this.lockUntil = new Date(Date.now() + lockoutDuration);
     updates.$set = {
-      lockUntil: Date.now() + lockoutDuration,
+      lockUntil: this.lockUntil,
       accountLocked: true
     };
   }
   
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return lockAccount;
 };
 
 userSchema.methods.resetLoginAttempts = function() {
@@ -200,6 +301,84 @@ userSchema.methods.updateLastLogin = function(ipAddress) {
   });
 };
 
+// JWT iat has second precision, so the watermark is rounded down; tokens
+// issued later in the same second (e.g. the replacement session) stay valid
+userSchema.methods.invalidateTokens = function() {
+  const watermark = new Date(Math.floor(Date.now() / 1000) * 1000);
+  this.tokensInvalidBefore = watermark;
+
+  return this.updateOne({ $set: { tokensInvalidBefore: watermark } });
+};
+
+userSchema.methods.isTokenInvalidated = function(issuedAt) {
+  return !!this.tokensInvalidBefore && issuedAt * 1000 < this.tokensInvalidBefore.getTime();
+};
+
+userSchema.methods.resetTwoFactor = function() {
+  return this.updateOne({
+    $set: {
+      'twoFactor.enabled': false,
+      'twoFactor.backupCodes': []
+    },
+    $unset: {
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.enabledAt': 1,
+      'twoFactor.lastUsedStep': 1
+    }
+  });
+};
+
+// Record a used TOTP time step; fails if the step (or a later one) was already used
+userSchema.methods.consumeTwoFactorStep = async function(step) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Mark a backup code as used; fails if it does not exist or was already used
+userSchema.methods.consumeBackupCode = async function(codeHash) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'twoFactor.backupCodes': { $elemMatch: { codeHash, usedAt: null } }
+    },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+userSchema.methods.linkIdentity = function(provider, subject, email) {
+  return this.updateOne({
+    $push: {
+      linkedIdentities: {
+        provider,
+        subject,
+        email,
+        linkedAt: new Date(),
+        lastUsedAt: new Date()
+      }
+    }
+  });
+};
+
+userSchema.methods.touchIdentity = function(provider, subject) {
+  return this.constructor.updateOne(
+    { _id: this._id, linkedIdentities: { $elemMatch: { provider, subject } } },
+    { $set: { 'linkedIdentities.$.lastUsedAt': new Date() } }
+  );
+};
+
 userSchema.methods.generateReferralCode = function() {
   const crypto = require('crypto');
   const code = crypto.randomBytes(8).toString('hex').toUpperCase();
@@ -216,6 +395,12 @@ userSchema.statics.findByUsername = function(username) {
   return this.findOne({ username: username });
 };
 
+userSchema.statics.findByLinkedIdentity = function(provider, subject) {
+  return this.findOne({
+    linkedIdentities: { $elemMatch: { provider, subject } }
+  });
+};
+
 userSchema.statics.findActiveUsers = function() {
   return this.find({ 
     isActive: true, 
@@ -247,6 +432,7 @@ userSchema.statics.getUserStats = function() {
 userSchema.pre('save', function(next) {
   if (this.isNew) {
     this.registrationDate = new Date();
+    this.verificationGraceStartedAt = this.registrationDate;
     
     // Generate referral code if not provided
     if (!this.referralCode) {
@@ -264,6 +450,8 @@ userSchema.post('save', function(error, doc, next) {
       next(new Error('Email address is already registered'));
     } else if (error.message.includes('username')) {
       next(new Error('Username is already taken'));
+    } else if (error.message.includes('linkedIdentities')) {
+      next(new Error('Identity is already linked to another account'));
     } else if (error.message.includes('referralCode')) {
       next(new Error('Referral code conflict'));
     } else {
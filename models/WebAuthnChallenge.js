@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebAuthn Challenge Model
+ * Single-use challenges for passkey registration and authentication ceremonies.
+ * Authentication challenges may have no user (discoverable credential login).
+ */
+const webAuthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: [true, 'Challenge is required'],
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Challenge type is required'],
+    enum: ['registration', 'authentication']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  used: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  collection: 'webauthn_challenges'
+});
+
+// TTL index removes expired challenges
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+webAuthnChallengeSchema.statics.createChallenge = function(challenge, type, userId = null, ttlMs = 5 * 60 * 1000) {
+  return this.create({
+    challenge,
+    type,
+    userId,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+};
+
+// Atomically mark a challenge as used; returns the challenge or null if invalid
+webAuthnChallengeSchema.statics.consumeChallenge = function(challenge, type) {
+  return this.findOneAndUpdate(
+    {
+      challenge,
+      type,
+      used: false,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { used: true } },
+    { new: true }
+  );
+};
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
+
+module.exports = WebAuthnChallenge;
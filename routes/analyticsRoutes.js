@@ -1,18 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { auth } = require('../middleware/auth');
-const { requireRole } = require('../middleware/roles');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requireAdminOrPermission } = require('../middleware/roles');
 const { adminActionLimiter } = require('../middleware/rateLimiter');
+const permissionCatalog = require('../utils/permissionCatalog');
+
+permissionCatalog.declare('analytics', {
+  'analytics.view': 'View site analytics dashboards'
+});
 
 // Public analytics routes (no authentication required)
 router.get('/public/page-views', analyticsController.getPublicPageViews);
 router.post('/track', analyticsController.trackClientEvent);
 
 // All other analytics routes require authentication and admin role
+// (or the analytics.view permission)
 router.use(auth);
-router.use(requireRole('admin'));
-// router.use(adminActionLimiter); // Rate limiting for admin actions - COMMENTED OUT FOR TESTING
+router.use(requireEmailVerification);
+router.use(requireAdminOrPermission('analytics.view'));
+router.use(adminActionLimiter); // Rate limiting for admin actions
 
 // Analytics overview endpoint
 router.get('/overview', analyticsController.getOverview);
@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const passkeyController = require('../controllers/passkeyController');
+const oauthController = require('../controllers/oauthController');
+const invitationController = require('../controllers/invitationController');
+const impersonationController = require('../controllers/impersonationController');
+const { auth, optionalAuth, requireActiveUser, requireEmailVerification, blockImpersonation, requireSessionAuth } = require('../middleware/auth');
 const { 
   authLimiter, 
   passwordResetLimiter, 
@@ -9,33 +14,94 @@ const {
   emailVerificationLimiter,
   tokenRefreshLimiter
 } = require('../middleware/rateLimiter');
+const { requireChallenge } = require('../middleware/challenge');
 
 // Public routes (no authentication required)
 
+// Signup mode (open, invite-only, closed)
+router.get('/signup-mode', invitationController.getSignupMode);
+
+// Password rules (for the signed-in user's role when authenticated)
+router.get('/password-policy', optionalAuth, authController.getPasswordPolicy);
+
 // User registration
-router.post('/signup', /* registrationLimiter, */ authController.signup);
+router.post('/signup', registrationLimiter, requireChallenge('signup'), authController.signup);
 
 // User login
-router.post('/signin', /* authLimiter, */ authController.signin);
+router.post('/signin', authLimiter, authController.signin);
+
+// Complete login with a two-factor code
+router.post('/signin/2fa', authLimiter, authController.verifyTwoFactor);
+
+// Passwordless login with a one-time email link
+router.post('/magic-link', passwordResetLimiter, authController.requestMagicLink);
+router.post('/magic-link/verify', authLimiter, authController.consumeMagicLink);
 
 // Request password reset
-router.post('/request-reset', /* passwordResetLimiter, */ authController.requestPasswordReset);
+router.post('/request-reset', passwordResetLimiter, requireChallenge('password-reset'), authController.requestPasswordReset);
 
 // Reset password with token
-router.post('/reset', /* passwordResetLimiter, */ authController.resetPassword);
+router.post('/reset', passwordResetLimiter, authController.resetPassword);
+
+// "This wasn't me" link from a security alert email
+router.post('/report-compromise', passwordResetLimiter, authController.reportCompromise);
 
 // Verify email address
-router.post('/verify-email', /* emailVerificationLimiter, */ authController.verifyEmail);
+router.post('/verify-email', emailVerificationLimiter, authController.verifyEmail);
+
+// Confirm or cancel an email address change (links from the change emails);
+// a signed-in browser gets a fresh session after confirming
+router.post('/email-change/confirm', emailVerificationLimiter, optionalAuth, authController.confirmEmailChange);
+router.post('/email-change/cancel', emailVerificationLimiter, authController.cancelEmailChange);
+
+// Passwordless login with a passkey (WebAuthn)
+router.post('/passkeys/login/options', authLimiter, passkeyController.loginOptions);
+router.post('/passkeys/login/verify', authLimiter, passkeyController.verifyLogin);
+
+// Social login (OAuth2/OIDC providers)
+router.get('/oauth/providers', oauthController.getProviders);
+router.get('/oauth/:provider/start', authLimiter, oauthController.start);
+router.get('/oauth/:provider/callback', oauthController.callback);
 
 // Refresh JWT token
-router.post('/refresh', /* tokenRefreshLimiter, */ authController.refreshToken);
+router.post('/refresh', tokenRefreshLimiter, authController.refreshToken);
 
 // Token validation for subdomains (public endpoint for subdomain authentication)  
 router.get('/validate-token', authController.validateToken);
 
+// Token introspection and revocation for registered subdomain clients (client credentials)
+router.post('/introspect', authController.introspect);
+router.post('/revoke', authController.revoke);
+
 // Protected routes (authentication required)
 
 // User logout
 router.post('/logout', auth, authController.logout);
 
+// Confirm password or 2FA code before sensitive operations (step-up)
+router.post('/reauthenticate', auth, authLimiter, requireActiveUser, blockImpersonation, requireSessionAuth, authController.reauthenticate);
+
+// CSRF token for cookie-authenticated requests (X-CSRF-Token header)
+router.get('/csrf-token', auth, authController.getCsrfToken);
+
+// Stop impersonating a user (admin support sessions)
+router.post('/impersonation/end', auth, impersonationController.endImpersonation);
+
+// Send a new email verification link (cooldown between sends)
+router.post('/resend-verification', auth, emailVerificationLimiter, authController.resendVerification);
+
+// Two-factor authentication (TOTP)
+router.get('/2fa/status', auth, twoFactorController.getStatus);
+router.post('/2fa/setup', auth, requireActiveUser, blockImpersonation, requireSessionAuth, requireEmailVerification, twoFactorController.setup);
+router.post('/2fa/enable', auth, requireActiveUser, blockImpersonation, requireSessionAuth, requireEmailVerification, twoFactorController.enable);
+router.post('/2fa/disable', auth, requireActiveUser, blockImpersonation, requireSessionAuth, requireEmailVerification, twoFactorController.disable);
+router.post('/2fa/backup-codes', auth, requireActiveUser, blockImpersonation, requireSessionAuth, requireEmailVerification, twoFactorController.regenerateBackupCodes);
+
+// Link a social login provider to the current account
+router.post('/oauth/:provider/link', auth, requireActiveUser, blockImpersonation, requireSessionAuth, requireEmailVerification, oauthController.startLink);
+
+// Passkey registration (WebAuthn)
+router.post('/passkeys/register/options', auth, requireActiveUser, blockImpersonation, requireSessionAuth, requireEmailVerification, passkeyController.registrationOptions);
+router.post('/passkeys/register/verify', auth, requireActiveUser, blockImpersonation, requireSessionAuth, requireEmailVerification, passkeyController.verifyRegistration);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const challengeController = require('../controllers/challengeController');
+
+/**
+ * Proof-of-work challenge routes (mounted at /api/challenges)
+ * Public: challenges are bound to the requesting IP and get harder for IPs
+ * that request many of them or submit bad solutions
+ */
+router.post('/', challengeController.createChallenge);
+
+module.exports = router;
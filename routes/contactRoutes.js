@@ -4,13 +4,21 @@ const contactController = require('../controllers/contactController');
 const auth = require('../middleware/auth');
 const roles = require('../middleware/roles');
 const rateLimiter = require('../middleware/rateLimiter');
+const permissionCatalog = require('../utils/permissionCatalog');
+
+permissionCatalog.declare('contacts', {
+  'contacts.view': 'View contact form submissions and statistics',
+  'contacts.manage': 'Update the status of and delete contact form submissions'
+});
 
 // All contact management routes require authentication and admin role
+// (or the contacts.view permission)
 router.use(auth.auth);
-router.use(roles.requireAdmin);
+router.use(auth.requireEmailVerification);
+router.use(roles.requireAdminOrPermission('contacts.view'));
 
 // Apply rate limiting to all contact management endpoints
-// router.use(rateLimiter.adminActionLimiter); // COMMENTED OUT FOR TESTING
+router.use(rateLimiter.adminActionLimiter);
 
 /**
  * GET /api/contacts
@@ -44,12 +52,12 @@ router.get('/:id', contactController.getContactById);
  * Update contact status (pending -> read -> replied -> archived)
  * Body: { status: 'read' | 'replied' | 'archived' }
  */
-router.put('/:id/status', contactController.updateContactStatus);
+router.put('/:id/status', roles.requireAdminOrPermission('contacts.manage'), contactController.updateContactStatus);
 
 /**
  * DELETE /api/contacts/:id
- * Delete contact by ID (admin only - use with caution)
+ * Delete contact by ID (admin or contacts.manage - use with caution)
  */
-router.delete('/:id', contactController.deleteContact);
+router.delete('/:id', roles.requireAdminOrPermission('contacts.manage'), contactController.deleteContact);
 
 module.exports = router;
\ No newline at end of file
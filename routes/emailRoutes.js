@@ -1,9 +1,11 @@
 const express = require('express');
 const emailController = require('../controllers/emailController');
+const { contactLimiter } = require('../middleware/rateLimiter');
+const { requireChallenge } = require('../middleware/challenge');
 
 const router = express.Router();
 
-router.post('/contact', emailController.sendContactForm);
+router.post('/contact', contactLimiter, requireChallenge('contact'), emailController.sendContactForm);
 
 router.post('/send', emailController.sendEmail);
 
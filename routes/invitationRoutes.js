@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const invitationController = require('../controllers/invitationController');
+const { auth, requireRecentAuth, requireEmailVerification } = require('../middleware/auth');
+const { requireAdmin, logAdminAccess } = require('../middleware/roles');
+
+/**
+ * Signup mode and invitation routes (mounted at /api/invitations)
+ * All routes are admin-only
+ */
+router.use(auth, requireEmailVerification, requireAdmin);
+
+// Change the signup mode (open, invite-only, closed)
+router.put('/signup-mode',
+  logAdminAccess('update signup mode'),
+  invitationController.updateSignupMode
+);
+
+// Invitations
+router.get('/',
+  logAdminAccess('view invitations'),
+  invitationController.listInvitations
+);
+
+// Invitations can pre-assign the admin role, so they need a recent sign-in
+router.post('/',
+  requireRecentAuth(),
+  logAdminAccess('create invitation'),
+  invitationController.createInvitation
+);
+
+router.delete('/:id',
+  logAdminAccess('revoke invitation'),
+  invitationController.revokeInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const oidcProviderController = require('../controllers/oidcProviderController');
+const oauthClientController = require('../controllers/oauthClientController');
+const { auth, optionalAuth, requireActiveUser, requireEmailVerification, blockImpersonation, requireSessionAuth } = require('../middleware/auth');
+const { requireAdmin, logAdminAccess } = require('../middleware/roles');
+
+/**
+ * OpenID Connect provider routes (mounted at /api/oauth)
+ */
+
+// Authorization endpoint (browser redirect from a subdomain client)
+router.get('/authorize', optionalAuth, oidcProviderController.authorize);
+
+// Consent screen: pending request details and the user's decision
+router.get('/authorize/requests/:requestId', auth, requireEmailVerification, oidcProviderController.getAuthorizationRequest);
+router.post('/authorize/requests/:requestId', auth, requireActiveUser, blockImpersonation, requireSessionAuth, requireEmailVerification, oidcProviderController.decideAuthorizationRequest);
+
+// Token endpoint (client authentication, no user session)
+router.post('/token', oidcProviderController.token);
+
+// UserInfo endpoint (OIDC access token)
+router.get('/userinfo', oidcProviderController.userinfo);
+router.post('/userinfo', oidcProviderController.userinfo);
+
+// Front-channel logout fallback page (clears subdomain cookies in the browser)
+router.get('/logout/frontchannel', oidcProviderController.frontchannelLogout);
+
+/**
+ * Admin Routes - client registration per subdomain
+ */
+router.get('/clients',
+  auth,
+  requireEmailVerification,
+  requireAdmin,
+  logAdminAccess('view OIDC clients'),
+  oauthClientController.listClients
+);
+
+router.post('/clients',
+  auth,
+  requireEmailVerification,
+  requireAdmin,
+  logAdminAccess('register OIDC client'),
+  oauthClientController.createClient
+);
+
+router.put('/clients/:clientId',
+  auth,
+  requireEmailVerification,
+  requireAdmin,
+  logAdminAccess('update OIDC client'),
+  oauthClientController.updateClient
+);
+
+router.post('/clients/:clientId/secret',
+  auth,
+  requireEmailVerification,
+  requireAdmin,
+  logAdminAccess('rotate OIDC client secret'),
+  oauthClientController.rotateClientSecret
+);
+
+router.delete('/clients/:clientId',
+  auth,
+  requireEmailVerification,
+  requireAdmin,
+  logAdminAccess('delete OIDC client'),
+  oauthClientController.deleteClient
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { auth, requireActiveUser, requireEmailVerification } = require('../middleware/auth');
+const { requireAdmin, logAdminAccess } = require('../middleware/roles');
+const { loadOrganization, requireOrganizationRole } = require('../middleware/organization');
+const { adminActionLimiter } = require('../middleware/rateLimiter');
+
+/**
+ * Organization routes (mounted at /api/organizations)
+ * Organization roles (owner, admin, member) are checked per organization;
+ * global admins can act on any organization
+ */
+router.use(auth, requireEmailVerification);
+
+// Own organizations
+router.get('/', organizationController.listMyOrganizations);
+router.post('/', adminActionLimiter, requireActiveUser, organizationController.createOrganization);
+
+// Join with an invitation sent to the signed-in user's email address
+router.post('/invitations/accept', adminActionLimiter, requireActiveUser, organizationController.acceptInvitation);
+
+// Global admin: seats, status and subdomain grants
+router.get('/admin/all',
+  requireAdmin,
+  logAdminAccess('view organizations'),
+  organizationController.listAllOrganizations
+);
+
+router.put('/admin/:orgId',
+  adminActionLimiter,
+  requireAdmin,
+  loadOrganization,
+  logAdminAccess('update organization seats and access'),
+  organizationController.adminUpdateOrganization
+);
+
+// Organization details (any member)
+router.get('/:orgId', loadOrganization, organizationController.getOrganization);
+
+router.put('/:orgId',
+  adminActionLimiter,
+  requireActiveUser,
+  loadOrganization,
+  requireOrganizationRole(['owner', 'admin']),
+  organizationController.updateOrganization
+);
+
+router.delete('/:orgId',
+  adminActionLimiter,
+  requireActiveUser,
+  loadOrganization,
+  requireOrganizationRole('owner'),
+  organizationController.deleteOrganization
+);
+
+// Invitations (owner or admin)
+router.get('/:orgId/invitations',
+  loadOrganization,
+  requireOrganizationRole(['owner', 'admin']),
+  organizationController.listInvitations
+);
+
+router.post('/:orgId/invitations',
+  adminActionLimiter,
+  requireActiveUser,
+  loadOrganization,
+  requireOrganizationRole(['owner', 'admin']),
+  organizationController.createInvitation
+);
+
+router.delete('/:orgId/invitations/:invitationId',
+  adminActionLimiter,
+  requireActiveUser,
+  loadOrganization,
+  requireOrganizationRole(['owner', 'admin']),
+  organizationController.revokeInvitation
+);
+
+// Members: owners change roles; removal rules are checked in the controller
+router.put('/:orgId/members/:userId',
+  adminActionLimiter,
+  requireActiveUser,
+  loadOrganization,
+  requireOrganizationRole('owner'),
+  organizationController.updateMemberRole
+);
+
+router.delete('/:orgId/members/:userId',
+  adminActionLimiter,
+  requireActiveUser,
+  loadOrganization,
+  organizationController.removeMember
+);
+
+module.exports = router;
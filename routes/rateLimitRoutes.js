@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const rateLimitController = require('../controllers/rateLimitController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requireAdminOrPermission, logAdminAccess } = require('../middleware/roles');
+const permissionCatalog = require('../utils/permissionCatalog');
+
+permissionCatalog.declare('rate_limits', {
+  'rate_limits.view': 'View rate limit policies and limited keys',
+  'rate_limits.reset': 'Reset rate limits and login lockouts'
+});
+
+/**
+ * Rate limit administration routes (mounted at /api/rate-limits)
+ * Admins, or users with the rate_limits permissions
+ */
+router.use(auth, requireEmailVerification);
+
+router.get('/policies',
+  requireAdminOrPermission('rate_limits.view'),
+  logAdminAccess('view rate limit policies'),
+  rateLimitController.getPolicies
+);
+
+router.get('/',
+  requireAdminOrPermission('rate_limits.view'),
+  logAdminAccess('view rate limited keys'),
+  rateLimitController.listKeys
+);
+
+// Keys contain ":" and IP addresses or emails, so they are URL-encoded
+router.delete('/:key',
+  requireAdminOrPermission('rate_limits.reset'),
+  logAdminAccess('reset rate limit'),
+  rateLimitController.resetKey
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { auth, requireRecentAuth, requireEmailVerification, requireSessionAuth } = require('../middleware/auth');
+const { requireAdmin, logAdminAccess } = require('../middleware/roles');
+const { adminActionLimiter } = require('../middleware/rateLimiter');
+
+/**
+ * Role and permission catalog routes (mounted at /api/roles)
+ * All routes are admin-only
+ */
+router.use(auth, requireEmailVerification, requireAdmin);
+
+// Permission keys that can be given to roles, users, invitations and API keys
+router.get('/permissions',
+  logAdminAccess('view permission catalog'),
+  roleController.getPermissions
+);
+
+router.get('/',
+  logAdminAccess('view roles'),
+  roleController.listRoles
+);
+
+// Changing a role changes the access of everyone holding it
+router.post('/',
+  adminActionLimiter,
+  requireSessionAuth,
+  requireRecentAuth(),
+  logAdminAccess('create role'),
+  roleController.createRole
+);
+
+router.put('/:name',
+  adminActionLimiter,
+  requireSessionAuth,
+  requireRecentAuth(),
+  logAdminAccess('update role'),
+  roleController.updateRole
+);
+
+router.delete('/:name',
+  adminActionLimiter,
+  requireSessionAuth,
+  requireRecentAuth(),
+  logAdminAccess('delete role'),
+  roleController.deleteRole
+);
+
+module.exports = router;
@@ -1,81 +1,60 @@
 const express = require('express');
-// const rateLimit = require('express-rate-limit'); // COMMENTED OUT FOR TESTING
-const { auth } = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/roles');
+const { auth, requireRecentAuth, requireEmailVerification } = require('../middleware/auth');
+const { requireAdmin, requireAdminOrPermission } = require('../middleware/roles');
+const {
+  subdomainRequestLimiter: requestSubmissionLimit,
+  subdomainGeneralLimiter: generalLimit,
+  subdomainVerifyLimiter: verifyLimit
+} = require('../middleware/rateLimiter');
 const subdomainRequestController = require('../controllers/subdomainRequestController');
+const permissionCatalog = require('../utils/permissionCatalog');
 
 const router = express.Router();
 
-/**
- * Rate limiting for subdomain request endpoints - DISABLED FOR TESTING
- */
-// const requestSubmissionLimit = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 5, // 5 requests per 15 minutes per IP
-//   message: {
-//     success: false,
-//     error: 'Rate Limit',
-//     message: 'Too many access requests submitted. Please wait before submitting another request.'
-//   },
-//   standardHeaders: true,
-//   legacyHeaders: false
-// });
-
-// const generalLimit = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100, // 100 requests per 15 minutes per IP
-//   message: {
-//     success: false,
-//     error: 'Rate Limit',
-//     message: 'Too many requests. Please try again later.'
-//   },
-//   standardHeaders: true,
-//   legacyHeaders: false
-// });
-
-// Dummy rate limiters for testing
-const requestSubmissionLimit = (req, res, next) => next();
-const generalLimit = (req, res, next) => next();
+permissionCatalog.declare('subdomain_requests', {
+  'subdomain_requests.view': 'View subdomain access requests and statistics',
+  'subdomain_requests.review': 'Approve and deny subdomain access requests'
+});
 
 /**
  * User Routes - Authentication required
  */
 
 // Submit new access request
-router.post('/', auth, requestSubmissionLimit, subdomainRequestController.submitRequest);
+router.post('/', auth, requireEmailVerification, requestSubmissionLimit, subdomainRequestController.submitRequest);
 
 // Get user's own requests
-router.get('/my-requests', auth, generalLimit, subdomainRequestController.getMyRequests);
+router.get('/my-requests', auth, requireEmailVerification, generalLimit, subdomainRequestController.getMyRequests);
 
 // Check user's access status
-router.get('/access-status', auth, generalLimit, subdomainRequestController.getAccessStatus);
+router.get('/access-status', auth, requireEmailVerification, generalLimit, subdomainRequestController.getAccessStatus);
 
 // Verify user's access to specific subdomain (for subdomain authentication)
-router.get('/verify-access/:subdomainId', auth, generalLimit, subdomainRequestController.verifySubdomainAccess);
+router.get('/verify-access/:subdomainId', auth, requireEmailVerification, verifyLimit, subdomainRequestController.verifySubdomainAccess);
 
 /**
  * Admin Routes - Admin authentication required
  */
 
-// Get all requests (admin only)
-router.get('/admin/all', auth, requireAdmin, generalLimit, subdomainRequestController.getAllRequests);
+// Get all requests (admin or subdomain_requests.view)
+router.get('/admin/all', auth, requireEmailVerification, requireAdminOrPermission('subdomain_requests.view'), generalLimit, subdomainRequestController.getAllRequests);
 
-// Get pending requests (admin only)
-router.get('/admin/pending', auth, requireAdmin, generalLimit, subdomainRequestController.getPendingRequests);
+// Get pending requests (admin or subdomain_requests.view)
+router.get('/admin/pending', auth, requireEmailVerification, requireAdminOrPermission('subdomain_requests.view'), generalLimit, subdomainRequestController.getPendingRequests);
 
-// Get request statistics (admin only)
-router.get('/admin/stats', auth, requireAdmin, generalLimit, subdomainRequestController.getRequestStats);
+// Get request statistics (admin or subdomain_requests.view)
+router.get('/admin/stats', auth, requireEmailVerification, requireAdminOrPermission('subdomain_requests.view'), generalLimit, subdomainRequestController.getRequestStats);
 
-// Approve a request (admin only)
-router.put('/admin/:id/approve', auth, requireAdmin, generalLimit, subdomainRequestController.approveRequest);
+// Approve a request (admin or subdomain_requests.review)
+router.put('/admin/:id/approve', auth, requireEmailVerification, requireAdminOrPermission('subdomain_requests.review'), generalLimit, subdomainRequestController.approveRequest);
 
-// Deny a request (admin only)
-router.put('/admin/:id/deny', auth, requireAdmin, generalLimit, subdomainRequestController.denyRequest);
+// Deny a request (admin or subdomain_requests.review)
+router.put('/admin/:id/deny', auth, requireEmailVerification, requireAdminOrPermission('subdomain_requests.review'), generalLimit, subdomainRequestController.denyRequest);
 
 // Fix expired approval (admin only) - temporary endpoint
-router.put('/admin/:id/fix-expiration', auth, requireAdmin, generalLimit, subdomainRequestController.fixExpiredApproval);
+router.put('/admin/:id/fix-expiration', auth, requireEmailVerification, requireAdmin, generalLimit, subdomainRequestController.fixExpiredApproval);
 
 // Clear all subdomain requests (admin only) - development/testing
-router.delete('/admin/clear-all', auth, requireAdmin, generalLimit, subdomainRequestController.clearAllRequests);
+router.delete('/admin/clear-all', auth, requireEmailVerification, requireAdmin, requireRecentAuth(), generalLimit, subdomainRequestController.clearAllRequests);
 
 module.exports = router;
\ No newline at end of file
@@ -1,18 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { auth, requireActiveUser } = require('../middleware/auth');
+const passkeyController = require('../controllers/passkeyController');
+const oauthController = require('../controllers/oauthController');
+const oidcProviderController = require('../controllers/oidcProviderController');
+const impersonationController = require('../controllers/impersonationController');
+const apiKeyController = require('../controllers/apiKeyController');
+const { auth, requireActiveUser, requireRecentAuth, requireEmailVerification, blockImpersonation, requireSessionAuth } = require('../middleware/auth');
 const { 
   requireAdmin, 
+  requireAdminOrPermission,
   requireAdminOrOwnership,
+  requireUserManagement,
   requireRoleModification,
   logAdminAccess
 } = require('../middleware/roles');
+const permissionCatalog = require('../utils/permissionCatalog');
 const { 
   profileUpdateLimiter, 
   adminActionLimiter
 } = require('../middleware/rateLimiter');
 
+permissionCatalog.declare('users', {
+  user_management: 'View user accounts',
+  'users.sessions': "View other users' sessions",
+  'users.stats': 'View user statistics',
+  'users.impersonations': 'View the impersonation audit trail',
+  'users.api_keys': 'View API keys across all users'
+});
+
 // All user routes require authentication
 router.use(auth);
 
@@ -22,50 +38,155 @@ router.use(auth);
 router.get('/profile', userController.getProfile);
 
 // Update current user profile
-router.put('/profile', /* profileUpdateLimiter, */ requireActiveUser, userController.updateProfile);
+router.put('/profile', profileUpdateLimiter, requireActiveUser, userController.updateProfile);
+
+// Change email address (confirmed from a link sent to the new address).
+// Available before verification so a mistyped address can be corrected.
+router.post('/email', profileUpdateLimiter, requireActiveUser, blockImpersonation, requireSessionAuth, requireRecentAuth(), userController.requestEmailChange);
+
+// Everything below needs a verified email once the grace period has ended
+router.use(requireEmailVerification);
+
+// Manage own passkeys
+router.get('/profile/passkeys', passkeyController.listPasskeys);
+router.put('/profile/passkeys/:passkeyId', requireActiveUser, blockImpersonation, requireSessionAuth, passkeyController.renamePasskey);
+router.delete('/profile/passkeys/:passkeyId', requireActiveUser, blockImpersonation, requireSessionAuth, passkeyController.deletePasskey);
+
+// Manage linked social login identities
+router.get('/profile/identities', oauthController.listIdentities);
+router.delete('/profile/identities/:provider', requireActiveUser, blockImpersonation, requireSessionAuth, oauthController.unlinkIdentity);
+
+// Manage applications (subdomain OIDC clients) the user has consented to
+router.get('/profile/consents', oidcProviderController.listConsents);
+router.delete('/profile/consents/:clientId', requireActiveUser, blockImpersonation, requireSessionAuth, oidcProviderController.revokeConsent);
+
+// Manage own sessions (signed-in devices)
+router.get('/sessions', userController.getSessions);
+router.delete('/sessions', blockImpersonation, requireSessionAuth, userController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', blockImpersonation, requireSessionAuth, userController.revokeSession);
+
+// Manage own API keys (personal access tokens)
+router.get('/api-keys', apiKeyController.listMyKeys);
+router.post('/api-keys', requireActiveUser, blockImpersonation, requireSessionAuth, apiKeyController.createKey);
+router.delete('/api-keys/:keyId', requireActiveUser, blockImpersonation, requireSessionAuth, apiKeyController.revokeMyKey);
 
 // Change password
-router.put('/password', /* profileUpdateLimiter, */ requireActiveUser, userController.changePassword);
+router.put('/password', profileUpdateLimiter, requireActiveUser, blockImpersonation, requireSessionAuth, requireRecentAuth(), userController.changePassword);
+
+// Own security history
+router.get('/security-events', userController.getSecurityEvents);
 
 // Delete own account
-router.delete('/account', requireActiveUser, userController.deleteAccount);
+router.delete('/account', requireActiveUser, blockImpersonation, requireSessionAuth, requireRecentAuth(), userController.deleteAccount);
 
 // Admin-only routes
 
-// Get all users (Admin only)
+// Get all users (Admin or user_management permission)
 router.get('/', 
-  requireAdmin, 
+  requireUserManagement, 
   logAdminAccess('view all users'),
   userController.getAllUsers
 );
 
-// Get user by ID (Admin only)
+// Get user by ID (Admin or user_management permission)
 router.get('/:id', 
-  requireAdmin, 
+  requireUserManagement, 
   logAdminAccess('view user details'),
   userController.getUserById
 );
 
 // Update user role (Admin only)
 router.put('/:id/role', 
-  /* adminActionLimiter, */
+  adminActionLimiter,
   requireAdmin,
+  requireRecentAuth(),
   requireRoleModification,
   logAdminAccess('update user role'),
   userController.updateUserRole
 );
 
+// Replace user's direct permissions (Admin only)
+router.put('/:id/permissions', 
+  adminActionLimiter,
+  requireAdmin,
+  requireRecentAuth(),
+  requireRoleModification,
+  logAdminAccess('update user permissions'),
+  userController.updateUserPermissions
+);
+
 // Update user status (Admin only)
 router.put('/:id/status', 
-  /* adminActionLimiter, */
+  adminActionLimiter,
   requireAdmin,
   logAdminAccess('update user status'),
   userController.updateUserStatus
 );
 
-// Get user statistics (Admin only)
-router.get('/admin/stats', 
+// Reset user's two-factor authentication (Admin only)
+router.delete('/:id/2fa', 
+  adminActionLimiter,
   requireAdmin,
+  logAdminAccess('reset user two-factor authentication'),
+  userController.resetUserTwoFactor
+);
+
+// Get user's active sessions (Admin or users.sessions permission)
+router.get('/:id/sessions', 
+  requireAdminOrPermission('users.sessions'),
+  logAdminAccess('view user sessions'),
+  userController.getUserSessions
+);
+
+// Force logout user from all devices (Admin only)
+router.post('/:id/logout', 
+  adminActionLimiter,
+  requireAdmin,
+  logAdminAccess('force logout user'),
+  userController.forceLogoutUser
+);
+
+// Sign in as a user to see what they see (Admin only)
+router.post('/:id/impersonate',
+  adminActionLimiter,
+  requireAdmin,
+  requireRecentAuth(),
+  logAdminAccess('impersonate user'),
+  impersonationController.startImpersonation
+);
+
+// Impersonation audit trail (Admin or users.impersonations permission)
+router.get('/admin/impersonations',
+  requireAdminOrPermission('users.impersonations'),
+  logAdminAccess('view impersonations'),
+  impersonationController.listImpersonations
+);
+
+// End an impersonation (Admin only)
+router.post('/admin/impersonations/:impersonationId/end',
+  requireAdmin,
+  logAdminAccess('end impersonation'),
+  impersonationController.forceEndImpersonation
+);
+
+// API keys across all users (Admin or users.api_keys permission)
+router.get('/admin/api-keys',
+  requireAdminOrPermission('users.api_keys'),
+  logAdminAccess('view API keys'),
+  apiKeyController.listAllKeys
+);
+
+// Revoke any user's API key (Admin only)
+router.delete('/admin/api-keys/:keyId',
+  requireAdmin,
+  requireSessionAuth,
+  logAdminAccess('revoke API key'),
+  apiKeyController.revokeKey
+);
+
+// Get user statistics (Admin or users.stats permission)
+router.get('/admin/stats', 
+  requireAdminOrPermission('users.stats'),
   logAdminAccess('view user statistics'),
   userController.getUserStats
 );
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const oidcProviderController = require('../controllers/oidcProviderController');
+
+// Public discovery endpoints (mounted at /.well-known)
+
+/**
+ * GET /.well-known/jwks.json
+ * Public keys for verifying access tokens issued by this API
+ */
+router.get('/jwks.json', authController.getJwks);
+
+/**
+ * GET /.well-known/openid-configuration
+ * OpenID Connect discovery metadata for subdomain clients
+ */
+router.get('/openid-configuration', oidcProviderController.discovery);
+
+module.exports = router;
@@ -8,10 +8,20 @@ const userRoutes = require('./routes/userRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const subdomainRequestRoutes = require('./routes/subdomainRequestRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
+const oidcRoutes = require('./routes/oidcRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const rateLimitRoutes = require('./routes/rateLimitRoutes');
+const challengeRoutes = require('./routes/challengeRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { apiLimiter } = require('./middleware/rateLimiter');
 const { analyticsMiddleware } = require('./middleware/analytics');
 const authService = require('./utils/authService');
+const roleService = require('./utils/roleService');
+const passwordPolicyService = require('./utils/passwordPolicyService');
+const emailVerificationService = require('./utils/emailVerificationService');
 const dbConfig = require('./config/dbConfig');
 
 const app = express();
@@ -36,20 +46,17 @@ const corsOptions = {
     // Allow requests with no origin (like mobile apps or curl requests)
     if (!origin) return callback(null, true);
     
+    // Credentialed requests (and the CSRF token in response bodies) are
+    // only readable by listed origins
     if (allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      // Temporary fix: Allow all origins in production for testing
-      if (process.env.NODE_ENV === 'production') {
-        callback(null, true);
-      } else {
-        callback(new Error('Not allowed by CORS'));
-      }
+      callback(new Error('Not allowed by CORS'));
     }
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'Cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'Cookie', 'X-CSRF-Token', 'X-PoW-Challenge', 'X-PoW-Nonce']
 };
 
 // Middleware
@@ -66,8 +73,8 @@ if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', false); // Don't trust proxy in development
 }
 
-// Apply general rate limiting to all routes
-// app.use(apiLimiter); // COMMENTED OUT FOR TESTING
+// Apply general rate limiting to all API routes
+app.use('/api', apiLimiter);
 
 // Apply analytics middleware (after auth setup, before routes)
 app.use(analyticsMiddleware);
@@ -104,6 +111,9 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Public key and OpenID Connect discovery
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
 app.use('/api/email', emailRoutes);
 app.use('/api/auth', authRoutes);
@@ -111,11 +121,52 @@ app.use('/api/users', userRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/contacts', contactRoutes);
 app.use('/api/subdomain-requests', subdomainRequestRoutes);
+app.use('/api/oauth', oidcRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/rate-limits', rateLimitRoutes);
+app.use('/api/challenges', challengeRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // Error handling middleware
 app.use(notFoundHandler);
 app.use(errorHandler);
 
+// Create the built-in roles if missing
+async function ensureSystemRoles() {
+  try {
+    await roleService.ensureSystemRoles();
+    console.log('✅ Built-in roles ready');
+  } catch (error) {
+    console.error('❌ Failed to create built-in roles:', error.message);
+    // Built-in roles fall back to their defaults in roleService
+  }
+}
+
+// Start password expiry for accounts created before it was tracked
+async function backfillPasswordChangedAt() {
+  try {
+    const updated = await passwordPolicyService.backfillPasswordChangedAt();
+    if (updated > 0) {
+      console.log(`✅ Password expiry started for ${updated} existing account(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to backfill password change dates:', error.message);
+  }
+}
+
+// Start the email verification grace period for accounts created before it was enforced
+async function backfillVerificationGraceStart() {
+  try {
+    const updated = await emailVerificationService.backfillGraceStart();
+    if (updated > 0) {
+      console.log(`✅ Email verification grace period started for ${updated} existing account(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to backfill email verification grace periods:', error.message);
+  }
+}
+
 // Create initial admin user if needed
 async function createInitialAdmin() {
   try {
@@ -133,6 +184,7 @@ async function createInitialAdmin() {
         email: process.env.INITIAL_ADMIN_EMAIL,
         password: hashedPassword,
         role: 'admin',
+        passwordChangedAt: new Date(),
         emailVerified: true,
         isActive: true
       });
@@ -151,6 +203,12 @@ async function startServer() {
   try {
     await dbConfig.connect();
     
+    await ensureSystemRoles();
+    
+    await backfillPasswordChangedAt();
+    
+    await backfillVerificationGraceStart();
+    
     // Create initial admin user if needed
     await createInitialAdmin();
     
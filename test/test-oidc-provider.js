@@ -0,0 +1,147 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Stub OIDC provider for testing social login locally
+ *
+ * Auto-approves every authorization request, so no real Google/Microsoft/GitHub
+ * credentials are needed. Start it, then run the API with:
+ *   OIDC_PROVIDERS=stub
+ *   OIDC_STUB_ISSUER=http://localhost:9000
+ *   OIDC_STUB_CLIENT_ID=stub-client
+ *   OIDC_STUB_CLIENT_SECRET=stub-secret
+ *
+ * The signed-in identity is STUB_OIDC_EMAIL, or the login_hint query parameter
+ * when the authorization URL carries one.
+ */
+const PORT = parseInt(process.env.STUB_OIDC_PORT) || 9000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_STUB_CLIENT_ID || 'stub-client';
+const CLIENT_SECRET = process.env.OIDC_STUB_CLIENT_SECRET || 'stub-secret';
+const DEFAULT_EMAIL = process.env.STUB_OIDC_EMAIL || 'stub.user@example.com';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function profileFor(email) {
+  const localPart = email.split('@')[0];
+
+  return {
+    sub: crypto.createHash('sha256').update(email).digest('hex').substring(0, 24),
+    email,
+    email_verified: true,
+    given_name: 'Stub',
+    family_name: localPart,
+    name: `Stub ${localPart}`
+  };
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// Auto-approve and redirect straight back with a code
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri || code_challenge_method !== 'S256' || !code_challenge) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    email: (login_hint || DEFAULT_EMAIL).toLowerCase()
+  });
+
+  console.log(`🔑 Issued code for ${login_hint || DEFAULT_EMAIL}`);
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+  const stored = codes.get(code);
+  codes.delete(code);
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  if (grant_type !== 'authorization_code' || !stored || stored.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const expectedChallenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (expectedChallenge !== stored.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const profile = profileFor(stored.email);
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, profile);
+
+  const idToken = jwt.sign({ ...profile, nonce: stored.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const accessToken = (req.get('Authorization') || '').replace(/^Bearer /, '');
+  const profile = accessTokens.get(accessToken);
+
+  if (!profile) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(profile);
+});
+
+const server = app.listen(PORT, () => {
+  console.log(`🚀 Stub OIDC provider running at ${ISSUER}`);
+  console.log('Press Ctrl+C to stop');
+});
+
+process.on('SIGINT', () => {
+  console.log('\n👋 Stopping stub OIDC provider...');
+  server.close(() => process.exit(0));
+});
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const authService = require('./authService');
+const roleService = require('./roleService');
+const permissionCatalog = require('./permissionCatalog');
+
+const KEY_PREFIX = 'eqk_';
+const ADMIN_SCOPE = 'admin';
+
+/**
+ * API keys (personal access tokens)
+ *
+ * Keys are sent as "Authorization: ApiKey <key>". Their scopes are
+ * permission names: a request made with a key can only use the permissions
+ * that are both in the key's scopes and held by its owner, so a key loses a
+ * permission when its owner does.
+ */
+class ApiKeyService {
+  constructor() {
+    this.scheme = 'ApiKey';
+    this.adminScope = ADMIN_SCOPE;
+    this.maxKeysPerUser = parseInt(process.env.API_KEY_MAX_PER_USER) || 25;
+    this.maxExpiryDays = parseInt(process.env.API_KEY_MAX_EXPIRY_DAYS) || 365;
+    this.defaultExpiryDays = 90;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  generateKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, keyHash: this.hashKey(key), prefix: key.substring(0, KEY_PREFIX.length + 8) };
+  }
+
+  // Key from an "Authorization: ApiKey <key>" header, or null
+  getKeyFromRequest(req) {
+    const authHeader = req.header('Authorization') || '';
+    if (!authHeader.startsWith(`${this.scheme} `)) {
+      return null;
+    }
+
+    return authHeader.substring(this.scheme.length + 1).trim() || null;
+  }
+
+  // Scopes a user may put on a key, or an error message
+  async validateScopes(user, scopes) {
+    if (!Array.isArray(scopes) || scopes.some(scope => typeof scope !== 'string' || !scope.trim())) {
+      return 'Scopes must be a list of permission names';
+    }
+
+    // "admin" is not a catalog permission; it lets an administrator's key act as admin
+    const unknown = permissionCatalog.findUnknown(scopes.filter(scope => scope !== 'admin'));
+    if (unknown.length) {
+      return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+
+    // Administrators hold every permission
+    if (await roleService.hasAdminLevel(user.role)) {
+      return null;
+    }
+
+    const permissions = await roleService.getUserPermissions(user);
+    const missing = scopes.filter(scope => !permissions.includes(scope));
+    if (missing.length) {
+      return `You do not have these permissions: ${missing.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  // Usable key and its active owner, or null
+  async authenticate(key, req) {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findUsable(this.hashKey(key));
+    if (!apiKey) {
+      return null;
+    }
+
+    const user = await User.findById(apiKey.userId).select('-password');
+    if (!user || !user.isActive || user.accountStatus !== 'active' || user.isLocked) {
+      return null;
+    }
+
+    ApiKey.recordUse(apiKey._id, authService.getClientIpAddress(req)).catch(error => {
+      console.error('API key usage update failed:', error.message);
+    });
+
+    return { apiKey, user };
+  }
+
+  // Whether a key-authenticated request may use a permission
+  keyAllows(apiKey, permission) {
+    return apiKey.scopes.includes(permission);
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
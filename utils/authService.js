@@ -2,6 +2,7 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const validator = require('validator');
+const signingKeys = require('../config/signingKeys');
 
 class AuthService {
   constructor() {
@@ -29,13 +30,27 @@ class AuthService {
     }
   }
 
-  // JWT token generation and verification
-  generateToken(userId, expiresIn = this.jwtExpiresIn) {
+  // JWT token generation and verification; every token gets a unique jti
+  // so it can be revoked individually
+  generateToken(userId, expiresIn = this.jwtExpiresIn, claims = {}) {
+    const payload = { ...claims, id: userId };
+
+    // Asymmetric signing with the current key when a keyset is configured
+    const signingKey = signingKeys.getSigningKey();
+    if (signingKey) {
+      return jwt.sign(payload, signingKey.privateKey, {
+        algorithm: signingKey.alg,
+        keyid: signingKey.kid,
+        jwtid: crypto.randomUUID(),
+        expiresIn
+      });
+    }
+
     if (!this.jwtSecret) {
       throw new Error('JWT_SECRET is not configured');
     }
     
-    return jwt.sign({ id: userId }, this.jwtSecret, { expiresIn });
+    return jwt.sign(payload, this.jwtSecret, { jwtid: crypto.randomUUID(), expiresIn });
   }
 
   generateRefreshToken(userId) {
@@ -44,17 +59,46 @@ class AuthService {
     }
     
     return jwt.sign({ id: userId }, this.jwtRefreshSecret, { 
+      jwtid: crypto.randomUUID(),
       expiresIn: this.jwtRefreshExpiresIn 
     });
   }
 
   verifyToken(token) {
-    if (!this.jwtSecret) {
-      throw new Error('JWT_SECRET is not configured');
-    }
-    
     try {
-      return jwt.verify(token, this.jwtSecret);
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+      }
+
+      // Tokens with a kid must verify against that published key; the
+      // algorithm is pinned to the key's so it cannot be swapped
+      if (decoded.header.kid) {
+        const key = signingKeys.getVerificationKey(decoded.header.kid);
+        if (!key) {
+          throw new jwt.JsonWebTokenError('unknown signing key');
+        }
+
+        const payload = jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+
+        // The same keys sign OIDC ID and access tokens for subdomain clients;
+        // only tokens carrying a user id are API access tokens
+        if (!payload.id) {
+          throw new jwt.JsonWebTokenError('not an API access token');
+        }
+
+        return payload;
+      }
+
+      if (!signingKeys.acceptHs256) {
+        throw new jwt.JsonWebTokenError('HS256 tokens are no longer accepted');
+      }
+
+      if (!this.jwtSecret) {
+        throw new Error('JWT_SECRET is not configured');
+      }
+
+      return jwt.verify(token, this.jwtSecret, { algorithms: ['HS256'] });
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         throw new Error('Token has expired');
@@ -72,7 +116,7 @@ class AuthService {
     }
     
     try {
-      return jwt.verify(token, this.jwtRefreshSecret);
+      return jwt.verify(token, this.jwtRefreshSecret, { algorithms: ['HS256'] });
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         throw new Error('Refresh token has expired');
@@ -106,49 +150,8 @@ class AuthService {
     return validator.isEmail(email.trim());
   }
 
-  // Password strength validation
-  validatePassword(password) {
-    if (!password || typeof password !== 'string') {
-      return {
-        isValid: false,
-        message: 'Password is required'
-      };
-    }
-
-    const errors = [];
-    
-    if (password.length < 8) {
-      errors.push('at least 8 characters');
-    }
-    
-    if (!/[A-Z]/.test(password)) {
-      errors.push('one uppercase letter');
-    }
-    
-    if (!/[a-z]/.test(password)) {
-      errors.push('one lowercase letter');
-    }
-    
-    if (!/[0-9]/.test(password)) {
-      errors.push('one number');
-    }
-    
-    if (!/[!@#$%^&*(),.?":{}|<>]/.test(password)) {
-      errors.push('one special character');
-    }
-
-    const isValid = errors.length === 0;
-    const message = isValid 
-      ? 'Password is strong' 
-      : `Password must contain ${errors.join(', ')}`;
-
-    return {
-      isValid,
-      message,
-      strength: this.calculatePasswordStrength(password)
-    };
-  }
-
+  // Password strength score for display; rules are enforced by
+  // utils/passwordPolicyService.js
   calculatePasswordStrength(password) {
     let score = 0;
     
@@ -236,8 +239,10 @@ class AuthService {
       avatar: user.avatar,
       bio: user.bio,
       role: user.role,
+      permissions: user.permissions || [],
       status: user.accountStatus, // Map accountStatus to status for frontend consistency
       emailVerified: user.emailVerified,
+      twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
       registrationDate: user.registrationDate,
       lastLogin: user.lastLogin,
       isActive: user.isActive,
@@ -270,7 +275,7 @@ class AuthService {
 
   // Check if service is properly configured
   isConfigured() {
-    return !!(this.jwtSecret && this.jwtRefreshSecret);
+    return !!((this.jwtSecret || signingKeys.getSigningKey()) && this.jwtRefreshSecret);
   }
 
   // Get service status
@@ -279,7 +284,8 @@ class AuthService {
       configured: this.isConfigured(),
       saltRounds: this.saltRounds,
       jwtExpiresIn: this.jwtExpiresIn,
-      jwtRefreshExpiresIn: this.jwtRefreshExpiresIn
+      jwtRefreshExpiresIn: this.jwtRefreshExpiresIn,
+      signing: signingKeys.getStatus()
     };
   }
 }
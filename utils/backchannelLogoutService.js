@@ -0,0 +1,97 @@
+const OAuthClient = require('../models/OAuthClient');
+const OAuthConsent = require('../models/OAuthConsent');
+const oidcProviderService = require('./oidcProviderService');
+
+/**
+ * OIDC Back-Channel Logout: tells registered subdomain clients to end a
+ * user's sessions when they sign out of the main site, are suspended or
+ * delete their account.
+ *
+ * Each client with a backchannelLogoutUri that the user has signed in to
+ * (first-party clients, or clients they consented to) receives a POST with a
+ * signed `logout_token`. Failed deliveries are retried with backoff.
+ */
+class BackchannelLogoutService {
+  constructor() {
+    this.retryAttempts = parseInt(process.env.BACKCHANNEL_LOGOUT_RETRY_ATTEMPTS) || 3;
+    this.requestTimeout = parseInt(process.env.BACKCHANNEL_LOGOUT_TIMEOUT) || 5000;
+  }
+
+  // Clients that may hold a session for the user
+  async findClientsForUser(userId) {
+    const clients = await OAuthClient.findBackchannelClients();
+    if (clients.length === 0) {
+      return [];
+    }
+
+    const consents = await OAuthConsent.find({ userId }).select('clientId');
+    const consentedIds = new Set(consents.map(consent => consent.clientId));
+
+    return clients.filter(client => client.skipConsent || consentedIds.has(client.clientId));
+  }
+
+  // POST the logout token; a fresh token per attempt so retries never expire
+  async deliver(client, userId) {
+    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      try {
+        const response = await fetch(client.backchannelLogoutUri, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            logout_token: oidcProviderService.buildLogoutToken(userId, client)
+          }).toString(),
+          signal: AbortSignal.timeout(this.requestTimeout)
+        });
+
+        if (response.ok) {
+          return true;
+        }
+
+        throw new Error(`status ${response.status}`);
+      } catch (error) {
+        console.error(`❌ Back-channel logout to ${client.name} attempt ${attempt} failed:`, error.message);
+
+        if (attempt < this.retryAttempts) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Notify every client the user has signed in to. Never throws, so callers
+   * can fire it without waiting for slow or unreachable clients.
+   */
+  async notifyUser(userId, reason) {
+    try {
+      if (!oidcProviderService.isEnabled()) {
+        return { notified: 0, failed: 0 };
+      }
+
+      const clients = await this.findClientsForUser(userId);
+      if (clients.length === 0) {
+        return { notified: 0, failed: 0 };
+      }
+
+      const results = await Promise.all(clients.map(client => this.deliver(client, userId)));
+      const notified = results.filter(Boolean).length;
+      const failed = results.length - notified;
+
+      if (failed > 0) {
+        console.warn(`⚠️ Back-channel logout (${reason}) for user ${userId}: ${notified} client(s) notified, ${failed} failed`);
+      } else {
+        console.log(`✅ Back-channel logout (${reason}) sent to ${notified} client(s) for user ${userId}`);
+      }
+
+      return { notified, failed };
+    } catch (error) {
+      console.error('Back-channel logout error:', error.message);
+      return { notified: 0, failed: 0 };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new BackchannelLogoutService();
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const SpentChallenge = require('../models/SpentChallenge');
+const authService = require('./authService');
+const rateLimitService = require('./rateLimitService');
+const rateLimitConfig = require('../config/rateLimitConfig');
+
+/**
+ * Self-hosted proof-of-work challenges for public forms
+ *
+ * A challenge is a signed token naming a difficulty in bits. The client must
+ * find a nonce such that SHA-256("<challenge>:<nonce>") starts with that many
+ * zero bits. Challenges are bound to the requesting IP and a scope (the form),
+ * expire after POW_CHALLENGE_TTL_SECONDS and can be redeemed only once.
+ *
+ * Difficulty starts at POW_BASE_DIFFICULTY bits and rises by one bit for each
+ * batch of challenges an IP requests and for each failed solution (see the
+ * challengeIssue and challengeFailure rate limit policies), up to
+ * POW_MAX_DIFFICULTY.
+ *
+ * Challenges are off unless POW_ENABLED=true and are signed with POW_SECRET,
+ * which must not be shared with any other key.
+ */
+class ChallengeService {
+  constructor() {
+    this.enabled = process.env.POW_ENABLED === 'true';
+    this.secret = process.env.POW_SECRET;
+    this.algorithm = 'SHA-256';
+    // Forms that can require a solved challenge
+    this.scopes = ['contact', 'signup', 'password-reset'];
+    this.ttlSeconds = parseInt(process.env.POW_CHALLENGE_TTL_SECONDS) || 300;
+    this.baseDifficulty = parseInt(process.env.POW_BASE_DIFFICULTY) || 18;
+    this.maxDifficulty = Math.max(parseInt(process.env.POW_MAX_DIFFICULTY) || 24, this.baseDifficulty);
+  }
+
+  sign(payload, ipAddress) {
+    if (!this.secret) {
+      throw new Error('POW_SECRET is not configured');
+    }
+
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${payload}.${ipAddress || ''}`)
+      .digest('base64url');
+  }
+
+  // Extra bits for an IP that requests many challenges or fails to solve them
+  async getDifficulty(ipAddress) {
+    if (!rateLimitService.isAvailable()) {
+      return this.baseDifficulty;
+    }
+
+    const issuePolicy = rateLimitConfig.getPolicy('challengeIssue');
+    const failurePolicy = rateLimitConfig.getPolicy('challengeFailure');
+
+    const [issued, failed] = await Promise.all([
+      rateLimitService.peek(issuePolicy, 'ip', ipAddress),
+      rateLimitService.peek(failurePolicy, 'ip', ipAddress)
+    ]);
+
+    const extraBits = Math.floor(issued.count / issuePolicy.ip) + Math.floor(failed.count / failurePolicy.ip);
+    return Math.min(this.baseDifficulty + extraBits, this.maxDifficulty);
+  }
+
+  async createChallenge(req, scope) {
+    if (!this.secret) {
+      throw new Error('POW_SECRET is not configured');
+    }
+
+    const ipAddress = authService.getClientIpAddress(req);
+    const difficulty = await this.getDifficulty(ipAddress);
+    const expiresAt = Math.floor(Date.now() / 1000) + this.ttlSeconds;
+
+    const payload = Buffer.from(JSON.stringify({
+      id: crypto.randomUUID(),
+      scope,
+      difficulty,
+      exp: expiresAt
+    })).toString('base64url');
+
+    if (rateLimitService.isAvailable()) {
+      await rateLimitService.hit(rateLimitConfig.getPolicy('challengeIssue'), 'ip', ipAddress);
+    }
+
+    return {
+      challenge: `${payload}.${this.sign(payload, ipAddress)}`,
+      algorithm: this.algorithm,
+      difficulty,
+      scope,
+      expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+  }
+
+  countLeadingZeroBits(buffer) {
+    let bits = 0;
+
+    for (const byte of buffer) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+
+      return bits + Math.clz32(byte) - 24;
+    }
+
+    return bits;
+  }
+
+  // Decoded challenge if the token is genuine, unexpired and for this scope
+  parseChallenge(challenge, ipAddress, scope) {
+    if (typeof challenge !== 'string') {
+      return null;
+    }
+
+    const [payload, signature] = challenge.split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload, ipAddress));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (!decoded.id || decoded.exp * 1000 < Date.now() || decoded.scope !== scope) {
+      return null;
+    }
+
+    return decoded;
+  }
+
+  // Verify and spend a solution; returns an error message, or null when valid
+  async verifySolution(req, challenge, nonce, scope) {
+    const ipAddress = authService.getClientIpAddress(req);
+    const decoded = this.parseChallenge(challenge, ipAddress, scope);
+
+    let error = null;
+    if (!decoded) {
+      error = 'Challenge is invalid or has expired';
+    } else if (typeof nonce !== 'string' || !nonce || nonce.length > 64) {
+      error = 'Challenge solution is missing';
+    } else {
+      const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+      if (this.countLeadingZeroBits(hash) < decoded.difficulty) {
+        error = 'Challenge solution is incorrect';
+      } else if (!(await SpentChallenge.redeem(decoded.id, scope, new Date(decoded.exp * 1000)))) {
+        error = 'Challenge has already been used';
+      }
+    }
+
+    if (error && rateLimitService.isAvailable()) {
+      await rateLimitService.hit(rateLimitConfig.getPolicy('challengeFailure'), 'ip', ipAddress);
+    }
+
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new ChallengeService();
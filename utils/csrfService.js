@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * CSRF protection for cookie-authenticated requests (double-submit cookie)
+ *
+ * A readable csrf_token cookie is issued alongside the auth cookies. Unsafe
+ * requests authenticated by the auth_token cookie must echo it in the
+ * X-CSRF-Token header, which other sites cannot read or set. Tokens are
+ * signed and bound to the session (sid) so a sibling subdomain cannot plant
+ * its own cookie. Bearer-authenticated requests are exempt.
+ *
+ * Tokens are signed with CSRF_SECRET or, without it, a key derived from
+ * JWT_REFRESH_SECRET (HKDF, label "csrf") so the refresh token key itself is
+ * never used for anything else.
+ */
+class CsrfService {
+  constructor() {
+    this.cookieName = 'csrf_token';
+    this.headerName = 'X-CSRF-Token';
+    this.secret = process.env.CSRF_SECRET || this.deriveKey(process.env.JWT_REFRESH_SECRET);
+  }
+
+  deriveKey(secret) {
+    if (!secret) {
+      return null;
+    }
+
+    return Buffer.from(crypto.hkdfSync('sha256', secret, '', 'csrf', 32));
+  }
+
+  isUnsafeMethod(method) {
+    return UNSAFE_METHODS.includes(method);
+  }
+
+  sign(nonce, sessionId) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${nonce}.${sessionId || ''}`)
+      .digest('base64url');
+  }
+
+  generateToken(sessionId) {
+    if (!this.secret) {
+      throw new Error('CSRF_SECRET or JWT_REFRESH_SECRET is not configured');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    return `${nonce}.${this.sign(nonce, sessionId)}`;
+  }
+
+  // The header must match the cookie and carry a valid signature for the
+  // session the request was authenticated with
+  verifyRequest(req, sessionId) {
+    const headerToken = req.get(this.headerName);
+    const cookieToken = req.cookies && req.cookies[this.cookieName];
+
+    if (!this.secret || typeof headerToken !== 'string' || typeof cookieToken !== 'string' ||
+        !this.safeEqual(headerToken, cookieToken)) {
+      return false;
+    }
+
+    const [nonce, signature] = headerToken.split('.');
+    if (!nonce || !signature) {
+      return false;
+    }
+
+    return this.safeEqual(this.sign(nonce, sessionId), signature);
+  }
+
+  safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+// Export singleton instance
+module.exports = new CsrfService();
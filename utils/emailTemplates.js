@@ -3,6 +3,11 @@ class EmailTemplates {
     this.baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     this.emailVerificationUrl = process.env.EMAIL_VERIFICATION_URL || process.env.FRONTEND_URL || 'http://localhost:5173';
     this.passwordResetUrl = process.env.PASSWORD_RESET_URL || process.env.FRONTEND_URL || 'http://localhost:5173';
+    this.magicLinkUrl = process.env.MAGIC_LINK_URL || process.env.FRONTEND_URL || 'http://localhost:5173';
+    this.securityReportUrl = process.env.SECURITY_REPORT_URL || process.env.FRONTEND_URL || 'http://localhost:5173';
+    this.invitationUrl = process.env.INVITATION_URL || process.env.FRONTEND_URL || 'http://localhost:5173';
+    this.emailChangeUrl = process.env.EMAIL_CHANGE_URL || process.env.FRONTEND_URL || 'http://localhost:5173';
+    this.organizationInvitationUrl = process.env.ORGANIZATION_INVITATION_URL || process.env.FRONTEND_URL || 'http://localhost:5173';
     this.brandName = 'Equus Website';
     this.supportEmail = process.env.EMAIL_FROM || 'support@equus-website.com';
   }
@@ -215,6 +220,203 @@ class EmailTemplates {
     };
   }
 
+  // Magic login link template
+  magicLinkTemplate(user, loginToken) {
+    const loginLink = `${this.magicLinkUrl}?token=${loginToken}`;
+
+    return {
+      subject: `Your Sign-In Link - ${this.brandName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Sign-In Link</title>
+          ${this.getCommonStyles()}
+        </head>
+        <body>
+          ${this.getEmailHeader()}
+          <div class="content">
+            <h2>Sign In to ${this.brandName}</h2>
+            <p>Hello ${user.firstName},</p>
+            <p>Click the button below to sign in to your ${this.brandName} account. No password is needed:</p>
+            <p style="text-align: center;">
+              <a href="${loginLink}" class="button">Sign In</a>
+            </p>
+            <p>Or copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #007bff;">${loginLink}</p>
+            <div class="warning">
+              <strong>Security Notice:</strong> This sign-in link will expire in 15 minutes and can only be used once.
+            </div>
+            <p>If you didn't request this link, you can safely ignore this email. Your account remains secure.</p>
+            <p>Best regards,<br>The ${this.brandName} Team</p>
+          </div>
+          ${this.getEmailFooter()}
+        </body>
+        </html>
+      `
+    };
+  }
+
+  // Signup invitation template
+  invitationTemplate(invitation, inviter, invitationToken) {
+    const invitationLink = `${this.invitationUrl}?token=${invitationToken}`;
+    const grants = invitation.subdomainGrants.map(grant => grant.subdomainId);
+
+    return {
+      subject: `You're Invited to ${this.brandName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>You're Invited</title>
+          ${this.getCommonStyles()}
+        </head>
+        <body>
+          ${this.getEmailHeader()}
+          <div class="content">
+            <h2>You're Invited to ${this.brandName}</h2>
+            <p>Hello,</p>
+            <p>${inviter.firstName} ${inviter.lastName} has invited you to create an account on ${this.brandName}.</p>
+            ${grants.length ? `<p>Your account will include access to: <strong>${grants.join(', ')}</strong></p>` : ''}
+            <p style="text-align: center;">
+              <a href="${invitationLink}" class="button">Accept Invitation</a>
+            </p>
+            <p>Or copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #007bff;">${invitationLink}</p>
+            <div class="warning">
+              <strong>Note:</strong> This invitation expires on ${invitation.expiresAt.toUTCString()}.
+            </div>
+            <p>If you weren't expecting this invitation, you can safely ignore this email.</p>
+            <p>Best regards,<br>The ${this.brandName} Team</p>
+          </div>
+          ${this.getEmailFooter()}
+        </body>
+        </html>
+      `
+    };
+  }
+
+  // Organization invitation template
+  organizationInvitationTemplate(invitation, organization, inviter, invitationToken) {
+    const invitationLink = `${this.organizationInvitationUrl}?token=${invitationToken}`;
+
+    return {
+      subject: `Join ${organization.name} on ${this.brandName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Organization Invitation</title>
+          ${this.getCommonStyles()}
+        </head>
+        <body>
+          ${this.getEmailHeader()}
+          <div class="content">
+            <h2>Join ${organization.name}</h2>
+            <p>Hello,</p>
+            <p>${inviter.firstName} ${inviter.lastName} has invited you to join <strong>${organization.name}</strong> on ${this.brandName} as ${invitation.role === 'admin' ? 'an admin' : 'a member'}.</p>
+            <p>Sign in (or create an account) with this email address, then accept the invitation:</p>
+            <p style="text-align: center;">
+              <a href="${invitationLink}" class="button">Accept Invitation</a>
+            </p>
+            <p>Or copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #007bff;">${invitationLink}</p>
+            <div class="warning">
+              <strong>Note:</strong> This invitation expires on ${invitation.expiresAt.toUTCString()}.
+            </div>
+            <p>If you weren't expecting this invitation, you can safely ignore this email.</p>
+            <p>Best regards,<br>The ${this.brandName} Team</p>
+          </div>
+          ${this.getEmailFooter()}
+        </body>
+        </html>
+      `
+    };
+  }
+
+  // Email change confirmation template (sent to the new address)
+  emailChangeConfirmTemplate(user, newEmail, confirmToken) {
+    const confirmLink = `${this.emailChangeUrl}?token=${confirmToken}&action=confirm`;
+
+    return {
+      subject: `Confirm Your New Email Address - ${this.brandName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Confirm Your New Email Address</title>
+          ${this.getCommonStyles()}
+        </head>
+        <body>
+          ${this.getEmailHeader()}
+          <div class="content">
+            <h2>Confirm Your New Email Address</h2>
+            <p>Hello ${user.firstName},</p>
+            <p>You asked to change the email address on your ${this.brandName} account to <strong>${newEmail}</strong>. Click the button below to confirm the change:</p>
+            <p style="text-align: center;">
+              <a href="${confirmLink}" class="button">Confirm Email Change</a>
+            </p>
+            <p>Or copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #007bff;">${confirmLink}</p>
+            <div class="warning">
+              <strong>Note:</strong> This link will expire in 24 hours. Your email address stays the same until you confirm.
+            </div>
+            <p>If you didn't request this change, you can safely ignore this email.</p>
+            <p>Best regards,<br>The ${this.brandName} Team</p>
+          </div>
+          ${this.getEmailFooter()}
+        </body>
+        </html>
+      `
+    };
+  }
+
+  // Email change notice template (sent to the current address)
+  emailChangeNoticeTemplate(user, newEmail, cancelToken) {
+    const cancelLink = `${this.emailChangeUrl}?token=${cancelToken}&action=cancel`;
+
+    return {
+      subject: `Email Change Requested - ${this.brandName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Email Change Requested</title>
+          ${this.getCommonStyles()}
+        </head>
+        <body>
+          ${this.getEmailHeader()}
+          <div class="content">
+            <h2>Email Change Requested</h2>
+            <p>Hello ${user.firstName},</p>
+            <p>A request was made to change the email address on your ${this.brandName} account from <strong>${user.email}</strong> to <strong>${newEmail}</strong>.</p>
+            <p>If this was you, no further action is required. The change takes effect once the new address is confirmed.</p>
+            <p>If you didn't make this request, cancel it now:</p>
+            <p style="text-align: center;">
+              <a href="${cancelLink}" class="button">Cancel Email Change</a>
+            </p>
+            <div class="warning">
+              <strong>Security Notice:</strong> This link works for 7 days. If the change has already been confirmed, it restores this address and signs out every device.
+            </div>
+            <p>Best regards,<br>The ${this.brandName} Team</p>
+          </div>
+          ${this.getEmailFooter()}
+        </body>
+        </html>
+      `
+    };
+  }
+
   // Password reset success template
   passwordResetSuccessTemplate(user) {
     return {
@@ -292,7 +494,11 @@ class EmailTemplates {
   }
 
   // Security alert template
-  securityAlertTemplate(user, activity) {
+  // With a report token the email offers a "This wasn't me" link that signs
+  // out every device and requires a password reset
+  securityAlertTemplate(user, activity, reportToken = null) {
+    const reportLink = reportToken ? `${this.securityReportUrl}?token=${reportToken}` : null;
+
     return {
       subject: `Security Alert - ${this.brandName}`,
       html: `
@@ -314,14 +520,21 @@ class EmailTemplates {
               <strong>Activity:</strong> ${activity.type}<br>
               <strong>Date:</strong> ${activity.date}<br>
               <strong>IP Address:</strong> ${activity.ipAddress}<br>
-              <strong>Location:</strong> ${activity.location || 'Unknown'}
+              <strong>Location:</strong> ${activity.location || 'Unknown'}${activity.device ? `<br>
+              <strong>Device:</strong> ${activity.device}` : ''}
             </div>
             <p>If this was you, no further action is required. If you don't recognize this activity, please:</p>
+            ${reportLink ? `
+            <p style="text-align: center;">
+              <a href="${reportLink}" class="button">This wasn't me</a>
+            </p>
+            <p>This signs you out on every device and asks you to choose a new password. The link expires in 7 days.</p>
+            ` : `
             <ul>
               <li>Reset your password immediately</li>
               <li>Review your account settings</li>
               <li>Contact our support team</li>
-            </ul>
+            </ul>`}
             <p>Best regards,<br>The ${this.brandName} Team</p>
           </div>
           ${this.getEmailFooter()}
@@ -0,0 +1,103 @@
+const Token = require('../models/Token');
+const User = require('../models/User');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const emailTemplates = require('./emailTemplates');
+
+/**
+ * Email verification policy
+ *
+ * Unverified accounts can use the API for a grace period after registering
+ * (EMAIL_VERIFICATION_GRACE_HOURS, default 72). After that they are limited
+ * to their profile until the address is verified. Set
+ * EMAIL_VERIFICATION_ENFORCED=false to turn enforcement off.
+ *
+ * The grace period starts at verificationGraceStartedAt. Accounts without it
+ * are never restricted; see backfillGraceStart.
+ */
+class EmailVerificationService {
+  constructor() {
+    this.enforced = process.env.EMAIL_VERIFICATION_ENFORCED !== 'false';
+
+    const graceHours = parseFloat(process.env.EMAIL_VERIFICATION_GRACE_HOURS);
+    this.gracePeriodHours = Number.isFinite(graceHours) && graceHours >= 0 ? graceHours : 72;
+
+    this.resendCooldownSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+  }
+
+  // End of the user's grace period, or null if it has not started
+  getGracePeriodEnd(user) {
+    if (!user.verificationGraceStartedAt) {
+      return null;
+    }
+
+    const startedAt = new Date(user.verificationGraceStartedAt);
+    return new Date(startedAt.getTime() + this.gracePeriodHours * 60 * 60 * 1000);
+  }
+
+  // True when the user must verify their email before using the API
+  isRestricted(user) {
+    if (!this.enforced || user.emailVerified) {
+      return false;
+    }
+
+    const gracePeriodEnd = this.getGracePeriodEnd(user);
+    return !!gracePeriodEnd && Date.now() >= gracePeriodEnd.getTime();
+  }
+
+  // Start the grace period for unverified accounts created before enforcement,
+  // so they get the full period instead of being restricted on deploy
+  async backfillGraceStart() {
+    const result = await User.updateMany(
+      { emailVerified: false, verificationGraceStartedAt: null },
+      { $set: { verificationGraceStartedAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  getStatus(user) {
+    return {
+      emailVerified: user.emailVerified,
+      enforced: this.enforced,
+      gracePeriodEndsAt: user.emailVerified ? null : this.getGracePeriodEnd(user),
+      restricted: this.isRestricted(user)
+    };
+  }
+
+  // Seconds until another verification email may be sent (0 when allowed)
+  async getResendCooldown(userId) {
+    const lastToken = await Token.findOne({ userId, type: 'email_verification' }).sort({ createdAt: -1 });
+    if (!lastToken) {
+      return 0;
+    }
+
+    const elapsedSeconds = (Date.now() - lastToken.createdAt.getTime()) / 1000;
+    return Math.max(0, Math.ceil(this.resendCooldownSeconds - elapsedSeconds));
+  }
+
+  // Replace any outstanding verification links with a new one and email it
+  async sendVerificationEmail(user, ipAddress, userAgent) {
+    await Token.revokeUserTokens(user._id, 'email_verification');
+
+    const verificationToken = authService.generateSecureToken();
+    await Token.createToken(
+      user._id,
+      verificationToken,
+      'email_verification',
+      Token.getExpirationTime('email_verification'),
+      ipAddress,
+      userAgent
+    );
+
+    const emailTemplate = emailTemplates.emailVerificationTemplate(user, verificationToken);
+    await emailService.sendEmail({
+      to: user.email,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new EmailVerificationService();
@@ -0,0 +1,142 @@
+const Impersonation = require('../models/Impersonation');
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const authService = require('./authService');
+const csrfService = require('./csrfService');
+const sessionService = require('./sessionService');
+const roleService = require('./roleService');
+
+/**
+ * Admin impersonation ("log in as user")
+ *
+ * The impersonation token is an access token for the target user with an
+ * `act` claim naming the admin (RFC 8693) and an `imp` claim pointing at the
+ * audit record. It has no refresh token: it lasts IMPERSONATION_TTL_MINUTES
+ * (default 30) and stops working as soon as the impersonation is ended.
+ * The admin's own refresh cookie is left alone, so ending the impersonation
+ * and refreshing returns the browser to the admin's session.
+ */
+class ImpersonationService {
+  constructor() {
+    this.ttlSeconds = (parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30) * 60;
+  }
+
+  isImpersonationToken(payload) {
+    return !!(payload && payload.act && payload.imp);
+  }
+
+  async start(req, res, admin, user, reason) {
+    const ipAddress = authService.getClientIpAddress(req);
+    const userAgent = req.get('User-Agent');
+
+    const impersonation = await Impersonation.create({
+      adminId: admin._id,
+      userId: user._id,
+      reason,
+      ipAddress,
+      userAgent: userAgent ? userAgent.substring(0, 500) : undefined,
+      expiresAt: new Date(Date.now() + this.ttlSeconds * 1000)
+    });
+
+    const impersonationId = impersonation._id.toString();
+    const token = authService.generateToken(user._id, this.ttlSeconds, {
+      sid: impersonationId,
+      imp: impersonationId,
+      act: { sub: admin._id.toString(), email: admin.email }
+    });
+    const csrfToken = csrfService.generateToken(impersonationId);
+
+    res.cookie('auth_token', token, sessionService.getCookieOptions(this.ttlSeconds * 1000));
+    sessionService.setCsrfCookie(res, csrfToken, this.ttlSeconds * 1000);
+
+    await SecurityEvent.logEvent(user._id, 'impersonation_started', {
+      ipAddress,
+      userAgent,
+      details: { impersonationId, adminId: admin._id, adminEmail: admin.email, reason }
+    });
+
+    console.warn(`⚠️ Impersonation started: ${admin.email} as ${user.email} (${reason})`);
+
+    return { impersonation, token, csrfToken, expiresIn: this.ttlSeconds };
+  }
+
+  // End an impersonation and drop the impersonation cookies; returns null if
+  // it had already ended
+  async end(req, res, impersonationId, endedBy) {
+    const impersonation = await Impersonation.end(impersonationId, endedBy._id);
+    if (!impersonation) {
+      return null;
+    }
+
+    await SecurityEvent.logEvent(impersonation.userId, 'impersonation_ended', {
+      ipAddress: authService.getClientIpAddress(req),
+      userAgent: req.get('User-Agent'),
+      details: {
+        impersonationId: impersonation._id.toString(),
+        adminId: impersonation.adminId,
+        endedBy: endedBy._id,
+        durationSeconds: Math.round((impersonation.endedAt - impersonation.startedAt) / 1000)
+      }
+    });
+
+    if (res) {
+      sessionService.clearAccessCookies(res);
+    }
+
+    console.log(`✅ Impersonation ended: ${impersonation._id} by ${endedBy.email}`);
+
+    return impersonation;
+  }
+
+  // Record the end of impersonations that expired without being ended, with
+  // an impersonation_ended event in the user's security history. `filter`
+  // narrows the search (e.g. to one impersonation or user)
+  async recordExpired(filter = {}) {
+    const expired = await Impersonation.findUnrecordedExpiries(filter);
+    let recorded = 0;
+
+    for (const candidate of expired) {
+      const impersonation = await Impersonation.recordExpiry(candidate);
+      if (!impersonation) {
+        continue;
+      }
+
+      await SecurityEvent.logEvent(impersonation.userId, 'impersonation_ended', {
+        details: {
+          impersonationId: impersonation._id.toString(),
+          adminId: impersonation.adminId,
+          endedBy: null,
+          reason: 'expired',
+          durationSeconds: Math.round((impersonation.endedAt - impersonation.startedAt) / 1000)
+        }
+      });
+
+      recorded++;
+    }
+
+    return recorded;
+  }
+
+  // The admin behind an impersonation token, or null if the impersonation has
+  // ended or the admin can no longer impersonate
+  async getImpersonator(payload) {
+    if (!this.isImpersonationToken(payload)) {
+      return null;
+    }
+
+    const impersonation = await Impersonation.findActive(payload.imp);
+    if (!impersonation || impersonation.adminId.toString() !== payload.act.sub) {
+      return null;
+    }
+
+    const admin = await User.findById(impersonation.adminId).select('-password');
+    if (!admin || !admin.isActive || admin.accountStatus !== 'active' || !await roleService.hasAdminLevel(admin.role)) {
+      return null;
+    }
+
+    return admin;
+  }
+}
+
+// Export singleton instance
+module.exports = new ImpersonationService();
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const Setting = require('../models/Setting');
+const SubdomainRequest = require('../models/SubdomainRequest');
+
+const SIGNUP_MODES = ['open', 'invite-only', 'closed'];
+const SIGNUP_MODE_KEY = 'signup_mode';
+
+/**
+ * Signup mode and invitations
+ *
+ * The signup mode is stored as an admin setting and falls back to SIGNUP_MODE
+ * (default "open"). In invite-only mode new accounts need an invitation;
+ * in closed mode nobody can register.
+ */
+class InvitationService {
+  constructor() {
+    this.signupModes = SIGNUP_MODES;
+    this.defaultSignupMode = SIGNUP_MODES.includes(process.env.SIGNUP_MODE) ? process.env.SIGNUP_MODE : 'open';
+    this.defaultExpiryDays = 7;
+  }
+
+  async getSignupMode() {
+    const mode = await Setting.getValue(SIGNUP_MODE_KEY, this.defaultSignupMode);
+    return SIGNUP_MODES.includes(mode) ? mode : this.defaultSignupMode;
+  }
+
+  setSignupMode(mode, updatedBy) {
+    return Setting.setValue(SIGNUP_MODE_KEY, mode, updatedBy);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: this.hashToken(token) };
+  }
+
+  // Usable invitation for a signup, or an error message
+  async findInvitationForSignup(token, email) {
+    const invitation = typeof token === 'string' && token
+      ? await Invitation.findUsable(this.hashToken(token))
+      : null;
+
+    if (!invitation) {
+      return { error: 'Invitation is invalid, expired or has already been used' };
+    }
+
+    if (invitation.email && invitation.email !== email.toLowerCase().trim()) {
+      return { error: 'This invitation was issued for a different email address' };
+    }
+
+    return { invitation };
+  }
+
+  // Approved subdomain access for the grants on an invitation
+  async applySubdomainGrants(user, invitation) {
+    if (!invitation.subdomainGrants.length) {
+      return [];
+    }
+
+    return SubdomainRequest.insertMany(invitation.subdomainGrants.map(grant => ({
+      userId: user._id,
+      subdomainId: grant.subdomainId,
+      status: 'approved',
+      requestReason: 'Granted by invitation',
+      adminMessage: 'Access granted with your invitation',
+      reviewedBy: invitation.createdBy,
+      reviewedAt: new Date(),
+      expiresAt: grant.expiresAt,
+      metadata: { requestSource: 'invitation' }
+    })));
+  }
+}
+
+// Export singleton instance
+module.exports = new InvitationService();
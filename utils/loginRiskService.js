@@ -0,0 +1,245 @@
+const net = require('net');
+const SecurityEvent = require('../models/SecurityEvent');
+const Token = require('../models/Token');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const emailTemplates = require('./emailTemplates');
+
+const HISTORY_LIMIT = 20;
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Suspicious login detection
+ *
+ * Every successful login is recorded as a "login" security event and compared
+ * with the user's recent logins: network (IP prefix), device (browser and OS)
+ * and, when a trusted proxy supplies geolocation headers, travel speed since
+ * the previous login. A new device on a new network, or impossible travel,
+ * emails a security alert with a "this wasn't me" link.
+ *
+ * Geolocation headers are only read from requests whose client address (after
+ * Express's "trust proxy" handling) is in GEO_TRUSTED_PROXIES, the addresses
+ * or CIDR ranges of the CDN that sets them; anyone else could forge them.
+ */
+class LoginRiskService {
+  constructor() {
+    this.maxTravelSpeed = parseInt(process.env.LOGIN_MAX_TRAVEL_SPEED_KMH) || 1000;
+    // Geolocation headers set by the CDN/proxy (defaults are Cloudflare's)
+    this.geoHeaders = {
+      country: process.env.GEO_COUNTRY_HEADER || 'cf-ipcountry',
+      latitude: process.env.GEO_LATITUDE_HEADER || 'cf-iplatitude',
+      longitude: process.env.GEO_LONGITUDE_HEADER || 'cf-iplongitude'
+    };
+    this.geoTrustedProxies = this.parseTrustedProxies(process.env.GEO_TRUSTED_PROXIES);
+  }
+
+  // Comma-separated addresses and CIDR ranges; null when none are configured
+  parseTrustedProxies(value) {
+    const entries = (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    if (!entries.length) {
+      return null;
+    }
+
+    const blockList = new net.BlockList();
+
+    for (const entry of entries) {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+      try {
+        if (!net.isIP(address)) {
+          throw new Error('not an IP address');
+        }
+
+        if (prefix === undefined) {
+          blockList.addAddress(address, type);
+        } else {
+          blockList.addSubnet(address, parseInt(prefix), type);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Ignoring invalid GEO_TRUSTED_PROXIES entry "${entry}": ${error.message}`);
+      }
+    }
+
+    return blockList;
+  }
+
+  isTrustedGeoSource(req) {
+    if (!this.geoTrustedProxies) {
+      return false;
+    }
+
+    const address = (req.ip || '').replace(/^::ffff:/, '');
+    if (!net.isIP(address)) {
+      return false;
+    }
+
+    return this.geoTrustedProxies.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  // Network an address belongs to: /24 for IPv4, /48 for IPv6
+  getIpPrefix(ipAddress) {
+    if (!ipAddress) {
+      return null;
+    }
+
+    const address = ipAddress.replace(/^::ffff:/, '');
+
+    if (address.includes('.')) {
+      return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+
+    return `${address.split(':').slice(0, 3).join(':')}::/48`;
+  }
+
+  getGeo(req) {
+    if (!this.isTrustedGeoSource(req)) {
+      return { country: null, latitude: null, longitude: null };
+    }
+
+    const country = req.get(this.geoHeaders.country);
+    const latitude = parseFloat(req.get(this.geoHeaders.latitude));
+    const longitude = parseFloat(req.get(this.geoHeaders.longitude));
+
+    return {
+      // XX and T1 are Cloudflare's unknown and Tor markers
+      country: country && !['XX', 'T1'].includes(country) ? country : null,
+      latitude: Number.isFinite(latitude) ? latitude : null,
+      longitude: Number.isFinite(longitude) ? longitude : null
+    };
+  }
+
+  // device is the parsed user agent from sessionService.parseUserAgent
+  buildContext(req, device) {
+    const ipAddress = authService.getClientIpAddress(req);
+
+    return {
+      ipAddress,
+      ipPrefix: this.getIpPrefix(ipAddress),
+      userAgent: req.get('User-Agent'),
+      device: `${device.browser.name} on ${device.os.name}`,
+      ...this.getGeo(req)
+    };
+  }
+
+  // Great-circle distance in kilometres
+  getDistance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  // Compare a login with previous "login" events (newest first)
+  assess(context, history, now = new Date()) {
+    const assessment = { newDevice: false, newNetwork: false, impossibleTravel: false, reasons: [] };
+
+    // Nothing to compare the first recorded login with
+    if (history.length === 0) {
+      return { ...assessment, suspicious: false };
+    }
+
+    const previous = history.map(event => event.details || {});
+
+    assessment.newDevice = !previous.some(details => details.device === context.device);
+    assessment.newNetwork = !previous.some(details => details.ipPrefix === context.ipPrefix);
+
+    const last = previous[0];
+    const hoursSinceLast = Math.max((now - history[0].createdAt) / (60 * 60 * 1000), 1 / 60);
+
+    if (context.latitude !== null && context.longitude !== null &&
+        Number.isFinite(last.latitude) && Number.isFinite(last.longitude)) {
+      const distance = this.getDistance(last, context);
+      assessment.impossibleTravel = distance > 100 && distance / hoursSinceLast > this.maxTravelSpeed;
+    } else if (context.country && last.country && context.country !== last.country) {
+      // Without coordinates, a country change within an hour is not plausible
+      assessment.impossibleTravel = hoursSinceLast < 1;
+    }
+
+    if (assessment.newDevice) assessment.reasons.push(`new device (${context.device})`);
+    if (assessment.newNetwork) assessment.reasons.push(`new network (${context.ipPrefix})`);
+    if (assessment.impossibleTravel) {
+      assessment.reasons.push(`sign-in from ${context.country || 'a distant location'} shortly after a sign-in from ${last.country || 'elsewhere'}`);
+    }
+
+    return {
+      ...assessment,
+      suspicious: assessment.impossibleTravel || (assessment.newDevice && assessment.newNetwork)
+    };
+  }
+
+  // Record a successful login and alert the user when it looks suspicious.
+  // Never fails the login itself.
+  async checkLogin(req, user, device) {
+    try {
+      const context = this.buildContext(req, device);
+      const history = await SecurityEvent.findUserEvents(user._id, HISTORY_LIMIT, 'login');
+      const assessment = this.assess(context, history);
+
+      await SecurityEvent.logEvent(user._id, 'login', {
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        details: {
+          ipPrefix: context.ipPrefix,
+          device: context.device,
+          country: context.country,
+          latitude: context.latitude,
+          longitude: context.longitude
+        }
+      });
+
+      if (assessment.suspicious) {
+        await this.sendAlert(user, context, assessment);
+      }
+
+      return assessment;
+    } catch (error) {
+      console.error('Login risk check failed:', error.message);
+      return null;
+    }
+  }
+
+  async sendAlert(user, context, assessment) {
+    console.warn(`⚠️ Suspicious login for: ${user.email} (${assessment.reasons.join(', ')})`);
+
+    await SecurityEvent.logEvent(user._id, 'suspicious_login', {
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      details: { reasons: assessment.reasons, country: context.country }
+    });
+
+    // One-time link that lets the user lock the account down
+    const reportToken = authService.generateSecureToken();
+    await Token.createToken(
+      user._id,
+      reportToken,
+      'security_report',
+      Token.getExpirationTime('security_report'),
+      context.ipAddress,
+      context.userAgent
+    );
+
+    try {
+      const emailTemplate = emailTemplates.securityAlertTemplate(user, {
+        type: `New sign-in: ${assessment.reasons.join(', ')}`,
+        date: new Date().toUTCString(),
+        ipAddress: context.ipAddress,
+        location: context.country,
+        device: context.device
+      }, reportToken);
+      await emailService.sendEmail({
+        to: user.email,
+        subject: emailTemplate.subject,
+        html: emailTemplate.html
+      });
+    } catch (emailError) {
+      console.error('Security alert email send failed:', emailError.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new LoginRiskService();
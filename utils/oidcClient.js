@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+class OidcClient {
+  constructor() {
+    this.metadataCache = new Map();
+    this.jwksCache = new Map();
+    this.cacheTtl = 60 * 60 * 1000; // 1 hour
+    this.requestTimeout = parseInt(process.env.OIDC_REQUEST_TIMEOUT) || 10000;
+  }
+
+  // HTTP helper for provider endpoints
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        Accept: 'application/json',
+        ...options.headers
+      },
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const reason = body && (body.error_description || body.error);
+      throw new Error(`Request to ${url} failed with status ${response.status}${reason ? `: ${reason}` : ''}`);
+    }
+
+    return body;
+  }
+
+  // Random values for state, nonce and PKCE
+  generateRandomValue(length = 32) {
+    return crypto.randomBytes(length).toString('base64url');
+  }
+
+  generatePkcePair() {
+    const codeVerifier = this.generateRandomValue(32);
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    return { codeVerifier, codeChallenge };
+  }
+
+  // Provider endpoints from OIDC discovery, overridden by explicit configuration
+  async getMetadata(provider) {
+    if (!provider.issuer) {
+      return {
+        issuer: null,
+        authorization_endpoint: provider.authorizationUrl,
+        token_endpoint: provider.tokenUrl,
+        userinfo_endpoint: provider.userinfoUrl,
+        jwks_uri: null
+      };
+    }
+
+    const cached = this.metadataCache.get(provider.id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.metadata;
+    }
+
+    const discoveryUrl = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const discovered = await this.fetchJson(discoveryUrl);
+
+    const metadata = {
+      ...discovered,
+      authorization_endpoint: provider.authorizationUrl || discovered.authorization_endpoint,
+      token_endpoint: provider.tokenUrl || discovered.token_endpoint,
+      userinfo_endpoint: provider.userinfoUrl || discovered.userinfo_endpoint
+    };
+
+    this.metadataCache.set(provider.id, { metadata, expiresAt: Date.now() + this.cacheTtl });
+
+    return metadata;
+  }
+
+  async buildAuthorizationUrl(provider, params) {
+    const { redirectUri, state, nonce, codeChallenge } = params;
+    const metadata = await this.getMetadata(provider);
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    if (provider.issuer) {
+      url.searchParams.set('nonce', nonce);
+    }
+
+    return url.toString();
+  }
+
+  // Exchange an authorization code for tokens (client_secret_post)
+  async exchangeCode(provider, params) {
+    const { code, codeVerifier, redirectUri } = params;
+    const metadata = await this.getMetadata(provider);
+
+    return this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code_verifier: codeVerifier
+      }).toString()
+    });
+  }
+
+  // Resolve the public key for an ID token from the provider's JWKS
+  async getSigningKey(jwksUri, kid) {
+    let cached = this.jwksCache.get(jwksUri);
+
+    const findKey = (keys) => keys.find(key => !kid || key.kid === kid);
+
+    // Refetch on cache miss or unknown kid (provider key rotation)
+    if (!cached || cached.expiresAt < Date.now() || !findKey(cached.keys)) {
+      const jwks = await this.fetchJson(jwksUri);
+      cached = { keys: jwks.keys || [], expiresAt: Date.now() + this.cacheTtl };
+      this.jwksCache.set(jwksUri, cached);
+    }
+
+    const jwk = findKey(cached.keys);
+    if (!jwk) {
+      throw new Error('No matching signing key found for ID token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async verifyIdToken(provider, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('ID token is malformed');
+    }
+
+    const key = await this.getSigningKey(metadata.jwks_uri, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.clientId
+    });
+
+    // Multi-tenant issuers (e.g. Microsoft "common") use a {tenantid} template
+    const expectedIssuer = metadata.issuer.replace('{tenantid}', claims.tid || '');
+    if (claims.iss !== expectedIssuer) {
+      throw new Error('ID token issuer mismatch');
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  // Verified primary email for providers that expose it separately (GitHub)
+  async fetchVerifiedEmail(provider, accessToken) {
+    const emails = await this.fetchJson(provider.emailsUrl, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    const primary = Array.isArray(emails)
+      ? emails.find(entry => entry.primary && entry.verified)
+      : null;
+
+    return primary ? primary.email : null;
+  }
+
+  splitName(name) {
+    const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+
+    return {
+      firstName: parts[0] || '',
+      lastName: parts.slice(1).join(' ')
+    };
+  }
+
+  // Complete the code flow and return a normalized profile
+  async authenticate(provider, params) {
+    const { code, codeVerifier, nonce, redirectUri } = params;
+    const metadata = await this.getMetadata(provider);
+    const tokens = await this.exchangeCode(provider, { code, codeVerifier, redirectUri });
+
+    let claims = {};
+    if (provider.issuer) {
+      if (!tokens.id_token) {
+        throw new Error('Provider did not return an ID token');
+      }
+      claims = await this.verifyIdToken(provider, metadata, tokens.id_token, nonce);
+    }
+
+    // Userinfo fills in profile details the ID token does not carry
+    let userinfo = {};
+    if (metadata.userinfo_endpoint && tokens.access_token && (!provider.issuer || !claims.email)) {
+      userinfo = await this.fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+
+      if (claims.sub && userinfo.sub && userinfo.sub !== claims.sub) {
+        throw new Error('Userinfo subject does not match ID token');
+      }
+    }
+
+    const profile = { ...userinfo, ...claims };
+    const subject = profile.sub || (profile.id !== undefined ? String(profile.id) : null);
+
+    if (!subject) {
+      throw new Error('Provider did not return a subject identifier');
+    }
+
+    let email = profile.email || null;
+    let emailVerified = profile.email_verified === true || profile.email_verified === 'true' || provider.trustEmail;
+
+    if (provider.emailsUrl && tokens.access_token) {
+      const verifiedEmail = await this.fetchVerifiedEmail(provider, tokens.access_token);
+      email = verifiedEmail || email;
+      emailVerified = !!verifiedEmail;
+    }
+
+    const fallbackName = this.splitName(profile.name || profile.login);
+
+    return {
+      subject,
+      email: email ? email.toLowerCase().trim() : null,
+      emailVerified: !!(email && emailVerified),
+      firstName: profile.given_name || fallbackName.firstName,
+      lastName: profile.family_name || fallbackName.lastName,
+      avatar: profile.picture || profile.avatar_url || null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OidcClient();
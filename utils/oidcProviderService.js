@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuthClient = require('../models/OAuthClient');
+const signingKeys = require('../config/signingKeys');
+const subdomainAccessService = require('./subdomainAccessService');
+
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email', 'entitlements'];
+
+class OidcProviderService {
+  constructor() {
+    this.issuer = (process.env.OIDC_ISSUER ||
+      process.env.API_URL ||
+      `http://localhost:${process.env.PORT || 8000}`).replace(/\/$/, '');
+    // Frontend page where the user signs in and approves the request
+    this.consentUrl = process.env.OIDC_CONSENT_URL ||
+      `${process.env.FRONTEND_URL || 'http://localhost:5173'}/oauth/consent`;
+    this.accessTokenTtl = parseInt(process.env.OIDC_ACCESS_TOKEN_TTL) || 3600; // 1 hour
+    this.idTokenTtl = parseInt(process.env.OIDC_ID_TOKEN_TTL) || 3600; // 1 hour
+    this.logoutTokenTtl = 120; // 2 minutes
+    this.supportedScopes = SUPPORTED_SCOPES;
+  }
+
+  // ID tokens must be verifiable from the JWKS, so an asymmetric keyset is required
+  isEnabled() {
+    return !!signingKeys.getSigningKey();
+  }
+
+  hashValue(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  generateRandomValue(length = 32) {
+    return crypto.randomBytes(length).toString('base64url');
+  }
+
+  generateClientCredentials(clientType) {
+    const clientSecret = clientType === 'public' ? null : this.generateRandomValue(32);
+
+    return {
+      clientId: `client_${crypto.randomBytes(12).toString('hex')}`,
+      clientSecret,
+      clientSecretHash: clientSecret ? this.hashValue(clientSecret) : null
+    };
+  }
+
+  verifyClientSecret(client, clientSecret) {
+    if (!client.clientSecretHash || typeof clientSecret !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(client.clientSecretHash, 'hex');
+    const actual = Buffer.from(this.hashValue(clientSecret), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Client credentials from HTTP Basic (client_secret_basic) or the body (client_secret_post)
+  getClientCredentials(req) {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('Basic ')) {
+      const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator === -1) {
+        return { clientId: null, clientSecret: null };
+      }
+
+      try {
+        return {
+          clientId: decodeURIComponent(decoded.substring(0, separator)),
+          clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+        };
+      } catch (error) {
+        // Malformed percent-encoding
+        return { clientId: null, clientSecret: null };
+      }
+    }
+
+    return {
+      clientId: req.body.client_id || null,
+      clientSecret: req.body.client_secret || null
+    };
+  }
+
+  // Authenticated client for the request, or null. Public clients identify
+  // themselves with client_id only and may not send a secret.
+  async authenticateClient(req) {
+    const { clientId, clientSecret } = this.getClientCredentials(req);
+    const client = clientId ? await OAuthClient.findActiveClient(clientId) : null;
+
+    if (!client) {
+      return null;
+    }
+
+    const authenticated = client.clientType === 'public'
+      ? !clientSecret
+      : this.verifyClientSecret(client, clientSecret);
+
+    return authenticated ? client : null;
+  }
+
+  // Requested scopes limited to what the client may ask for
+  parseScopes(scope, client) {
+    const requested = typeof scope === 'string' ? scope.split(' ').filter(Boolean) : [];
+
+    return [...new Set(requested)].filter(value =>
+      this.supportedScopes.includes(value) && client.allowedScopes.includes(value)
+    );
+  }
+
+  // Redirect URIs must be HTTPS, except loopback addresses for development
+  isValidRedirectUri(uri) {
+    try {
+      const url = new URL(uri);
+      const isLoopback = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+
+      return !url.hash && (url.protocol === 'https:' || (url.protocol === 'http:' && isLoopback));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  verifyPkce(codeVerifier, codeChallenge) {
+    if (typeof codeVerifier !== 'string' || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    const actual = Buffer.from(String(codeChallenge));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  buildRedirectUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    return url.toString();
+  }
+
+  buildConsentUrl(requestId) {
+    return this.buildRedirectUrl(this.consentUrl, { request: requestId });
+  }
+
+  signToken(payload, expiresIn) {
+    const signingKey = signingKeys.getSigningKey();
+
+    return jwt.sign(payload, signingKey.privateKey, {
+      algorithm: signingKey.alg,
+      keyid: signingKey.kid,
+      jwtid: crypto.randomUUID(),
+      issuer: this.issuer,
+      expiresIn
+    });
+  }
+
+  // Claims released for the granted scopes
+  async buildUserClaims(user, scopes, client) {
+    const claims = { sub: user._id.toString() };
+
+    if (scopes.includes('profile')) {
+      claims.name = `${user.firstName} ${user.lastName}`.trim();
+      claims.given_name = user.firstName;
+      claims.family_name = user.lastName;
+      if (user.username) claims.preferred_username = user.username;
+      if (user.avatar) claims.picture = user.avatar;
+    }
+
+    if (scopes.includes('email')) {
+      claims.email = user.email;
+      claims.email_verified = !!user.emailVerified;
+    }
+
+    if (scopes.includes('entitlements')) {
+      const access = await subdomainAccessService.evaluateAccess(user, client.subdomainId);
+
+      claims.role = user.role;
+      claims.entitlements = await subdomainAccessService.getEntitlements(user);
+      claims.subdomain_access = {
+        subdomain: client.subdomainId,
+        granted: access.hasAccess,
+        accessMethod: access.accessMethod
+      };
+    }
+
+    return claims;
+  }
+
+  // Tokens returned from the token endpoint for a redeemed authorization
+  async issueTokens(user, client, authorization) {
+    const claims = await this.buildUserClaims(user, authorization.scopes, client);
+
+    const idToken = this.signToken({
+      ...claims,
+      aud: client.clientId,
+      azp: client.clientId,
+      auth_time: Math.floor(authorization.authTime.getTime() / 1000),
+      nonce: authorization.nonce || undefined
+    }, this.idTokenTtl);
+
+    // Access tokens are only accepted by /userinfo, never by the main API
+    const accessToken = this.signToken({
+      sub: user._id.toString(),
+      aud: this.issuer,
+      client_id: client.clientId,
+      scope: authorization.scopes.join(' '),
+      token_use: 'oidc_access'
+    }, this.accessTokenTtl);
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.accessTokenTtl,
+      id_token: idToken,
+      scope: authorization.scopes.join(' ')
+    };
+  }
+
+  // Logout token for OIDC Back-Channel Logout: identifies the user, never
+  // carries a nonce, and is only valid for a couple of minutes
+  buildLogoutToken(userId, client) {
+    return this.signToken({
+      sub: userId.toString(),
+      aud: client.clientId,
+      events: {
+        'http://schemas.openid.net/event/backchannel-logout': {}
+      }
+    }, this.logoutTokenTtl);
+  }
+
+  verifyAccessToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && decoded.header.kid ? signingKeys.getVerificationKey(decoded.header.kid) : null;
+
+    if (!key) {
+      throw new Error('Invalid access token');
+    }
+
+    const payload = jwt.verify(token, key.publicKey, {
+      algorithms: [key.alg],
+      issuer: this.issuer,
+      audience: this.issuer
+    });
+
+    if (payload.token_use !== 'oidc_access') {
+      throw new Error('Invalid access token');
+    }
+
+    return payload;
+  }
+
+  getDiscoveryDocument() {
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/api/oauth/authorize`,
+      token_endpoint: `${this.issuer}/api/oauth/token`,
+      userinfo_endpoint: `${this.issuer}/api/oauth/userinfo`,
+      jwks_uri: `${this.issuer}/.well-known/jwks.json`,
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [...new Set(signingKeys.keys.map(key => key.alg))],
+      scopes_supported: this.supportedScopes,
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      prompt_values_supported: ['none', 'consent'],
+      backchannel_logout_supported: true,
+      backchannel_logout_session_supported: false,
+      frontchannel_logout_supported: true,
+      frontchannel_logout_session_supported: false,
+      claims_supported: [
+        'sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'azp',
+        'name', 'given_name', 'family_name', 'preferred_username', 'picture',
+        'email', 'email_verified', 'role', 'entitlements', 'subdomain_access'
+      ]
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OidcProviderService();
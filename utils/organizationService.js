@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+
+/**
+ * Organizations (customer companies) and their members
+ *
+ * Any verified user can create an organization and becomes its owner. New
+ * organizations get ORGANIZATION_DEFAULT_SEATS seats; global admins change
+ * seat counts and grant subdomain access to whole organizations.
+ */
+class OrganizationService {
+  constructor() {
+    this.roles = ['owner', 'admin', 'member'];
+    // Roles that can manage members and invitations
+    this.managerRoles = ['owner', 'admin'];
+    this.defaultSeats = parseInt(process.env.ORGANIZATION_DEFAULT_SEATS) || 5;
+    this.invitationExpiryDays = parseInt(process.env.ORGANIZATION_INVITATION_EXPIRY_DAYS) || 7;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: this.hashToken(token) };
+  }
+
+  // URL-safe slug from the organization name, made unique with a suffix
+  async generateSlug(name) {
+    const base = name
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 50) || 'org';
+    const slug = base.length < 2 ? `${base}-org` : base;
+
+    if (!(await Organization.exists({ slug }))) {
+      return slug;
+    }
+
+    return `${slug}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  isManager(membership) {
+    return !!membership && this.managerRoles.includes(membership.role);
+  }
+
+  async getSeatUsage(organization) {
+    const pendingInvitations = await OrganizationInvitation.countPending(organization._id);
+    const used = organization.members.length + pendingInvitations;
+
+    return {
+      seats: organization.seats,
+      members: organization.members.length,
+      pendingInvitations,
+      available: Math.max(organization.seats - used, 0)
+    };
+  }
+
+  // Organizations that would be left without an owner if the user left
+  findOwnedWithOtherMembers(userId) {
+    return Organization.find({
+      members: { $elemMatch: { userId, role: 'owner' } },
+      'members.1': { $exists: true }
+    });
+  }
+
+  // Remove a user from every organization (account deletion). Organizations
+  // they are the only member of are deleted with their invitations
+  async removeUser(userId) {
+    const soleMemberOrganizations = await Organization.find({
+      'members.userId': userId,
+      'members.1': { $exists: false }
+    }).select('_id');
+    const soleIds = soleMemberOrganizations.map(organization => organization._id);
+
+    await Promise.all([
+      Organization.deleteMany({ _id: { $in: soleIds } }),
+      OrganizationInvitation.deleteMany({ organizationId: { $in: soleIds } }),
+      Organization.updateMany({ 'members.userId': userId }, { $pull: { members: { userId } } })
+    ]);
+  }
+}
+
+// Export singleton instance
+module.exports = new OrganizationService();
@@ -0,0 +1,109 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+
+class PasskeyService {
+  constructor() {
+    this.rpName = process.env.WEBAUTHN_RP_NAME || 'Equus Website';
+    this.rpID = process.env.WEBAUTHN_RP_ID || 'localhost';
+    this.origins = process.env.WEBAUTHN_ORIGINS
+      ? process.env.WEBAUTHN_ORIGINS.split(',').map(o => o.trim())
+      : [process.env.FRONTEND_URL || 'http://localhost:5173'];
+    this.challengeTtl = 5 * 60 * 1000; // 5 minutes
+  }
+
+  // Public keys are stored as base64url strings
+  encodePublicKey(publicKey) {
+    return Buffer.from(publicKey).toString('base64url');
+  }
+
+  decodePublicKey(encodedPublicKey) {
+    return new Uint8Array(Buffer.from(encodedPublicKey, 'base64url'));
+  }
+
+  toCredentialDescriptor(passkey) {
+    return {
+      id: passkey.credentialId,
+      transports: passkey.transports && passkey.transports.length ? passkey.transports : undefined
+    };
+  }
+
+  // Registration ceremony: options for navigator.credentials.create()
+  async createRegistrationOptions(user, existingPasskeys = []) {
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userName: user.email,
+      userID: new Uint8Array(Buffer.from(user._id.toString())),
+      userDisplayName: `${user.firstName} ${user.lastName}`,
+      attestationType: 'none',
+      timeout: this.challengeTtl,
+      excludeCredentials: existingPasskeys.map(passkey => this.toCredentialDescriptor(passkey)),
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'preferred'
+      }
+    });
+
+    await WebAuthnChallenge.createChallenge(options.challenge, 'registration', user._id, this.challengeTtl);
+
+    return options;
+  }
+
+  // Verify an attestation response; the stored challenge is consumed on use
+  async verifyRegistration(user, response) {
+    return verifyRegistrationResponse({
+      response,
+      expectedChallenge: async (challenge) => {
+        const stored = await WebAuthnChallenge.consumeChallenge(challenge, 'registration');
+        return !!stored && !!stored.userId && stored.userId.toString() === user._id.toString();
+      },
+      expectedOrigin: this.origins,
+      expectedRPID: this.rpID,
+      requireUserVerification: false
+    });
+  }
+
+  // Authentication ceremony: options for navigator.credentials.get().
+  // Without passkeys the browser offers any discoverable credential for this RP.
+  // Passkeys are registered as discoverable credentials, so no
+  // allowCredentials list is needed
+  async createAuthenticationOptions() {
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpID,
+      timeout: this.challengeTtl,
+      allowCredentials: [],
+      userVerification: 'required'
+    });
+
+    await WebAuthnChallenge.createChallenge(options.challenge, 'authentication', null, this.challengeTtl);
+
+    return options;
+  }
+
+  // Verify an assertion response against a stored passkey
+  async verifyAuthentication(passkey, response) {
+    return verifyAuthenticationResponse({
+      response,
+      expectedChallenge: async (challenge) => {
+        return !!(await WebAuthnChallenge.consumeChallenge(challenge, 'authentication'));
+      },
+      expectedOrigin: this.origins,
+      expectedRPID: this.rpID,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: this.decodePublicKey(passkey.publicKey),
+        counter: passkey.counter,
+        transports: passkey.transports
+      },
+      requireUserVerification: true
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new PasskeyService();
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const User = require('../models/User');
+const authService = require('./authService');
+const passwordPolicyConfig = require('../config/passwordPolicyConfig');
+
+/**
+ * Password policy enforcement: composition rules, reuse of recent
+ * passwords, breached passwords and password expiry
+ * (see config/passwordPolicyConfig.js)
+ */
+class PasswordPolicyService {
+  getPolicy(role) {
+    return passwordPolicyConfig.getPolicy(role);
+  }
+
+  // Rules a client can show before the password is submitted
+  describePolicy(role) {
+    const { minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, historySize, maxAgeDays } = this.getPolicy(role);
+
+    return {
+      minLength,
+      requireUppercase,
+      requireLowercase,
+      requireNumber,
+      requireSymbol,
+      historySize,
+      maxAgeDays,
+      checkBreached: this.isBreachCheckEnabled(role)
+    };
+  }
+
+  checkComposition(password, policy) {
+    const violations = [];
+
+    if (password.length < policy.minLength) {
+      violations.push({ code: 'min_length', requirement: `at least ${policy.minLength} characters` });
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      violations.push({ code: 'uppercase', requirement: 'one uppercase letter' });
+    }
+
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      violations.push({ code: 'lowercase', requirement: 'one lowercase letter' });
+    }
+
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+      violations.push({ code: 'number', requirement: 'one number' });
+    }
+
+    if (policy.requireSymbol && !/[^A-Za-z0-9\s]/.test(password)) {
+      violations.push({ code: 'symbol', requirement: 'one special character' });
+    }
+
+    return violations.map(violation => ({
+      ...violation,
+      message: `Password must contain ${violation.requirement}`
+    }));
+  }
+
+  isBreachCheckEnabled(role) {
+    return !!passwordPolicyConfig.breachDir && this.getPolicy(role).checkBreached;
+  }
+
+  // Range file for a 5-character hash prefix, as written by the Pwned
+  // Passwords downloader: <dir>/<PREFIX>.txt with SUFFIX:COUNT lines
+  getRangeFile(prefix) {
+    return path.join(passwordPolicyConfig.breachDir, `${prefix}.txt`);
+  }
+
+  // Times the password appears in the breach list (0 if not found). Only the
+  // range file for the hash prefix is read, so the list is never held in memory
+  async getBreachCount(password) {
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    const suffix = hash.slice(5);
+
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.getRangeFile(hash.slice(0, 5)), 'utf8');
+    } catch (error) {
+      // No range file means no breached hashes with this prefix
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    for (const line of contents.split('\n')) {
+      const [lineSuffix, count] = line.trim().split(':');
+      if (lineSuffix && lineSuffix.toUpperCase() === suffix) {
+        const occurrences = count ? parseInt(count) || 1 : 1;
+        return occurrences >= passwordPolicyConfig.breachMinCount ? occurrences : 0;
+      }
+    }
+
+    return 0;
+  }
+
+  // Whether the password matches the current one or one in the user's history
+  async isReused(password, user, policy) {
+    if (!user || policy.historySize < 1) {
+      return false;
+    }
+
+    const hashes = [user.password, ...(user.passwordHistory || []).slice(-policy.historySize)]
+      .filter((hash, i, all) => hash && all.indexOf(hash) === i);
+
+    const matches = await Promise.all(hashes.map(hash => authService.comparePassword(password, hash)));
+    return matches.includes(true);
+  }
+
+  /**
+   * Check a new password against the policy for `role`. Pass the existing
+   * `user` on reset and change so recent passwords can be rejected.
+   */
+  async validate(password, { role = 'user', user = null } = {}) {
+    if (!password || typeof password !== 'string') {
+      return {
+        isValid: false,
+        message: 'Password is required',
+        violations: [{ code: 'required', message: 'Password is required' }]
+      };
+    }
+
+    const policy = this.getPolicy(role);
+    const composition = this.checkComposition(password, policy);
+    const violations = [...composition];
+
+    if (await this.isReused(password, user, policy)) {
+      violations.push({
+        code: 'reused',
+        message: `Password must not match any of your last ${policy.historySize} passwords`
+      });
+    }
+
+    if (this.isBreachCheckEnabled(role)) {
+      try {
+        const occurrences = await this.getBreachCount(password);
+        if (occurrences > 0) {
+          violations.push({
+            code: 'breached',
+            message: 'Password has appeared in a data breach and cannot be used',
+            occurrences
+          });
+        }
+      } catch (error) {
+        // An unreadable list should not block every password change
+        console.error('Breached password check failed:', error.message);
+      }
+    }
+
+    // One sentence for all composition rules, then one per other violation
+    const messages = violations.slice(composition.length).map(v => v.message);
+    if (composition.length > 0) {
+      messages.unshift(`Password must contain ${composition.map(v => v.requirement).join(', ')}`);
+    }
+
+    return {
+      isValid: violations.length === 0,
+      message: violations.length === 0 ? 'Password is strong' : messages.join('. '),
+      violations,
+      strength: authService.calculatePasswordStrength(password)
+    };
+  }
+
+  // Update that stores a new password hash and adds it to the history
+  buildPasswordUpdate(hashedPassword, role = 'user') {
+    const { historySize } = this.getPolicy(role);
+
+    return {
+      $set: {
+        password: hashedPassword,
+        passwordChangedAt: new Date()
+      },
+      $push: {
+        passwordHistory: { $each: [hashedPassword], $slice: -Math.max(historySize, 0) }
+      }
+    };
+  }
+
+  // When the user's password expires under their role's policy, or null.
+  // Accounts without passwordChangedAt never expire; see backfillPasswordChangedAt
+  getPasswordExpiry(user) {
+    const { maxAgeDays } = this.getPolicy(user.role);
+
+    if (!maxAgeDays || !user.passwordChangedAt) {
+      return null;
+    }
+
+    return new Date(new Date(user.passwordChangedAt).getTime() + maxAgeDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Start the expiry clock for accounts created before passwords were tracked,
+  // so they get a full grace period instead of expiring on deploy
+  async backfillPasswordChangedAt() {
+    const result = await User.updateMany(
+      { passwordChangedAt: null },
+      { $set: { passwordChangedAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  isPasswordExpired(user) {
+    const expiresAt = this.getPasswordExpiry(user);
+    return !!expiresAt && expiresAt <= new Date();
+  }
+}
+
+// Export singleton instance
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,37 @@
+/**
+ * Catalog of permission keys
+ *
+ * Each router declares the permissions its routes check, so admins can see
+ * every assignable key (GET /api/roles/permissions) and roles, users,
+ * invitations and API keys can only be given keys that exist.
+ */
+class PermissionCatalog {
+  constructor() {
+    this.permissions = new Map();
+  }
+
+  // Register `{ key: description }` for a group (usually the router's resource)
+  declare(group, permissions) {
+    for (const [key, description] of Object.entries(permissions)) {
+      this.permissions.set(key, { key, group, description });
+    }
+  }
+
+  has(key) {
+    return this.permissions.has(key);
+  }
+
+  list() {
+    return [...this.permissions.values()].sort((a, b) =>
+      a.group.localeCompare(b.group) || a.key.localeCompare(b.key)
+    );
+  }
+
+  // Keys that are not in the catalog
+  findUnknown(keys) {
+    return keys.filter(key => !this.has(key));
+  }
+}
+
+// Export singleton instance
+module.exports = new PermissionCatalog();
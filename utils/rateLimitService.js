@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const rateLimitConfig = require('../config/rateLimitConfig');
+
+/**
+ * Sliding window rate limiting backed by MongoDB, so limits hold across
+ * every API instance.
+ *
+ * Requests are counted in fixed windows; the sliding count is the current
+ * window plus the previous window weighted by how much of it still overlaps
+ * the last `windowMs`.
+ */
+class RateLimitService {
+  // Limiting is skipped (fails open) while the database is unavailable
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  buildKey(policyName, dimension, identifier) {
+    return `${policyName}:${dimension}:${identifier}`;
+  }
+
+  getWindowStart(now, windowMs) {
+    return Math.floor(now / windowMs) * windowMs;
+  }
+
+  // Sliding count, remaining allowance and time until a request is allowed
+  evaluate(policy, dimension, currentCount, previousCount, now) {
+    const { windowMs } = policy;
+    const limit = policy[dimension];
+    const windowStart = this.getWindowStart(now, windowMs);
+    const elapsed = (now - windowStart) / windowMs;
+    const count = currentCount + previousCount * (1 - elapsed);
+
+    let retryAfterMs = 0;
+    if (count > limit) {
+      if (currentCount >= limit) {
+        // Wait for the next window and for this window's weight to fall off
+        retryAfterMs = (windowStart + windowMs - now) + windowMs * Math.max(0, 1 - limit / currentCount);
+      } else {
+        const allowedAt = windowStart + windowMs * (1 - (limit - currentCount) / previousCount);
+        retryAfterMs = Math.max(0, allowedAt - now);
+      }
+    }
+
+    return {
+      limit,
+      count: Math.ceil(count),
+      remaining: Math.max(0, Math.floor(limit - count)),
+      allowed: count <= limit,
+      resetMs: windowStart + windowMs - now,
+      retryAfterSeconds: Math.ceil(retryAfterMs / 1000)
+    };
+  }
+
+  // Count a request against one key and return the result
+  async hit(policy, dimension, identifier) {
+    const now = Date.now();
+    const key = this.buildKey(policy.name, dimension, identifier);
+    const windowStart = this.getWindowStart(now, policy.windowMs);
+    const fields = { policy: policy.name, dimension, identifier };
+    const expiresAt = new Date(windowStart + 2 * policy.windowMs);
+
+    let current;
+    try {
+      current = await RateLimitBucket.increment(key, fields, new Date(windowStart), expiresAt);
+    } catch (error) {
+      // Concurrent first hits can race on the upsert; the bucket exists now
+      if (error.code !== 11000) throw error;
+      current = await RateLimitBucket.increment(key, fields, new Date(windowStart), expiresAt);
+    }
+
+    const previous = await RateLimitBucket.findWindow(key, new Date(windowStart - policy.windowMs));
+
+    return {
+      key,
+      ...this.evaluate(policy, dimension, current.count, previous ? previous.count : 0, now)
+    };
+  }
+
+  // Current result for a key without counting a request
+  async peek(policy, dimension, identifier) {
+    const now = Date.now();
+    const key = this.buildKey(policy.name, dimension, identifier);
+    const windowStart = this.getWindowStart(now, policy.windowMs);
+
+    const [current, previous] = await Promise.all([
+      RateLimitBucket.findWindow(key, new Date(windowStart)),
+      RateLimitBucket.findWindow(key, new Date(windowStart - policy.windowMs))
+    ]);
+
+    return {
+      key,
+      ...this.evaluate(policy, dimension, current ? current.count : 0, previous ? previous.count : 0, now)
+    };
+  }
+
+  // Keys currently counting towards a limit; blocked ones only by default
+  async listKeys({ policyName = null, includeAllowed = false } = {}) {
+    const now = Date.now();
+    const policies = Object.values(rateLimitConfig.policies);
+    const longestWindow = Math.max(...policies.map(policy => policy.windowMs));
+
+    const filter = policyName ? { policy: policyName } : {};
+    const buckets = await RateLimitBucket.findRecent(new Date(now - 2 * longestWindow), filter);
+
+    const byKey = new Map();
+    for (const bucket of buckets) {
+      if (!byKey.has(bucket.key)) byKey.set(bucket.key, []);
+      byKey.get(bucket.key).push(bucket);
+    }
+
+    const results = [];
+    for (const [key, keyBuckets] of byKey) {
+      const { policy: name, dimension, identifier } = keyBuckets[0];
+      const policy = rateLimitConfig.getPolicy(name);
+      if (!policy || !policy[dimension]) continue;
+
+      const windowStart = this.getWindowStart(now, policy.windowMs);
+      const countAt = (start) => {
+        const bucket = keyBuckets.find(b => b.windowStart.getTime() === start);
+        return bucket ? bucket.count : 0;
+      };
+
+      const result = this.evaluate(policy, dimension, countAt(windowStart), countAt(windowStart - policy.windowMs), now);
+      if (result.count === 0 || (!includeAllowed && result.allowed)) continue;
+
+      results.push({
+        key,
+        policy: name,
+        dimension,
+        identifier,
+        count: result.count,
+        limit: result.limit,
+        blocked: !result.allowed,
+        retryAfter: result.retryAfterSeconds
+      });
+    }
+
+    return results.sort((a, b) => b.count / b.limit - a.count / a.limit);
+  }
+
+  async resetKey(key) {
+    const result = await RateLimitBucket.resetKey(key);
+    return result.deletedCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new RateLimitService();
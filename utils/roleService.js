@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+
+// Built-in roles, created on startup and used while the database is unavailable
+const SYSTEM_ROLES = [
+  {
+    name: 'user',
+    displayName: 'User',
+    description: 'Default role for new accounts',
+    level: 1,
+    permissions: []
+  },
+  {
+    name: 'admin',
+    displayName: 'Administrator',
+    description: 'Full access, including every permission',
+    level: 100,
+    permissions: []
+  }
+];
+
+/**
+ * Roles and permissions stored in the Role collection
+ *
+ * Roles are cached for a minute per instance; changes made through the role
+ * admin endpoints clear this instance's cache immediately.
+ */
+class RoleService {
+  constructor() {
+    this.defaultRole = 'user';
+    this.adminRole = 'admin';
+    this.systemRoleNames = SYSTEM_ROLES.map(role => role.name);
+    this.cacheTtl = 60 * 1000;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  async ensureSystemRoles() {
+    await Role.ensureSystemRoles(SYSTEM_ROLES);
+    this.clearCache();
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  // Roles by name
+  async getRoles() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheTtl) {
+      return this.cache;
+    }
+
+    const roles = new Map(SYSTEM_ROLES.map(role => [role.name, { ...role, isSystem: true }]));
+
+    if (mongoose.connection.readyState !== 1) {
+      return roles;
+    }
+
+    for (const role of await Role.find().lean()) {
+      roles.set(role.name, role);
+    }
+
+    this.cache = roles;
+    this.cachedAt = Date.now();
+    return roles;
+  }
+
+  async getRole(name) {
+    const roles = await this.getRoles();
+    return roles.get(name) || null;
+  }
+
+  async roleExists(name) {
+    return !!(await this.getRole(name));
+  }
+
+  // Position in the hierarchy; unknown roles rank below every role
+  async getLevel(name) {
+    const role = await this.getRole(name);
+    return role ? role.level : 0;
+  }
+
+  isAdminRole(name) {
+    return name === this.adminRole;
+  }
+
+  // Administrator rights: the admin role and any role ranked at or above it
+  async hasAdminLevel(name) {
+    if (this.isAdminRole(name)) {
+      return true;
+    }
+
+    const [level, adminLevel] = await Promise.all([this.getLevel(name), this.getLevel(this.adminRole)]);
+    return level >= adminLevel;
+  }
+
+  // Names of the roles with administrator rights (for user queries)
+  async getAdminRoleNames() {
+    const roles = await this.getRoles();
+    const adminLevel = await this.getLevel(this.adminRole);
+
+    return [...roles.values()]
+      .filter(role => this.isAdminRole(role.name) || role.level >= adminLevel)
+      .map(role => role.name);
+  }
+
+  // Permissions from the user's role plus those assigned to them directly
+  async getUserPermissions(user) {
+    const role = await this.getRole(user.role);
+
+    return [...new Set([...(role ? role.permissions : []), ...(user.permissions || [])])];
+  }
+
+  // Administrators hold every permission
+  async hasPermission(user, permission) {
+    if (await this.hasAdminLevel(user.role)) {
+      return true;
+    }
+
+    return (await this.getUserPermissions(user)).includes(permission);
+  }
+}
+
+// Export singleton instance
+module.exports = new RoleService();
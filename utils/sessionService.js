@@ -0,0 +1,536 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Token = require('../models/Token');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const authService = require('./authService');
+const csrfService = require('./csrfService');
+const loginRiskService = require('./loginRiskService');
+const passwordPolicyService = require('./passwordPolicyService');
+const emailService = require('./emailService');
+const emailTemplates = require('./emailTemplates');
+const sessionPolicyConfig = require('../config/sessionPolicyConfig');
+
+// Responses for sessions ended by config/sessionPolicyConfig.js; `code` lets
+// the frontend tell a timeout apart from other refresh failures
+const SESSION_TIMEOUTS = {
+  idle_timeout: {
+    reason: 'idle_timeout',
+    code: 'SESSION_IDLE_TIMEOUT',
+    message: 'You were signed out after a period of inactivity. Please sign in again.'
+  },
+  absolute_timeout: {
+    reason: 'absolute_timeout',
+    code: 'SESSION_ABSOLUTE_TIMEOUT',
+    message: 'Your session has reached its maximum length. Please sign in again.'
+  }
+};
+
+class SessionService {
+  constructor() {
+    this.accessCookieMaxAge = 24 * 60 * 60 * 1000; // 24 hours
+    this.rememberMeCookieMaxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.refreshCookieMaxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.elevatedTokenTtl = parseInt(process.env.ELEVATED_TOKEN_TTL_SECONDS) || 600; // 10 minutes
+
+    const reuseGraceSeconds = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS);
+    this.refreshReuseGracePeriod = (Number.isNaN(reuseGraceSeconds) ? 10 : reuseGraceSeconds) * 1000;
+  }
+
+  // Cookie options shared by the auth and refresh cookies
+  getCookieOptions(maxAge) {
+    return {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+      maxAge,
+      // Enable subdomain sharing in production
+      domain: process.env.NODE_ENV === 'production' ? '.equussystems.co' : undefined
+    };
+  }
+
+  // Set secure HTTP-only cookies for subdomain access
+  setAuthCookies(res, token, refreshToken, maxAge = this.accessCookieMaxAge, csrfToken = null) {
+    res.cookie('auth_token', token, this.getCookieOptions(maxAge));
+    res.cookie('refresh_token', refreshToken, this.getCookieOptions(this.refreshCookieMaxAge));
+
+    if (csrfToken) {
+      this.setCsrfCookie(res, csrfToken, maxAge);
+    }
+  }
+
+  // The CSRF cookie must be readable by the frontend so it can echo it back
+  setCsrfCookie(res, csrfToken, maxAge = this.accessCookieMaxAge) {
+    res.cookie(csrfService.cookieName, csrfToken, { ...this.getCookieOptions(maxAge), httpOnly: false });
+  }
+
+  clearAuthCookies(res) {
+    const { maxAge, ...cookieClearOptions } = this.getCookieOptions();
+
+    res.clearCookie('auth_token', cookieClearOptions);
+    res.clearCookie('refresh_token', cookieClearOptions);
+    res.clearCookie(csrfService.cookieName, { ...cookieClearOptions, httpOnly: false });
+  }
+
+  // Tokens the subdomain apps read (see middleware/subdomainAuth.js)
+  clearSubdomainCookies(res) {
+    const { maxAge, httpOnly, ...cookieClearOptions } = this.getCookieOptions();
+
+    for (const name of ['equus_subdomain_auth', 'equus_auth_token']) {
+      res.clearCookie(name, cookieClearOptions);
+
+      // Also clear copies set without a domain on this host
+      if (cookieClearOptions.domain) {
+        res.clearCookie(name, { ...cookieClearOptions, domain: undefined });
+      }
+    }
+  }
+
+  // Drop only the access token and its CSRF cookie; the refresh cookie stays
+  // so the browser can return to its own session
+  clearAccessCookies(res) {
+    const { maxAge, ...cookieClearOptions } = this.getCookieOptions();
+
+    res.clearCookie('auth_token', cookieClearOptions);
+    res.clearCookie(csrfService.cookieName, { ...cookieClearOptions, httpOnly: false });
+  }
+
+  // Reason a user may not sign in (lockout, inactive account, expired
+  // password), or null if allowed
+  getLoginBlockReason(user) {
+    if (user.isLocked) {
+      return {
+        status: 423,
+        error: 'Account Locked',
+        message: 'Account is temporarily locked due to too many failed login attempts'
+      };
+    }
+
+    if (!user.isActive || user.accountStatus !== 'active') {
+      return {
+        status: 401,
+        error: 'Account Inactive',
+        message: 'Account is inactive or suspended'
+      };
+    }
+
+    if (user.passwordResetRequired) {
+      return {
+        status: 403,
+        error: 'Password Reset Required',
+        message: 'A password reset is required before signing in. Check your email for a reset link.'
+      };
+    }
+
+    if (passwordPolicyService.isPasswordExpired(user)) {
+      return {
+        status: 403,
+        error: 'Password Expired',
+        message: 'Your password has expired. Reset it to sign in again.'
+      };
+    }
+
+    return null;
+  }
+
+  // Issue a short-lived challenge that must be completed with a second factor
+  // (POST /api/auth/signin/2fa) before any tokens are issued
+  async createTwoFactorChallenge(req, user) {
+    const challengeToken = authService.generateSecureToken();
+
+    // Only the latest challenge is valid
+    await Token.revokeUserTokens(user._id, 'two_factor_challenge');
+    await Token.createToken(
+      user._id,
+      challengeToken,
+      'two_factor_challenge',
+      Token.getExpirationTime('two_factor_challenge'),
+      authService.getClientIpAddress(req),
+      req.get('User-Agent')
+    );
+
+    return challengeToken;
+  }
+
+  // Complete a successful login: reset lockout counters, record the login,
+  // then issue a new session
+  async startSession(req, res, user, options = {}) {
+    // Reset login attempts on successful login
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    // Update last login
+    await user.updateLastLogin(authService.getClientIpAddress(req));
+
+    // Compare with the user's login history; alerts on new devices or
+    // impossible travel
+    await loginRiskService.checkLogin(req, user, this.parseUserAgent(req.get('User-Agent')));
+
+    return this.issueSession(req, res, user, options);
+  }
+
+  // Count a failed login attempt; the attempt that locks the account
+  // emails the user
+  async recordFailedLogin(req, user) {
+    const locked = await user.incrementLoginAttempts();
+    if (!locked) {
+      return false;
+    }
+
+    const ipAddress = authService.getClientIpAddress(req);
+    const lockDuration = Math.ceil((user.lockUntil.getTime() - Date.now()) / (60 * 1000));
+
+    console.warn(`⚠️ Account locked after failed login attempts: ${user.email}`);
+
+    await SecurityEvent.logEvent(user._id, 'account_locked', {
+      ipAddress,
+      userAgent: req.get('User-Agent'),
+      details: { lockUntil: user.lockUntil }
+    });
+
+    try {
+      const emailTemplate = emailTemplates.accountLockedTemplate(user, lockDuration);
+      await emailService.sendEmail({
+        to: user.email,
+        subject: emailTemplate.subject,
+        html: emailTemplate.html
+      });
+    } catch (emailError) {
+      console.error('Account locked email send failed:', emailError.message);
+    }
+
+    return true;
+  }
+
+  // Issue an access/refresh token pair for a new session (one per device)
+  // and set the auth cookies
+  async issueSession(req, res, user, options = {}) {
+    const { rememberMe = false } = options;
+    const sessionId = crypto.randomUUID();
+    const sessionStartedAt = new Date();
+
+    await Session.start(sessionId, user._id, sessionStartedAt);
+
+    return this.issueTokens(req, res, user, {
+      sessionId,
+      sessionStartedAt,
+      ...this.capAccessTokenLifetime(user, sessionStartedAt, {
+        accessTokenExpiry: rememberMe ? '7d' : '24h',
+        cookieMaxAge: rememberMe ? this.rememberMeCookieMaxAge : this.accessCookieMaxAge,
+        expiresIn: rememberMe ? 604800 : 86400 // 7 days or 24 hours in seconds
+      })
+    });
+  }
+
+  // Replace a stored refresh token with a new pair in the same session;
+  // returns null if the token was rotated concurrently
+  async rotateSession(req, res, user, storedToken) {
+    // Mark old refresh token as used
+    const claimed = await Token.claimForRotation(storedToken._id);
+    if (!claimed) {
+      return null;
+    }
+
+    const sessionStartedAt = storedToken.sessionStartedAt || storedToken.createdAt;
+
+    return this.issueTokens(req, res, user, {
+      // Tokens issued before sessions were tracked become their own session
+      sessionId: this.getSessionId(storedToken),
+      sessionStartedAt,
+      parentToken: storedToken._id,
+      ...this.capAccessTokenLifetime(user, sessionStartedAt, {
+        accessTokenExpiry: authService.jwtExpiresIn,
+        cookieMaxAge: this.accessCookieMaxAge,
+        expiresIn: 86400 // 24 hours in seconds
+      })
+    });
+  }
+
+  getSessionPolicy(role) {
+    return sessionPolicyConfig.getPolicy(role);
+  }
+
+  // Access tokens never outlive the idle timeout or the session's absolute
+  // lifetime, so both are checked when the token is refreshed
+  capAccessTokenLifetime(user, sessionStartedAt, lifetime) {
+    const policy = this.getSessionPolicy(user.role);
+    const remainingMs = sessionStartedAt.getTime() + policy.absoluteTimeoutMs - Date.now();
+    const maxSeconds = Math.max(60, Math.floor(Math.min(policy.idleTimeoutMs, remainingMs) / 1000));
+
+    if (lifetime.expiresIn <= maxSeconds) {
+      return lifetime;
+    }
+
+    return {
+      accessTokenExpiry: maxSeconds,
+      cookieMaxAge: maxSeconds * 1000,
+      expiresIn: maxSeconds
+    };
+  }
+
+  // Why a session may no longer be refreshed under the user's role policy,
+  // or null while it is within both timeouts
+  getSessionTimeout(user, session, now = Date.now()) {
+    const policy = this.getSessionPolicy(user.role);
+
+    if (session.endedAt) {
+      return SESSION_TIMEOUTS[session.endReason] || SESSION_TIMEOUTS.idle_timeout;
+    }
+
+    if (now - session.startedAt.getTime() > policy.absoluteTimeoutMs) {
+      return SESSION_TIMEOUTS.absolute_timeout;
+    }
+
+    if (now - session.lastActivityAt.getTime() > policy.idleTimeoutMs) {
+      return SESSION_TIMEOUTS.idle_timeout;
+    }
+
+    return null;
+  }
+
+  // Enforce the session timeouts before a refresh token is rotated. An
+  // expired session is ended and its refresh tokens revoked; otherwise the
+  // refresh counts as activity.
+  async checkSessionTimeout(user, storedToken) {
+    const sessionId = this.getSessionId(storedToken);
+    const session = await Session.findOne({ sessionId }) ||
+      // Sessions from before session records: last activity is the last refresh
+      await Session.start(sessionId, user._id, storedToken.sessionStartedAt || storedToken.createdAt, storedToken.createdAt);
+
+    const timeout = this.getSessionTimeout(user, session);
+
+    if (timeout) {
+      await Session.end(sessionId, timeout.reason);
+      await this.revokeSession(user._id, sessionId);
+      console.log(`Session ${sessionId} of ${user.email} ended (${timeout.reason})`);
+      return timeout;
+    }
+
+    await this.recordActivity(sessionId);
+    return null;
+  }
+
+  // Note activity on a session (throttled); never fails the request
+  recordActivity(sessionId) {
+    if (!sessionId) {
+      return Promise.resolve();
+    }
+
+    return Session.recordActivity(sessionId).catch(error => {
+      console.error('Session activity update failed:', error.message);
+    });
+  }
+
+  async issueTokens(req, res, user, session) {
+    const { sessionId, sessionStartedAt, parentToken, accessTokenExpiry, cookieMaxAge, expiresIn } = session;
+
+    // Generate tokens; the access token carries the session id (sid) and
+    // when the user signed in (auth_time)
+    const token = authService.generateToken(user._id, accessTokenExpiry, {
+      sid: sessionId,
+      auth_time: Math.floor(sessionStartedAt.getTime() / 1000)
+    });
+    const refreshToken = authService.generateRefreshToken(user._id);
+
+    // Store refresh token
+    await Token.createToken(
+      user._id,
+      refreshToken,
+      'refresh',
+      Token.getExpirationTime('refresh'),
+      authService.getClientIpAddress(req),
+      req.get('User-Agent'),
+      { sessionId, sessionStartedAt, parentToken }
+    );
+
+    // CSRF token for cookie-authenticated requests, bound to the session
+    const csrfToken = csrfService.generateToken(sessionId);
+
+    this.setAuthCookies(res, token, refreshToken, cookieMaxAge, csrfToken);
+
+    return {
+      token,
+      refreshToken,
+      csrfToken,
+      expiresIn
+    };
+  }
+
+  // Short-lived access token for the current session with a fresh auth_time,
+  // issued after the user re-entered a password or 2FA code. Refreshing the
+  // session falls back to the original sign-in time.
+  issueElevatedToken(req, res, user) {
+    const authTime = Math.floor(Date.now() / 1000);
+    const token = authService.generateToken(user._id, this.elevatedTokenTtl, {
+      sid: req.sessionId || undefined,
+      auth_time: authTime
+    });
+
+    res.cookie('auth_token', token, this.getCookieOptions(this.elevatedTokenTtl * 1000));
+
+    return {
+      token,
+      authTime: new Date(authTime * 1000).toISOString(),
+      expiresIn: this.elevatedTokenTtl
+    };
+  }
+
+  getSessionId(storedToken) {
+    return storedToken.sessionId || storedToken._id.toString();
+  }
+
+  // A rotated refresh token presented again means it was copied: revoke the
+  // whole family so neither holder can keep refreshing, and alert the user.
+  // Replays within the grace period are treated as concurrent refreshes
+  // (e.g. several tabs or subdomains) and only rejected.
+  async handleRefreshTokenReuse(req, user, storedToken) {
+    const sinceRotation = Date.now() - storedToken.rotatedAt.getTime();
+    if (sinceRotation < this.refreshReuseGracePeriod) {
+      return false;
+    }
+
+    const sessionId = this.getSessionId(storedToken);
+    const revokedCount = await this.revokeSession(user._id, sessionId);
+    const ipAddress = authService.getClientIpAddress(req);
+
+    console.warn(`⚠️ Refresh token reuse detected for: ${user.email} (session ${sessionId}, ${revokedCount} token(s) revoked)`);
+
+    await SecurityEvent.logEvent(user._id, 'refresh_token_reuse', {
+      ipAddress,
+      userAgent: req.get('User-Agent'),
+      details: {
+        sessionId,
+        tokenId: storedToken._id,
+        rotatedAt: storedToken.rotatedAt,
+        revokedCount
+      }
+    });
+
+    try {
+      const emailTemplate = emailTemplates.securityAlertTemplate(user, {
+        type: 'Reuse of an expired sign-in token detected; the affected session was signed out',
+        date: new Date().toUTCString(),
+        ipAddress
+      });
+      await emailService.sendEmail({
+        to: user.email,
+        subject: emailTemplate.subject,
+        html: emailTemplate.html
+      });
+    } catch (emailError) {
+      console.error('Security alert email send failed:', emailError.message);
+    }
+
+    return true;
+  }
+
+  // Session id of the request: from the refresh token when one is sent,
+  // otherwise from the access token's sid claim
+  async getCurrentSessionId(req) {
+    const refreshToken = (req.body && req.body.refreshToken) || (req.cookies && req.cookies.refresh_token);
+
+    if (refreshToken) {
+      const storedToken = await Token.findOne({ token: refreshToken, type: 'refresh' });
+      if (storedToken && storedToken.userId.equals(req.user._id)) {
+        return this.getSessionId(storedToken);
+      }
+    }
+
+    return req.sessionId || null;
+  }
+
+  // Active sessions for a user, newest activity first
+  async listSessions(userId, currentSessionId = null) {
+    const tokens = await Token.findActiveSessions(userId);
+    const records = await Session.find({ sessionId: { $in: tokens.map(token => this.getSessionId(token)) } });
+    const activity = new Map(records.map(record => [record.sessionId, record.lastActivityAt]));
+
+    return tokens.map(token => {
+      const sessionId = this.getSessionId(token);
+
+      return {
+        id: sessionId,
+        device: this.parseUserAgent(token.userAgent),
+        userAgent: token.userAgent || null,
+        ipAddress: token.ipAddress || null,
+        createdAt: token.sessionStartedAt || token.createdAt,
+        lastUsedAt: activity.get(sessionId) || token.createdAt,
+        expiresAt: token.expiresAt,
+        current: sessionId === currentSessionId
+      };
+    });
+  }
+
+  // Revoke one session; returns the number of refresh tokens revoked
+  async revokeSession(userId, sessionId) {
+    const result = await Token.revokeSession(userId, sessionId);
+    return result.modifiedCount;
+  }
+
+  // Revoke every session of a user, optionally keeping one (the current device)
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    const query = { userId, type: 'refresh', used: false };
+
+    if (exceptSessionId) {
+      query.sessionId = { $ne: exceptSessionId };
+      if (mongoose.isValidObjectId(exceptSessionId)) {
+        query._id = { $ne: exceptSessionId };
+      }
+    }
+
+    const result = await Token.updateMany(query, { $set: { used: true, usedAt: new Date() } });
+    return result.modifiedCount;
+  }
+
+  // Readable browser/OS/device summary from a User-Agent header
+  parseUserAgent(userAgent = '') {
+    const ua = userAgent || '';
+
+    const browsers = [
+      ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+      ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+      ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+      ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+      ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+      ['Safari', /Version\/([\d.]+).*Safari/]
+    ];
+
+    const systems = [
+      ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+      ['Android', /Android ([\d.]+)/],
+      ['Windows', /Windows NT ([\d.]+)/],
+      ['macOS', /Mac OS X ([\d_.]+)/],
+      ['ChromeOS', /CrOS/],
+      ['Linux', /Linux/]
+    ];
+
+    const match = (list) => {
+      for (const [name, pattern] of list) {
+        const result = ua.match(pattern);
+        if (result) {
+          return { name, version: result[1] ? result[1].replace(/_/g, '.') : null };
+        }
+      }
+      return { name: 'Unknown', version: null };
+    };
+
+    let type = 'desktop';
+    if (/iPad|Tablet/i.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+      type = 'tablet';
+    } else if (/Mobi|iPhone|iPod/i.test(ua)) {
+      type = 'mobile';
+    } else if (!ua || /bot|curl|wget|postman|axios|node-fetch/i.test(ua)) {
+      type = 'other';
+    }
+
+    return {
+      browser: match(browsers),
+      os: match(systems),
+      type
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
@@ -0,0 +1,104 @@
+const SubdomainRequest = require('../models/SubdomainRequest');
+const Organization = require('../models/Organization');
+
+/**
+ * Protected subdomains and their role rules
+ * Keys must match the SubdomainRequest subdomainId enum
+ */
+const SUBDOMAIN_CONFIG = {
+  'ai-trl': {
+    name: 'AI Training & Learning Platform',
+    allowedRoles: ['admin', 'user'],
+    requireEmailVerification: true
+  },
+  'ai-tutot': {
+    name: 'AI Tutorial Platform',
+    allowedRoles: ['admin'],
+    requireEmailVerification: true
+  }
+};
+
+class SubdomainAccessService {
+  constructor() {
+    this.subdomains = SUBDOMAIN_CONFIG;
+  }
+
+  isValidSubdomain(subdomainId) {
+    return Object.prototype.hasOwnProperty.call(this.subdomains, subdomainId);
+  }
+
+  getSubdomainIds() {
+    return Object.keys(this.subdomains);
+  }
+
+  getSubdomainName(subdomainId) {
+    return this.subdomains[subdomainId] ? this.subdomains[subdomainId].name : subdomainId;
+  }
+
+  // Decide whether a user may access a subdomain: role rules first, then an
+  // approved access request, then a grant to one of the user's organizations
+  async evaluateAccess(user, subdomainId) {
+    const config = this.subdomains[subdomainId];
+    let hasRoleAccess = false;
+    let accessDenialReason = '';
+
+    // Account checks that also apply to organization grants
+    let accountDenialReason = '';
+    if (config.requireEmailVerification && !user.emailVerified) {
+      accountDenialReason = 'Email verification required';
+    } else if (!user.isActive || user.accountStatus !== 'active' || user.isLocked) {
+      accountDenialReason = 'Account is not active or is locked';
+    }
+
+    // Check role permission
+    if (!config.allowedRoles.includes(user.role)) {
+      accessDenialReason = `Requires ${config.allowedRoles.join(' or ')} role (you have: ${user.role})`;
+    } else if (accountDenialReason) {
+      accessDenialReason = accountDenialReason;
+    } else {
+      hasRoleAccess = true;
+    }
+
+    // Check for approved subdomain request if no role access
+    let hasApprovedAccess = false;
+    if (!hasRoleAccess) {
+      hasApprovedAccess = await SubdomainRequest.hasActiveAccess(user._id, subdomainId);
+    }
+
+    // Organization grants stand in for the role rule only
+    let hasOrganizationAccess = false;
+    if (!hasRoleAccess && !hasApprovedAccess && !accountDenialReason) {
+      hasOrganizationAccess = await Organization.hasSubdomainAccess(user._id, subdomainId);
+    }
+
+    const hasAccess = hasRoleAccess || hasApprovedAccess || hasOrganizationAccess;
+
+    let accessMethod = 'none';
+    if (hasRoleAccess) accessMethod = 'role-based';
+    else if (hasApprovedAccess) accessMethod = 'request-approved';
+    else if (hasOrganizationAccess) accessMethod = 'organization';
+
+    return {
+      hasAccess,
+      accessMethod,
+      accessDenialReason: hasAccess ? null : accessDenialReason || 'Access not granted'
+    };
+  }
+
+  // Subdomains a user can currently access, with how access was granted
+  async getEntitlements(user) {
+    const entitlements = [];
+
+    for (const subdomainId of this.getSubdomainIds()) {
+      const { hasAccess, accessMethod } = await this.evaluateAccess(user, subdomainId);
+      if (hasAccess) {
+        entitlements.push({ subdomain: subdomainId, accessMethod });
+      }
+    }
+
+    return entitlements;
+  }
+}
+
+// Export singleton instance
+module.exports = new SubdomainAccessService();
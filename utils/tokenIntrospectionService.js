@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const Token = require('../models/Token');
+const authService = require('./authService');
+const oidcProviderService = require('./oidcProviderService');
+const sessionService = require('./sessionService');
+const subdomainAccessService = require('./subdomainAccessService');
+const tokenRevocationService = require('./tokenRevocationService');
+
+/**
+ * Token introspection (RFC 7662) and revocation (RFC 7009) for registered
+ * subdomain clients. Understands API access tokens, refresh tokens and OIDC
+ * access tokens issued by /api/oauth/token.
+ */
+class TokenIntrospectionService {
+  // Decode a presented token, trying the hinted type first. Returns null for
+  // anything that is not a currently valid token issued by this server.
+  async resolveToken(token, tokenTypeHint) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    const resolvers = tokenTypeHint === 'refresh_token'
+      ? [this.resolveRefreshToken, this.resolveAccessToken]
+      : [this.resolveAccessToken, this.resolveRefreshToken];
+
+    for (const resolver of resolvers) {
+      const resolved = await resolver.call(this, token);
+      if (resolved) {
+        return resolved;
+      }
+    }
+
+    return null;
+  }
+
+  async resolveAccessToken(token) {
+    try {
+      const decoded = authService.verifyToken(token);
+
+      return {
+        kind: 'api_access',
+        tokenType: 'access_token',
+        userId: decoded.id || decoded.userId,
+        sessionId: decoded.sid || null,
+        scope: 'api',
+        exp: decoded.exp,
+        iat: decoded.iat,
+        payload: decoded
+      };
+    } catch (error) {
+      // Not an API access token; try an OIDC access token
+    }
+
+    if (!oidcProviderService.isEnabled()) {
+      return null;
+    }
+
+    try {
+      const decoded = oidcProviderService.verifyAccessToken(token);
+
+      return {
+        kind: 'oidc_access',
+        tokenType: 'access_token',
+        userId: decoded.sub,
+        clientId: decoded.client_id,
+        scope: decoded.scope,
+        exp: decoded.exp,
+        iat: decoded.iat,
+        payload: decoded
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async resolveRefreshToken(token) {
+    let decoded;
+    try {
+      decoded = authService.verifyRefreshToken(token);
+    } catch (error) {
+      return null;
+    }
+
+    // Rotated or revoked refresh tokens are no longer active
+    const storedToken = await Token.findValidToken(token, 'refresh');
+    if (!storedToken || storedToken.userId.toString() !== decoded.id) {
+      return null;
+    }
+
+    return {
+      kind: 'refresh',
+      tokenType: 'refresh_token',
+      userId: decoded.id,
+      sessionId: sessionService.getSessionId(storedToken),
+      scope: 'api',
+      exp: Math.floor(storedToken.expiresAt.getTime() / 1000),
+      iat: decoded.iat,
+      payload: decoded
+    };
+  }
+
+  // Introspection response for the calling client
+  async introspect(token, tokenTypeHint, client) {
+    const resolved = await this.resolveToken(token, tokenTypeHint);
+    if (!resolved) {
+      return { active: false };
+    }
+
+    const user = await User.findById(resolved.userId);
+    if (!user || sessionService.getLoginBlockReason(user) ||
+        await tokenRevocationService.isRevoked(resolved.payload, user)) {
+      return { active: false };
+    }
+
+    const access = await subdomainAccessService.evaluateAccess(user, client.subdomainId);
+
+    return {
+      active: true,
+      sub: user._id.toString(),
+      username: user.email,
+      token_type: resolved.tokenType,
+      scope: resolved.scope,
+      client_id: resolved.clientId,
+      iss: resolved.kind === 'oidc_access' ? oidcProviderService.issuer : undefined,
+      exp: resolved.exp,
+      iat: resolved.iat,
+      role: user.role,
+      email_verified: !!user.emailVerified,
+      act: resolved.payload.act ? { sub: resolved.payload.act.sub } : undefined,
+      entitlements: await subdomainAccessService.getEntitlements(user),
+      subdomain_access: {
+        subdomain: client.subdomainId,
+        granted: access.hasAccess,
+        accessMethod: access.accessMethod
+      }
+    };
+  }
+
+  // Revoke a token on behalf of the calling client. Refresh tokens and API
+  // access tokens end their session; OIDC access tokens may only be revoked
+  // by the client they were issued to. Unknown or invalid tokens are ignored
+  // (RFC 7009).
+  async revoke(token, tokenTypeHint, client) {
+    const resolved = await this.resolveToken(token, tokenTypeHint);
+    if (!resolved) {
+      return { revoked: false };
+    }
+
+    if (resolved.kind === 'oidc_access') {
+      if (resolved.clientId !== client.clientId) {
+        return { revoked: false };
+      }
+
+      await tokenRevocationService.revokeToken(resolved.payload, 'client_revocation');
+      return { revoked: true };
+    }
+
+    if (resolved.kind === 'api_access') {
+      await tokenRevocationService.revokeToken(resolved.payload, 'client_revocation');
+    }
+
+    if (!resolved.sessionId) {
+      return { revoked: resolved.kind === 'api_access' };
+    }
+
+    const revokedCount = await sessionService.revokeSession(resolved.userId, resolved.sessionId);
+
+    console.log(`✅ Session ${resolved.sessionId} revoked by client ${client.clientId} (${revokedCount} token(s))`);
+
+    return { revoked: revokedCount > 0 || resolved.kind === 'api_access' };
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenIntrospectionService();
@@ -0,0 +1,47 @@
+const RevokedToken = require('../models/RevokedToken');
+const Impersonation = require('../models/Impersonation');
+const sessionService = require('./sessionService');
+
+/**
+ * Server-side revocation of access tokens before they expire: single tokens
+ * by jti, or everything a user was issued before a point in time
+ */
+class TokenRevocationService {
+  // Revoke one token (decoded payload) until it would have expired anyway.
+  // Tokens issued before jti was introduced can only be revoked by watermark.
+  async revokeToken(payload, reason) {
+    if (!payload || !payload.jti || !payload.exp) {
+      return null;
+    }
+
+    return RevokedToken.revoke(
+      payload.jti,
+      payload.id || payload.sub || null,
+      new Date(payload.exp * 1000),
+      reason
+    );
+  }
+
+  async isRevoked(payload, user) {
+    if (user.isTokenInvalidated(payload.iat)) {
+      return true;
+    }
+
+    // Impersonation tokens stop working when the impersonation ends
+    if (payload.imp && !(await Impersonation.findActive(payload.imp))) {
+      return true;
+    }
+
+    return payload.jti ? RevokedToken.isRevoked(payload.jti) : false;
+  }
+
+  // Invalidate every access token and end every session for a user, e.g. on
+  // suspension or password change
+  async revokeAllUserTokens(user) {
+    await user.invalidateTokens();
+    return sessionService.revokeAllSessions(user._id);
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenRevocationService();
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Equus Website';
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.window = 1; // accept one step of clock drift either side
+    this.backupCodeCount = parseInt(process.env.TWO_FACTOR_BACKUP_CODES) || 10;
+  }
+
+  // Base32 encoding (RFC 4648) used by authenticator apps
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // Secret generation (160 bits, as recommended by RFC 4226)
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  // Time step for a given timestamp
+  getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.period);
+  }
+
+  // HOTP value (RFC 4226) for a counter
+  generateHotp(secret, counter) {
+    const key = this.base32Decode(secret);
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return (binary % Math.pow(10, this.digits)).toString().padStart(this.digits, '0');
+  }
+
+  // TOTP value (RFC 6238) for a timestamp
+  generateCode(secret, timestamp = Date.now()) {
+    return this.generateHotp(secret, this.getTimeStep(timestamp));
+  }
+
+  // Verify a code and return the matched time step, or null if invalid.
+  // Steps at or before lastUsedStep are rejected to prevent code replay.
+  verifyCode(secret, code, lastUsedStep = null) {
+    if (!secret || !code || typeof code !== 'string') {
+      return null;
+    }
+
+    const normalizedCode = code.replace(/\s/g, '');
+    if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== this.digits) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep();
+
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const step = currentStep + drift;
+
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = Buffer.from(this.generateHotp(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalizedCode))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  // otpauth:// URI rendered as a QR code by the frontend
+  buildOtpauthUri(accountName, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Backup recovery codes
+  generateBackupCodes(count = this.backupCodeCount) {
+    const codes = [];
+
+    for (let i = 0; i < count; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return codes;
+  }
+
+  normalizeBackupCode(code) {
+    return String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+  }
+
+  hashBackupCode(code) {
+    return crypto
+      .createHash('sha256')
+      .update(this.normalizeBackupCode(code))
+      .digest('hex');
+  }
+
+  countRemainingBackupCodes(backupCodes) {
+    return (backupCodes || []).filter(entry => !entry.usedAt).length;
+  }
+
+  // Verify a user's second factor (authenticator code or backup code).
+  // Successful codes are consumed so they cannot be replayed.
+  async verifyUserFactor(user, factor = {}) {
+    const { code, backupCode } = factor;
+    const twoFactor = user.twoFactor || {};
+
+    if (!twoFactor.enabled || !twoFactor.secret) {
+      return { verified: false };
+    }
+
+    if (code) {
+      const step = this.verifyCode(twoFactor.secret, String(code), twoFactor.lastUsedStep);
+
+      if (step !== null && await user.consumeTwoFactorStep(step)) {
+        return { verified: true, method: 'totp' };
+      }
+    } else if (backupCode) {
+      if (await user.consumeBackupCode(this.hashBackupCode(backupCode))) {
+        return {
+          verified: true,
+          method: 'backup_code',
+          backupCodesRemaining: Math.max(this.countRemainingBackupCodes(twoFactor.backupCodes) - 1, 0)
+        };
+      }
+    }
+
+    return { verified: false };
+  }
+}
+
+// Export singleton instance
+module.exports = new TotpService();